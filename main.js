@@ -2,8 +2,36 @@
 import { WebGPURenderer } from './webgpu/core/renderer.js';
 import { CameraSystem } from './webgpu/core/camera.js';
 import { DataProcessor } from './webgpu/data/processor.js';
+import { CSVParser } from './webgpu/data/csv.js';
+import { Article } from './webgpu/data/article.js';
+import { PubMedClient } from './webgpu/data/pubmed.js';
+import { LibraryImporter } from './webgpu/data/importers.js';
+import { LibraryExporter } from './webgpu/data/exporters.js';
+import { ProjectStore } from './webgpu/data/projects.js';
+import { CommandHistory } from './webgpu/data/history.js';
+import { Decision, DECISION_LABELS, DEFAULT_EXCLUSION_REASONS, findNextArticle, countDecisions } from './webgpu/data/screening.js';
+import { computePrismaFlow } from './webgpu/data/prisma.js';
+import { DuplicateDetector } from './webgpu/data/dedup.js';
+import { FacetFilter } from './webgpu/data/facets.js';
+import { SearchIndex } from './webgpu/data/search.js';
+import { DEFAULT_TRANSITION } from './webgpu/data/positions.js';
+import { DEFAULT_CLUSTER_OPTIONS } from './webgpu/data/clustering.js';
+import { MeshTree, loadMeshDescriptors } from './webgpu/data/mesh.js';
+import {
+    hasConflict, resolveDecision, agreementStats,
+    exportReviewerDecisions, parseReviewerDecisions, matchReviewerDecisions
+} from './webgpu/data/reviewers.js';
+import { InstancePicker } from './webgpu/core/picking.js';
 import { Controls } from './webgpu/ui/controls.js';
 import { SelectionSystem } from './webgpu/ui/selection.js';
+import { DataTable } from './webgpu/ui/table.js';
+import { PrismaDiagram } from './webgpu/ui/prisma.js';
+import { DuplicateReview } from './webgpu/ui/dedup.js';
+import { FilterPanel } from './webgpu/ui/filters.js';
+import { RegionSelector, SelectionMode } from './webgpu/ui/marquee.js';
+import { HoverPreview } from './webgpu/ui/hover.js';
+import { ClusterLabels } from './webgpu/ui/clusters.js';
+import { MeshTreePanel } from './webgpu/ui/meshtree.js';
 
 class WebGPUHyperCube {
     constructor() {
@@ -17,16 +45,64 @@ class WebGPUHyperCube {
         this.camera = null;
         this.dataProcessor = null;
         this.controls = null;
+        this.picker = null;
         this.selection = null;
+        this.table = null;
+        this.prisma = null;
+        this.duplicateReview = null;
+        this.filterPanel = null;
+        this.regionSelector = null;
+        this.hoverPreview = null;
+        this.clusterLabels = null;
+        this.textZoneArticle = null;
         
         this.data = [];
+        this.deletedArticles = []; // Kept so deletions can be restored from a project
         this.cubeCount = 0;
         this.lastTime = 0;
+        this.lastFrameTime = null;
         this.frameCount = 0;
         this.fps = 0;
         
         this.viewMode = 'grid';
         
+        // Predicate for the current filter (null = everything matches): the
+        // facet filter combined with the conflicts view and the search
+        this.activeFilter = null;
+        this.facetFilter = new FacetFilter();
+        this.conflictFilter = null;
+        // Whether cubes failing the facet filter are hidden or dimmed
+        this.filterDisplay = 'hide';
+        
+        // Full-text search; the index is rebuilt lazily when the articles change
+        this.searchIndex = null;
+        this.searchQuery = '';
+        this.searchResults = null;
+        this.searchTimer = null;
+        // Table limited to one author's articles from the co-authorship view ({ name, ids })
+        this.authorFocus = null;
+        // File the MeSH tree was read from (the tree itself lives in the processor)
+        this.meshSource = null;
+        
+        // Screening identity on this machine ('' = consensus view) and the conflicts view
+        this.reviewer = localStorage.getItem('reviewerName') || '';
+        this.conflictsOnly = false;
+        
+        // PubMed search settings (API key raises the NCBI rate limit to 10 req/s)
+        this.pubmedQuery = 'Liquid Mechanical Ventilation Life Support Humans';
+        this.pubmedApiKey = localStorage.getItem('ncbiApiKey') || null;
+        this.pubmedClient = this.createPubMedClient();
+        this.pubmedAbort = null;
+        
+        // Review projects persisted in IndexedDB
+        this.projects = new ProjectStore();
+        this.project = null;
+        this.autosaveTimer = null;
+        this.autosaveDelay = 1000;
+        
+        // Undo/redo for deletions, edits, selection, layout and imports
+        this.history = new CommandHistory({ limit: 200 });
+        
         this.init();
     }
     
@@ -56,20 +132,25 @@ class WebGPUHyperCube {
             
             this.updateStatus('Setting up selection system...');
             this.selection = new SelectionSystem(this.renderer, this.dataProcessor);
-            
-            // Load PubMed data
-            this.updateStatus('Loading PubMed data...');
-            await this.loadData();
+            this.picker = new InstancePicker(this.dataProcessor);
+            document.addEventListener('projectile-fired', (e) => this.onPickRay(e));
             
             // Setup UI event listeners
             this.setupUI();
             
+            // MeSH tree loaded in an earlier session, before any layout needs it
+            await this.restoreMeshTree();
+            
+            // Reopen the last project, or start one from the bundled PubMed data
+            this.updateStatus('Opening project...');
+            await this.openInitialProject();
+            
             // Start animation loop
             this.updateStatus('Starting WebGPU rendering...');
             this.status.style.display = 'none';
             
             requestAnimationFrame(this.animate.bind(this));
-            
+        
         } catch (error) {
             console.error('WebGPU initialization failed:', error);
             this.updateStatus(`Error: ${error.message}`, true);
@@ -84,6 +165,7 @@ class WebGPUHyperCube {
             if (response.ok) {
                 const csvText = await response.text();
                 this.data = this.parseCSV(csvText);
+                this.addProvenance(this.data, 'PubMed export (pubmed_data.csv)', 'csv');
             } else {
                 // Fallback: use hardcoded data or fetch from PubMed API
                 this.data = await this.fetchPubMedData();
@@ -97,73 +179,228 @@ class WebGPUHyperCube {
             
             // Setup initial view
             this.setViewMode('grid');
-            
+        
         } catch (error) {
             console.error('Failed to load data:', error);
-            this.updateStatus('Failed to load data. Using sample data.', true);
+            this.updateStatus(`Failed to load data: ${error.message}. Using sample data.`, true);
             this.data = this.createSampleData();
+            this.addProvenance(this.data, 'Sample data', 'sample');
             await this.dataProcessor.uploadData(this.data);
         }
     }
     
     parseCSV(csvText) {
-        const lines = csvText.split('\n');
-        const headers = lines[0].split(',');
-        const data = [];
+        // Throws CSVParseError with line/column on malformed records
+        const { rows } = new CSVParser().parse(csvText);
+        return rows.map(row => Article.fromRecord(row));
+    }
+    
+    createPubMedClient() {
+        return new PubMedClient({
+            apiKey: this.pubmedApiKey,
+            maxRecords: 500
+        });
+    }
+    
+    // Save the NCBI API key and rebuild the client, whose rate limit depends on it
+    setPubMedApiKey(key) {
+        this.pubmedApiKey = key.trim() || null;
+        if (this.pubmedApiKey) {
+            localStorage.setItem('ncbiApiKey', this.pubmedApiKey);
+        } else {
+            localStorage.removeItem('ncbiApiKey');
+        }
+        this.pubmedClient = this.createPubMedClient();
+    }
+    
+    async fetchPubMedData(term = this.pubmedQuery, options = {}) {
+        const articles = await this.pubmedClient.fetchArticles(term, options);
+        this.addProvenance(articles, `PubMed: ${term}`, 'pubmed');
+        return articles;
+    }
+    
+    // Record where articles came from, for the PRISMA identification counts
+    addProvenance(articles, label, format) {
+        const importedAt = new Date().toISOString();
+        for (const article of articles) {
+            article.provenance.push({ label, format, importedAt });
+        }
+    }
+    
+    async searchPubMed() {
+        const button = document.getElementById('pubmed-search-btn');
         
-        for (let i = 1; i < lines.length; i++) {
-            if (!lines[i].trim()) continue;
-            
-            const values = lines[i].split(',');
-            const item = {};
-            
-            headers.forEach((header, index) => {
-                item[header.trim()] = values[index] ? values[index].trim() : '';
+        // A second click while a search is running cancels it
+        if (this.pubmedAbort) {
+            this.pubmedAbort.abort();
+            return;
+        }
+        
+        const term = document.getElementById('pubmed-query').value.trim();
+        if (!term) return;
+        
+        this.pubmedQuery = term;
+        this.pubmedAbort = new AbortController();
+        button.textContent = 'Cancel';
+        this.updateStatus(`Searching PubMed for "${term}"...`);
+        this.status.style.display = '';
+        
+        try {
+            const articles = await this.fetchPubMedData(term, {
+                signal: this.pubmedAbort.signal,
+                onProgress: ({ loaded, total }) => {
+                    this.updateStatus(`Fetched ${loaded} of ${total} PubMed records...`);
+                }
             });
             
-            data.push(item);
+            if (articles.length === 0) {
+                this.updateStatus(`No PubMed results for "${term}"`, true);
+                return;
+            }
+            
+            // Combined with the articles already in the project, like an import
+            await this.addArticles(articles, `PubMed search "${term}" (${articles.length})`);
+            this.status.style.display = 'none';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.status.style.display = 'none';
+            } else {
+                console.error('PubMed search failed:', error);
+                this.updateStatus(`PubMed search failed: ${error.message}`, true);
+            }
+        } finally {
+            this.pubmedAbort = null;
+            button.textContent = 'Search PubMed';
         }
-        
-        return data;
     }
     
-    async fetchPubMedData() {
-        // Simplified PubMed fetch - you can expand this 
-        const searchTerm = 'Liquid Mechanical Ventilation Life Support Humans';
-        const response = await fetch(
-            `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=pubmed&term=${encodeURIComponent(searchTerm)}&retmax=100&retmode=json`
-        );
+    async importFiles(files) {
+        const importer = new LibraryImporter();
+        const reports = [];
+        const imported = [];
         
-        const result = await response.json();
-        const pmids = result.esearchresult.idlist;
-        
-        // Fetch details for each PMID (simplified)
-        const data = [];
-        for (const pmid of pmids.slice(0, 50)) { // Limit to 50 for demo
-            data.push({
-                PMID: pmid,
-                Title: `PubMed Article ${pmid}`,
-                PubYear: Math.floor(Math.random() * 30) + 1990,
-                Source: 'Journal of Medicine',
-                Abstract: 'Abstract text would appear here...',
-                includeArticle: 'true'
-            });
+        for (const file of files) {
+            try {
+                const text = await file.text();
+                const result = importer.parse(text, file.name);
+                imported.push(...result.articles);
+                reports.push({
+                    name: file.name,
+                    format: LibraryImporter.formatLabel(result.format),
+                    count: result.articles.length,
+                    warnings: result.warnings
+                });
+            } catch (error) {
+                console.error(`Failed to import ${file.name}:`, error);
+                reports.push({ name: file.name, error: error.message });
+            }
         }
         
-        return data;
+        if (imported.length > 0) {
+            const label = files.length === 1 ? files[0].name : `${files.length} files`;
+            await this.addArticles(imported, `Import ${label} (${imported.length})`);
+        }
+        this.showImportReport(reports);
+    }
+    
+    async addArticles(articles, label = `Add ${articles.length} articles`) {
+        // Keep instance keys unique; duplicate PMIDs are resolved by deduplication
+        const ids = new Set(this.data.map(article => article.id));
+        for (const article of articles) {
+            if (ids.has(article.id)) {
+                article.id = Article.generateId();
+            }
+            ids.add(article.id);
+        }
+        
+        const added = new Set(articles);
+        await this.history.execute({
+            label,
+            execute: () => this.replaceData([...this.data, ...articles]),
+            undo: () => this.replaceData(this.data.filter(article => !added.has(article)))
+        });
+    }
+    
+    showImportReport(reports) {
+        const container = document.getElementById('import-report');
+        container.innerHTML = '';
+        
+        reports.forEach(report => {
+            const section = document.createElement('div');
+            section.className = 'import-file';
+            
+            const heading = document.createElement('div');
+            heading.className = 'import-file-name';
+            heading.textContent = report.error
+                ? `${report.name}: ${report.error}`
+                : `${report.name} (${report.format}): ${report.count} records`;
+            heading.classList.toggle('error', Boolean(report.error));
+            section.appendChild(heading);
+            
+            if (report.warnings && report.warnings.length) {
+                const list = document.createElement('ul');
+                list.className = 'import-warnings';
+                report.warnings.forEach(warning => {
+                    const item = document.createElement('li');
+                    item.textContent = warning;
+                    list.appendChild(item);
+                });
+                section.appendChild(list);
+            }
+            
+            container.appendChild(section);
+        });
+        
+        document.getElementById('import-dialog').showModal();
+    }
+    
+    setupDropTarget(element) {
+        element.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', () => {
+            element.classList.remove('drop-target');
+        });
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.classList.remove('drop-target');
+            if (e.dataTransfer.files.length) {
+                this.importFiles(Array.from(e.dataTransfer.files));
+            }
+        });
+    }
+    
+    async replaceData(articles, { autosave = true } = {}) {
+        await this.selection.clearSelection();
+        this.hoverPreview.clear();
+        
+        this.data = articles;
+        this.cubeCount = this.data.length;
+        this.cubesElement.textContent = `${this.cubeCount} cubes`;
+        
+        // Re-run the search so new articles can match
+        if (this.searchQuery) this.runSearch(this.searchQuery, { apply: false });
+        
+        await this.dataProcessor.uploadData(this.data);
+        this.setViewMode(this.viewMode);
+        this.applyFilters({ autosave: false });
+        if (autosave) this.scheduleAutosave();
     }
     
     createSampleData() {
         const sampleData = [];
         for (let i = 0; i < 100; i++) {
-            sampleData.push({
+            sampleData.push(Article.fromRecord({
                 PMID: `sample${i}`,
                 Title: `Sample Article ${i + 1}`,
-                PubYear: Math.floor(Math.random() * 30) + 1990,
+                PubYear: String(Math.floor(Math.random() * 30) + 1990),
                 Source: ['Nature', 'Science', 'JAMA', 'NEJM'][Math.floor(Math.random() * 4)],
                 Abstract: 'This is a sample abstract for demonstration purposes.',
                 includeArticle: 'true'
-            });
+            }));
         }
         return sampleData;
     }
@@ -172,15 +409,87 @@ class WebGPUHyperCube {
         // View mode buttons
         document.querySelectorAll('.view-button').forEach(button => {
             button.addEventListener('click', (e) => {
-                const mode = e.currentTarget.dataset.mode;
-                this.setViewMode(mode);
-                
-                // Update button states
-                document.querySelectorAll('.view-button').forEach(btn => {
-                    btn.classList.toggle('active', btn === e.currentTarget);
+                this.changeViewMode(e.currentTarget.dataset.mode);
+            });
+        });
+        
+        // Topic clustering options, remembered in this browser
+        this.loadClusterOptions();
+        const clusterMethod = document.getElementById('cluster-method');
+        const clusterCount = document.getElementById('cluster-k');
+        const clusterTerms = document.getElementById('cluster-terms');
+        clusterMethod.value = this.dataProcessor.clusterOptions.method;
+        clusterCount.value = this.dataProcessor.clusterOptions.k || '';
+        clusterTerms.checked = this.dataProcessor.clusterOptions.termWeight > 0;
+        [clusterMethod, clusterCount, clusterTerms].forEach(input => {
+            input.addEventListener('change', () => {
+                this.setClusterOptions({
+                    method: clusterMethod.value,
+                    k: Number.parseInt(clusterCount.value, 10) || 0,
+                    termWeight: clusterTerms.checked ? DEFAULT_CLUSTER_OPTIONS.termWeight : 0
                 });
             });
         });
+        this.clusterLabels = new ClusterLabels(document.getElementById('cluster-labels'));
+        
+        // Similarity network: edge threshold remembered in this browser, and
+        // the force layout paused or reheated on demand
+        this.loadNetworkOptions();
+        const networkThreshold = document.getElementById('network-threshold');
+        networkThreshold.value = this.dataProcessor.networkOptions.threshold;
+        networkThreshold.addEventListener('change', () => {
+            this.setNetworkOptions({ threshold: Number(networkThreshold.value) });
+        });
+        document.getElementById('network-pause').addEventListener('click', () => {
+            this.dataProcessor.setNetworkPaused(!this.dataProcessor.networkPaused);
+            this.updateNetworkControls();
+        });
+        document.getElementById('network-reheat').addEventListener('click', () => {
+            this.dataProcessor.reheatNetwork();
+            this.updateNetworkControls();
+        });
+        
+        // MeSH hierarchy: the descriptor file read from disk (kept in IndexedDB)
+        // and the branches shown open (remembered in this browser)
+        this.loadMeshExpanded();
+        this.meshPanel = new MeshTreePanel(document.getElementById('mesh-panel-body'), {
+            onExpand: (ids) => this.setMeshExpanded(ids)
+        });
+        const meshInput = document.getElementById('mesh-input');
+        document.getElementById('mesh-load').addEventListener('click', () => meshInput.click());
+        meshInput.addEventListener('change', () => {
+            if (meshInput.files.length > 0) this.loadMeshFile(meshInput.files[0]);
+            meshInput.value = '';
+        });
+        document.getElementById('mesh-branches').addEventListener('click', () => {
+            const panel = document.getElementById('mesh-panel');
+            panel.hidden = !panel.hidden;
+            document.getElementById('mesh-branches').classList.toggle('active', !panel.hidden);
+            this.updateMeshPanel();
+        });
+        document.getElementById('mesh-close').addEventListener('click', () => {
+            document.getElementById('mesh-panel').hidden = true;
+            document.getElementById('mesh-branches').classList.remove('active');
+        });
+        
+        // Layout transition settings, remembered in this browser
+        this.loadTransitionSettings();
+        const transitionDuration = document.getElementById('transition-duration');
+        const transitionEasing = document.getElementById('transition-easing');
+        const transitionStagger = document.getElementById('transition-stagger');
+        transitionDuration.value = this.dataProcessor.transition.duration;
+        transitionEasing.value = this.dataProcessor.transition.easing;
+        transitionStagger.checked = this.dataProcessor.transition.stagger > 0;
+        [transitionDuration, transitionEasing, transitionStagger].forEach(input => {
+            input.addEventListener('change', () => {
+                this.dataProcessor.setTransition({
+                    duration: Number(transitionDuration.value),
+                    easing: transitionEasing.value,
+                    stagger: transitionStagger.checked ? DEFAULT_TRANSITION.stagger : 0
+                });
+                localStorage.setItem('layoutTransition', JSON.stringify(this.dataProcessor.transition));
+            });
+        });
         
         // Delete button
         document.getElementById('delete-btn').addEventListener('click', () => {
@@ -192,53 +501,1193 @@ class WebGPUHyperCube {
             this.downloadData();
         });
         
-        // Table row clicks (for selection)
-        document.getElementById('data-table').addEventListener('click', (e) => {
-            const row = e.target.closest('tr');
-            if (row && row.dataset.pmid) {
-                this.selectArticle(row.dataset.pmid, e.target.type === 'checkbox' ? e.target.checked : true);
+        // Export dialog
+        document.getElementById('export-confirm').addEventListener('click', () => {
+            const format = document.getElementById('export-format').value;
+            const scope = document.querySelector('input[name="export-scope"]:checked').value;
+            document.getElementById('export-dialog').close();
+            this.exportArticles(format, scope);
+        });
+        document.getElementById('export-cancel').addEventListener('click', () => {
+            document.getElementById('export-dialog').close();
+        });
+        
+        // Library import: file picker and drag-and-drop onto the canvas or table
+        const fileInput = document.getElementById('import-input');
+        document.getElementById('import-btn').addEventListener('click', () => {
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length) {
+                this.importFiles(Array.from(fileInput.files));
+            }
+            fileInput.value = '';
+        });
+        this.setupDropTarget(this.canvas);
+        this.setupDropTarget(document.getElementById('data-container'));
+        document.getElementById('import-close').addEventListener('click', () => {
+            document.getElementById('import-dialog').close();
+        });
+        
+        // Project switcher
+        document.getElementById('project-select').addEventListener('change', (e) => {
+            this.switchProject(e.target.value);
+        });
+        document.getElementById('project-new').addEventListener('click', () => this.newProject());
+        document.getElementById('project-duplicate').addEventListener('click', () => this.duplicateProject());
+        document.getElementById('project-delete').addEventListener('click', () => this.deleteProject());
+        document.getElementById('project-export').addEventListener('click', () => this.exportProject());
+        const projectInput = document.getElementById('project-import-input');
+        document.getElementById('project-import').addEventListener('click', () => projectInput.click());
+        projectInput.addEventListener('change', () => {
+            if (projectInput.files.length) {
+                this.importProject(projectInput.files[0]);
+            }
+            projectInput.value = '';
+        });
+        
+        // Undo/redo buttons, history list and keyboard shortcuts
+        document.getElementById('undo-btn').addEventListener('click', () => this.history.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => this.history.redo());
+        document.getElementById('history-list').addEventListener('click', (e) => {
+            const item = e.target.closest('li');
+            if (item) this.history.jumpTo(Number(item.dataset.position));
+        });
+        this.history.onChange(() => this.updateHistoryList());
+        this.updateHistoryList();
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            // Text fields keep their own native undo
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.history.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.history.redo();
+            }
+        });
+        
+        // Screening bar, exclusion reasons and decision shortcuts
+        document.querySelectorAll('#screening-bar [data-decision]').forEach(button => {
+            button.addEventListener('click', () => this.decideArticle(button.dataset.decision));
+        });
+        const reasonSelect = document.getElementById('exclusion-reason');
+        reasonSelect.addEventListener('change', () => {
+            const article = this.textZoneArticle;
+            if (article && article.decision === Decision.EXCLUDE) {
+                this.updateArticle(article, { exclusionReason: reasonSelect.value });
+            }
+            // Hand the keyboard back to the screening shortcuts
+            reasonSelect.blur();
+        });
+        document.getElementById('screen-prev').addEventListener('click', () => this.screenNext(-1));
+        document.getElementById('screen-next').addEventListener('click', () => this.screenNext(1));
+        document.getElementById('reasons-edit').addEventListener('click', () => {
+            document.getElementById('reasons-input').value = this.getExclusionReasons().join('\n');
+            document.getElementById('reasons-dialog').showModal();
+        });
+        document.getElementById('reasons-reset').addEventListener('click', () => {
+            document.getElementById('reasons-input').value = DEFAULT_EXCLUSION_REASONS.join('\n');
+        });
+        document.getElementById('reasons-save').addEventListener('click', () => {
+            const lines = document.getElementById('reasons-input').value.split('\n');
+            this.setExclusionReasons(lines);
+            document.getElementById('reasons-dialog').close();
+        });
+        document.getElementById('reasons-cancel').addEventListener('click', () => {
+            document.getElementById('reasons-dialog').close();
+        });
+        document.addEventListener('keydown', (e) => this.onScreeningKey(e));
+        this.renderExclusionReasons();
+        
+        // Reviewers: identity, conflicts view and decision exchange
+        document.getElementById('reviewer-select').addEventListener('change', (e) => {
+            if (e.target.value === '__add') {
+                this.addReviewer();
+            } else {
+                this.setReviewer(e.target.value);
+            }
+        });
+        document.getElementById('conflicts-btn').addEventListener('click', () => {
+            this.setConflictsView(!this.conflictsOnly);
+        });
+        document.getElementById('decisions-export').addEventListener('click', () => this.exportDecisions());
+        const decisionsInput = document.getElementById('decisions-import-input');
+        document.getElementById('decisions-import').addEventListener('click', () => decisionsInput.click());
+        decisionsInput.addEventListener('change', () => {
+            if (decisionsInput.files.length) {
+                this.importDecisions(decisionsInput.files[0]);
+            }
+            decisionsInput.value = '';
+        });
+        
+        // Duplicate detection and merging
+        this.duplicateReview = new DuplicateReview(document.getElementById('dedup-groups'), {
+            onMerge: async (group, choices) => {
+                await this.mergeDuplicates(group.articles, choices);
+                this.findDuplicates();
+            },
+            onDismiss: (group) => {
+                this.dismissDuplicates(group.articles);
+                this.findDuplicates();
             }
         });
+        document.getElementById('dedup-btn').addEventListener('click', () => this.findDuplicates());
+        document.getElementById('dedup-close').addEventListener('click', () => {
+            document.getElementById('dedup-dialog').close();
+        });
+        
+        // Full-text search over titles, abstracts, MeSH and keywords
+        const searchInput = document.getElementById('search-input');
+        searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(searchInput.value), 150);
+        });
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                searchInput.value = '';
+                clearTimeout(this.searchTimer);
+                this.runSearch('');
+            }
+        });
+        document.getElementById('author-focus-clear').addEventListener('click', () => this.setAuthorFocus(null));
+        
+        // Facet filters, in a panel over the 3D view
+        this.filterPanel = new FilterPanel(document.getElementById('filter-panel-body'), {
+            onChange: () => this.applyFilters(),
+            onDisplayMode: (mode) => {
+                this.filterDisplay = mode;
+                this.applyFilters();
+            }
+        });
+        document.getElementById('filter-btn').addEventListener('click', () => {
+            const panel = document.getElementById('filter-panel');
+            panel.hidden = !panel.hidden;
+            document.getElementById('filter-btn').classList.toggle('active', !panel.hidden);
+            this.updateFilterPanel();
+        });
+        document.getElementById('filter-close').addEventListener('click', () => {
+            document.getElementById('filter-panel').hidden = true;
+            document.getElementById('filter-btn').classList.remove('active');
+        });
+        
+        // Box / lasso selection by dragging on the canvas (when not flying)
+        this.regionSelector = new RegionSelector(this.canvas, document.getElementById('selection-overlay'), {
+            isActive: () => !this.controls.isPointerLocked,
+            onSelect: (polygon, mode) => this.selectInRegion(polygon, mode)
+        });
+        const toolButtons = document.querySelectorAll('#selection-tools button');
+        const showTool = () => toolButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === this.regionSelector.tool);
+        });
+        toolButtons.forEach(button => button.addEventListener('click', () => {
+            this.regionSelector.setTool(button.dataset.tool);
+            showTool();
+        }));
+        showTool();
+        
+        // Preview card for the cube under the cursor
+        this.hoverPreview = new HoverPreview(this.canvas, document.getElementById('hover-card'), {
+            isActive: () => !this.controls.isPointerLocked && !this.regionSelector.dragging,
+            pick: (ndcX, ndcY) => {
+                const ray = this.camera.screenRay(ndcX, ndcY);
+                const hit = ray && this.activePicker().pick(ray.origin, ray.direction);
+                return hit && hit.distance <= this.controls.maxPickDistance ? hit.article : null;
+            },
+            // An article, or an author in the co-authorship view
+            onHover: (item) => {
+                const authors = this.activeAuthors();
+                if (authors) {
+                    authors.setHovered(item ? item.index : -1);
+                } else {
+                    this.selection.setHovered(item ? item.id : null);
+                }
+                this.canvas.style.cursor = item ? 'pointer' : '';
+            }
+        });
+        
+        // PRISMA flow diagram; non-modal so it stays live while screening
+        this.prisma = new PrismaDiagram(document.getElementById('prisma-diagram'));
+        document.getElementById('prisma-btn').addEventListener('click', () => {
+            const dialog = document.getElementById('prisma-dialog');
+            if (dialog.open) {
+                dialog.close();
+            } else {
+                dialog.show();
+                this.updatePrismaDiagram();
+            }
+        });
+        document.getElementById('prisma-close').addEventListener('click', () => {
+            document.getElementById('prisma-dialog').close();
+        });
+        document.getElementById('prisma-export-svg').addEventListener('click', () => {
+            this.saveFile(this.prisma.svg, `${this.projectSlug()}_prisma.svg`, 'image/svg+xml');
+        });
+        document.getElementById('prisma-export-png').addEventListener('click', async () => {
+            try {
+                this.saveFile(await this.prisma.toPNG(), `${this.projectSlug()}_prisma.png`, 'image/png');
+            } catch (error) {
+                console.error('PRISMA PNG export failed:', error);
+                alert(error.message);
+            }
+        });
+        
+        // Save the camera pose and any pending edits when the page is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveProject();
+        });
+        
+        // PubMed search
+        const queryInput = document.getElementById('pubmed-query');
+        queryInput.value = this.pubmedQuery;
+        queryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.searchPubMed();
+        });
+        document.getElementById('pubmed-search-btn').addEventListener('click', () => {
+            this.searchPubMed();
+        });
+        const apiKeyInput = document.getElementById('pubmed-api-key');
+        apiKeyInput.value = this.pubmedApiKey || '';
+        apiKeyInput.addEventListener('change', () => this.setPubMedApiKey(apiKeyInput.value));
+        
+        // Data table: row selection and inline annotation edits
+        this.table = new DataTable(document.getElementById('data-table'), {
+            isSelected: (id) => this.selection.selectedPMIDs.has(id),
+            onSelect: (id, selected) => this.selectArticle(id, selected),
+            onEdit: (article, changes) => this.updateArticle(article, changes),
+            onDecide: (article, decision) => {
+                this.setDecision(article, decision, article.getDecision(this.reviewer).exclusionReason);
+            }
+        });
+        this.table.attachColumnMenu(document.getElementById('column-list'));
     }
     
-    setViewMode(mode) {
+    setViewMode(mode, { animate = false } = {}) {
         this.viewMode = mode;
         this.modeElement.textContent = mode.charAt(0).toUpperCase() + mode.slice(1);
         
         // Update GPU compute shader with new layout
         this.dataProcessor.setLayoutMode(mode);
         
-        // Trigger GPU recomputation
-        this.dataProcessor.recomputeLayout();
+        // Trigger GPU recomputation; cubes glide to their new places when animated
+        const layout = this.relayout({ animate });
+        
+        document.querySelectorAll('.view-button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+        
+        this.scheduleAutosave();
+        return layout;
+    }
+    
+    // Recompute the layout; its GPU readback can fail (e.g. on device loss),
+    // which is logged rather than left unhandled
+    relayout(options) {
+        return this.dataProcessor.recomputeLayout(options).catch(error => {
+            console.error('Layout failed:', error);
+        });
+    }
+    
+    loadClusterOptions() {
+        try {
+            this.dataProcessor.setClusterOptions(JSON.parse(localStorage.getItem('clusterOptions')) || {});
+        } catch (error) {
+            console.warn('Ignoring unreadable cluster options:', error);
+        }
     }
     
-    async selectArticle(pmid, selected) {
+    // Recluster with new options; the cluster view moves to the new clusters
+    setClusterOptions(options) {
+        this.dataProcessor.setClusterOptions(options);
+        localStorage.setItem('clusterOptions', JSON.stringify(this.dataProcessor.clusterOptions));
+        if (this.viewMode === 'cluster') {
+            this.relayout({ animate: true });
+        }
+    }
+    
+    loadNetworkOptions() {
+        try {
+            this.dataProcessor.setNetworkOptions(JSON.parse(localStorage.getItem('networkOptions')) || {});
+        } catch (error) {
+            console.warn('Ignoring unreadable network options:', error);
+        }
+    }
+    
+    // Rebuild the similarity graph with new options; the network view moves to the new layout
+    setNetworkOptions(options) {
+        this.dataProcessor.setNetworkOptions(options);
+        localStorage.setItem('networkOptions', JSON.stringify(this.dataProcessor.networkOptions));
+        if (this.viewMode === 'network') {
+            this.relayout({ animate: true });
+        }
+    }
+    
+    updateNetworkControls() {
+        document.getElementById('network-pause').textContent = this.dataProcessor.networkPaused ? 'Resume' : 'Pause';
+    }
+    
+    // The MeSH tree saved by an earlier loadMeshFile, if any
+    async restoreMeshTree() {
+        try {
+            const stored = await this.projects.getVocabulary('mesh');
+            if (stored) this.setMeshTree(MeshTree.fromJSON(stored.descriptors), stored.source);
+        } catch (error) {
+            console.warn('Could not restore the MeSH tree:', error);
+        }
+        this.updateMeshStatus();
+    }
+    
+    // Read the NLM descriptor file (XML or ASCII) and keep it for later sessions
+    async loadMeshFile(file) {
+        const status = document.getElementById('mesh-status');
+        status.textContent = `Reading ${file.name}...`;
+        
+        let tree;
+        try {
+            tree = await loadMeshDescriptors(file);
+        } catch (error) {
+            console.error(`Failed to load ${file.name}:`, error);
+            alert(`Could not load the MeSH tree: ${error.message}`);
+            this.updateMeshStatus();
+            return;
+        }
+        this.setMeshTree(tree, file.name);
+        
+        try {
+            await this.projects.saveVocabulary({ name: 'mesh', source: file.name, descriptors: tree.toJSON() });
+        } catch (error) {
+            console.warn('Could not store the MeSH tree:', error);
+        }
+    }
+    
+    setMeshTree(tree, source) {
+        this.meshSource = source;
+        this.dataProcessor.setMeshTree(tree);
+        this.updateMeshStatus();
+        this.relayoutMesh();
+    }
+    
+    updateMeshStatus() {
+        const tree = this.dataProcessor.meshTree;
+        const status = document.getElementById('mesh-status');
+        status.textContent = tree ? `${tree.size.toLocaleString()} descriptors` : 'No MeSH tree';
+        status.title = tree ? `Loaded from ${this.meshSource}` : 'Load the NLM descriptor file (desc20XX.xml or d20XX.bin)';
+    }
+    
+    loadMeshExpanded() {
+        try {
+            const ids = JSON.parse(localStorage.getItem('meshExpanded'));
+            if (Array.isArray(ids)) this.dataProcessor.setMeshExpanded(ids);
+        } catch (error) {
+            console.warn('Ignoring unreadable MeSH branches:', error);
+        }
+    }
+    
+    // Show these MeSH branches open; the MeSH view regrows its sunburst
+    setMeshExpanded(ids) {
+        this.dataProcessor.setMeshExpanded(ids);
+        localStorage.setItem('meshExpanded', JSON.stringify([...this.dataProcessor.meshExpanded]));
+        this.relayoutMesh();
+    }
+    
+    relayoutMesh() {
+        if (this.viewMode === 'mesh') {
+            this.relayout({ animate: true });
+        }
+        this.updateMeshPanel();
+    }
+    
+    updateMeshPanel() {
+        if (!this.meshPanel || document.getElementById('mesh-panel').hidden) return;
+        this.meshPanel.render(this.dataProcessor.getMeshHierarchy(), this.dataProcessor.meshExpanded);
+    }
+    
+    loadTransitionSettings() {
+        try {
+            this.dataProcessor.setTransition(JSON.parse(localStorage.getItem('layoutTransition')) || {});
+        } catch (error) {
+            console.warn('Ignoring unreadable transition settings:', error);
+        }
+    }
+    
+    // User-initiated layout switch, recorded in the undo history
+    changeViewMode(mode) {
+        const previous = this.viewMode;
+        if (mode === previous) return;
+        
+        return this.history.execute({
+            label: `Layout: ${mode}`,
+            execute: () => this.setViewMode(mode, { animate: true }),
+            undo: () => this.setViewMode(previous, { animate: true })
+        });
+    }
+    
+    async selectArticle(id, selected) {
+        const wasSelected = this.selection.selectedPMIDs.has(id);
+        if (wasSelected === selected) {
+            // Re-clicking a selected title only refreshes the text zone
+            return this.setArticleSelected(id, selected);
+        }
+        
+        const article = this.data.find(d => d.id === id);
+        return this.history.execute({
+            label: `${selected ? 'Select' : 'Deselect'} ${this.describeArticle(article)}`,
+            execute: () => this.setArticleSelected(id, selected),
+            undo: () => this.setArticleSelected(id, wasSelected)
+        });
+    }
+    
+    async setArticleSelected(pmid, selected) {
         // Update selection on GPU
         await this.selection.selectByPMID(pmid, selected);
         
         // Update table UI
-        const row = document.querySelector(`tr[data-pmid="${pmid}"]`);
-        if (row) {
-            row.classList.toggle('selected', selected);
-            const checkbox = row.querySelector('input[type="checkbox"]');
-            if (checkbox) checkbox.checked = selected;
-        }
+        this.table.setRowSelected(pmid, selected);
         
         // Update text zone if selected
         if (selected) {
-            const article = this.data.find(d => d.PMID === pmid);
+            const article = this.data.find(d => d.id === pmid);
             if (article) {
                 this.updateTextZone(article);
             }
         }
     }
     
+    // Articles whose cubes project inside a screen polygon (NDC), or those of
+    // the authors inside it in the co-authorship view, combined with the
+    // current selection per SelectionMode
+    selectInRegion(polygon, mode) {
+        const authors = this.activeAuthors();
+        const indices = this.activePicker().selectInPolygon(this.camera.viewProjectionMatrix, polygon);
+        const ids = authors
+            ? [...new Set(indices.flatMap(index => authors.authors[index].articles.map(article => article.id)))]
+            : indices.map(index => this.dataProcessor.data[index].id);
+        return this.selectArticles(ids, mode);
+    }
+    
+    // Author nodes being shown (the co-authorship view), or null
+    activeAuthors() {
+        return this.viewMode === 'authors' ? this.dataProcessor.coauthors : null;
+    }
+    
+    // Picks author nodes in the co-authorship view, article cubes otherwise
+    activePicker() {
+        const authors = this.activeAuthors();
+        return authors ? authors.picker : this.picker;
+    }
+    
+    // Select every article of an author and list just those in the table,
+    // as one undoable step
+    selectAuthor(author) {
+        const ids = author.articles.map(article => article.id);
+        const current = this.selection.selectedPMIDs;
+        const chosen = new Set(ids);
+        const select = ids.filter(id => !current.has(id));
+        const deselect = [...current].filter(id => !chosen.has(id));
+        const previousFocus = this.authorFocus;
+        const focus = { name: author.name, ids: chosen };
+        
+        return this.history.execute({
+            label: `Select ${ids.length} article${ids.length === 1 ? '' : 's'} by ${author.name}`,
+            execute: async () => {
+                await this.setArticlesSelected(select, deselect);
+                this.setAuthorFocus(focus);
+            },
+            undo: async () => {
+                await this.setArticlesSelected(deselect, select);
+                this.setAuthorFocus(previousFocus);
+            }
+        });
+    }
+    
+    // Limit the table to one author's articles ({ name, ids }), or null for all
+    setAuthorFocus(focus) {
+        this.authorFocus = focus;
+        this.renderAuthorFocus();
+        this.applyFilters({ autosave: false });
+    }
+    
+    renderAuthorFocus() {
+        document.getElementById('author-focus').hidden = !this.authorFocus;
+        document.getElementById('author-focus-name').textContent = this.authorFocus ? this.authorFocus.name : '';
+    }
+    
+    async selectArticles(ids, mode = SelectionMode.REPLACE) {
+        const current = this.selection.selectedPMIDs;
+        const select = [];
+        const deselect = [];
+        
+        if (mode === SelectionMode.ADD) {
+            select.push(...ids.filter(id => !current.has(id)));
+        } else if (mode === SelectionMode.SUBTRACT) {
+            deselect.push(...ids.filter(id => current.has(id)));
+        } else if (mode === SelectionMode.TOGGLE) {
+            ids.forEach(id => (current.has(id) ? deselect : select).push(id));
+        } else {
+            const region = new Set(ids);
+            select.push(...ids.filter(id => !current.has(id)));
+            deselect.push(...[...current].filter(id => !region.has(id)));
+        }
+        if (select.length === 0 && deselect.length === 0) return;
+        
+        const count = n => `${n} article${n === 1 ? '' : 's'}`;
+        let label;
+        if (select.length && deselect.length) {
+            label = `Select ${select.length}, deselect ${count(deselect.length)}`;
+        } else {
+            label = select.length ? `Select ${count(select.length)}` : `Deselect ${count(deselect.length)}`;
+        }
+        
+        return this.history.execute({
+            label,
+            execute: () => this.setArticlesSelected(select, deselect),
+            undo: () => this.setArticlesSelected(deselect, select)
+        });
+    }
+    
+    // Bulk counterpart of setArticleSelected; the text zone is left alone
+    async setArticlesSelected(select, deselect = []) {
+        await this.selection.selectMany(deselect, false);
+        await this.selection.selectMany(select, true);
+        
+        deselect.forEach(id => this.table.setRowSelected(id, false));
+        select.forEach(id => this.table.setRowSelected(id, true));
+    }
+    
+    // Select the nearest visible cube along a ray from the controls (cursor
+    // click or fired projectile); cancelling the event tells them it hit
+    onPickRay(event) {
+        const { origin, direction, maxDistance, projectile } = event.detail;
+        const authors = this.activeAuthors();
+        const hit = this.activePicker().pick(origin, direction);
+        if (!hit || hit.distance > maxDistance) return;
+        
+        event.preventDefault();
+        if (projectile) {
+            projectile.range = hit.distance;
+        }
+        if (authors) {
+            this.selectAuthor(authors.authors[hit.index]);
+        } else {
+            this.selectArticle(hit.article.id, true);
+        }
+    }
+    
+    // Annotation edit, recorded in the undo history
+    updateArticle(article, changes) {
+        const previous = {};
+        for (const key of Object.keys(changes)) {
+            const value = article[key];
+            previous[key] = Array.isArray(value) ? [...value] : value;
+        }
+        
+        return this.history.execute({
+            label: `${this.describeChanges(changes)} ${this.describeArticle(article)}`,
+            execute: () => this.applyArticleChanges(article, changes),
+            undo: () => this.applyArticleChanges(article, previous)
+        });
+    }
+    
+    describeChanges(changes) {
+        if ('reviews' in changes && this.reviewer) {
+            const review = changes.reviews[this.reviewer];
+            return `${this.reviewer}: ${review ? DECISION_LABELS[review.decision] : 'Clear decision'}`;
+        }
+        if ('decision' in changes) {
+            if (changes.decision === Decision.EXCLUDE && changes.exclusionReason) {
+                return `Exclude (${changes.exclusionReason})`;
+            }
+            return changes.decision ? DECISION_LABELS[changes.decision] : 'Clear decision';
+        }
+        if ('exclusionReason' in changes) return 'Set exclusion reason';
+        if ('rating' in changes) {
+            return changes.rating ? `Rate ${changes.rating}★` : 'Clear rating';
+        }
+        if ('tags' in changes) return 'Edit tags';
+        if ('notes' in changes) return 'Edit notes';
+        return 'Edit';
+    }
+    
+    describeArticle(article) {
+        if (!article) return '';
+        const title = article.title || article.id;
+        return `"${title.length > 30 ? `${title.substring(0, 30)}...` : title}"`;
+    }
+    
+    // Apply annotation edits and push them to the table and the cube encoding
+    applyArticleChanges(article, changes) {
+        Object.assign(article, changes);
+        this.dataProcessor.updateArticle(article);
+        this.table.updateRow(article);
+        
+        if (this.textZoneArticle === article) {
+            this.updateTextZone(article);
+        } else {
+            this.updateScreeningBar();
+        }
+        this.updatePrismaDiagram();
+        this.updateFilterPanel();
+        this.scheduleAutosave();
+    }
+    
+    // Record a screening decision for the article in the text zone, then move on
+    async decideArticle(decision, reason = document.getElementById('exclusion-reason').value) {
+        const article = this.textZoneArticle;
+        if (!article) {
+            this.screenNext(1);
+            return;
+        }
+        
+        await this.setDecision(article, decision, reason);
+        
+        // Clearing a decision usually means screening the same article again
+        if (decision !== Decision.NONE) {
+            this.screenNext(1);
+        }
+    }
+    
+    // Decide as the active reviewer (blinded), or set the consensus decision
+    async setDecision(article, decision, reason = '') {
+        const exclusionReason = decision === Decision.EXCLUDE ? reason : '';
+        const current = article.getDecision(this.reviewer);
+        if (current.decision === decision && current.exclusionReason === exclusionReason) return;
+        
+        if (!this.reviewer) {
+            await this.updateArticle(article, { decision, exclusionReason });
+            return;
+        }
+        
+        const reviews = { ...article.reviews };
+        if (decision) {
+            reviews[this.reviewer] = { decision, exclusionReason, decidedAt: new Date().toISOString() };
+        } else {
+            delete reviews[this.reviewer];
+        }
+        
+        // Agreement settles the consensus; a conflict clears it for resolution
+        await this.updateArticle(article, { reviews, ...resolveDecision(reviews, this.getReviewers()) });
+    }
+    
+    screenNext(step) {
+        // Screening follows the table's sort order
+        const next = findNextArticle(this.table.sortedArticles, this.textZoneArticle, {
+            step,
+            undecidedOnly: document.getElementById('screen-skip-decided').checked,
+            reviewer: this.reviewer
+        });
+        if (next) {
+            this.updateTextZone(next);
+        } else {
+            this.updateScreeningBar('All articles screened');
+        }
+    }
+    
+    onScreeningKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+        // Keys belong to the fly camera while the pointer is locked, and to modal dialogs and text fields
+        if (this.controls.isPointerLocked || document.querySelector('dialog:modal')) return;
+        if (e.target.closest && e.target.closest('input:not([type="checkbox"]), textarea, select, [contenteditable]')) return;
+        
+        const key = e.key.toLowerCase();
+        const reasons = this.getExclusionReasons();
+        if (/^[1-9]$/.test(key) && reasons[Number(key) - 1]) {
+            this.decideArticle(Decision.EXCLUDE, reasons[Number(key) - 1]);
+        } else if (key === 'i') {
+            this.decideArticle(Decision.INCLUDE);
+        } else if (key === 'x') {
+            this.decideArticle(Decision.EXCLUDE);
+        } else if (key === 'm') {
+            this.decideArticle(Decision.MAYBE);
+        } else if (key === 'u') {
+            this.decideArticle(Decision.NONE);
+        } else if (key === 'j') {
+            this.screenNext(1);
+        } else if (key === 'k') {
+            this.screenNext(-1);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+    
+    updatePrismaDiagram() {
+        if (!this.prisma || !document.getElementById('prisma-dialog').open) return;
+        this.prisma.render(computePrismaFlow(this.data, this.deletedArticles));
+    }
+    
+    getReviewers() {
+        return (this.project && this.project.reviewers) || [];
+    }
+    
+    async addReviewer() {
+        const name = (prompt('Reviewer name:') || '').trim();
+        if (name && !this.getReviewers().includes(name)) {
+            this.project.reviewers = [...this.getReviewers(), name];
+            this.scheduleAutosave();
+        }
+        this.setReviewer(name || this.reviewer);
+    }
+    
+    // Switch the screening identity; reviewers only ever see their own decisions
+    setReviewer(name) {
+        this.reviewer = this.getReviewers().includes(name) ? name : '';
+        localStorage.setItem('reviewerName', this.reviewer);
+        
+        // Conflicts are only visible in the consensus view
+        if (this.reviewer) this.conflictsOnly = false;
+        this.applyDecisionView();
+    }
+    
+    setConflictsView(enabled) {
+        this.conflictsOnly = enabled && !this.reviewer;
+        this.applyDecisionView();
+    }
+    
+    // Push the reviewer, conflicts filter and highlight to the table and cubes
+    applyDecisionView() {
+        const reviewers = this.getReviewers();
+        this.conflictFilter = this.conflictsOnly ? article => hasConflict(article, reviewers) : null;
+        
+        this.dataProcessor.reviewer = this.reviewer;
+        this.dataProcessor.highlight = this.conflictFilter;
+        this.facetFilter.reviewer = this.reviewer;
+        
+        this.table.reviewer = this.reviewer;
+        this.table.reviewers = reviewers;
+        this.applyFilters({ autosave: false });
+        this.renderReviewers();
+    }
+    
+    // Combine the facet filter with the conflicts view, the search and the
+    // author focus: the table lists only matching articles, the cubes of the
+    // rest are hidden or dimmed (search matches glow instead)
+    applyFilters({ autosave = true } = {}) {
+        const facets = this.facetFilter.predicate();
+        const search = this.searchResults && (article => this.searchResults.ranks.has(article));
+        const author = this.authorFocus && (article => this.authorFocus.ids.has(article.id));
+        const predicates = [facets, this.conflictFilter, search, author].filter(Boolean);
+        this.activeFilter = predicates.length
+            ? article => predicates.every(predicate => predicate(article))
+            : null;
+        
+        this.dataProcessor.filter = facets;
+        this.dataProcessor.glow = this.searchResults ? this.searchResults.glow : null;
+        this.dataProcessor.filterMode = this.filterDisplay;
+        this.dataProcessor.refreshInstances();
+        this.updateDataTable();
+        
+        if (this.project && autosave) {
+            this.project.filter = this.facetFilter.toJSON();
+            this.project.filterDisplay = this.filterDisplay;
+            this.scheduleAutosave();
+        }
+    }
+    
+    getSearchIndex() {
+        if (!this.searchIndex || this.searchIndex.articles !== this.data) {
+            this.searchIndex = new SearchIndex(this.data);
+        }
+        return this.searchIndex;
+    }
+    
+    // Run a full-text query; matches glow and the table lists them by relevance
+    runSearch(query, { apply = true } = {}) {
+        this.searchQuery = query.trim();
+        this.searchResults = this.searchQuery ? this.getSearchIndex().search(this.searchQuery) : null;
+        
+        const status = document.getElementById('search-status');
+        status.textContent = this.searchResults
+            ? `${this.searchResults.results.length} result${this.searchResults.results.length === 1 ? '' : 's'}`
+            : '';
+        
+        if (!apply) return;
+        this.applyFilters({ autosave: false });
+        if (this.textZoneArticle) this.updateTextZone(this.textZoneArticle);
+    }
+    
+    updateFilterPanel() {
+        if (!this.filterPanel || document.getElementById('filter-panel').hidden) return;
+        this.filterPanel.render(this.facetFilter, this.data, this.getFilteredArticles().length, this.filterDisplay);
+    }
+    
+    renderReviewers() {
+        const select = document.getElementById('reviewer-select');
+        select.innerHTML = '';
+        
+        const options = [['', 'Consensus'], ...this.getReviewers().map(name => [name, name]), ['__add', 'Add reviewer…']];
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.reviewer;
+        
+        const conflicts = document.getElementById('conflicts-btn');
+        conflicts.disabled = Boolean(this.reviewer);
+        conflicts.classList.toggle('active', this.conflictsOnly);
+        document.getElementById('decisions-export').disabled = !this.reviewer;
+    }
+    
+    exportDecisions() {
+        if (!this.reviewer) return;
+        const reviewer = this.reviewer.replace(/[^A-Za-z0-9]+/g, '_');
+        this.saveFile(
+            exportReviewerDecisions(this.data, this.reviewer),
+            `${this.projectSlug()}_${reviewer}_decisions.json`,
+            'application/json'
+        );
+    }
+    
+    // Merge another reviewer's exported decisions into this project (undoable)
+    async importDecisions(file) {
+        let bundle;
+        try {
+            bundle = parseReviewerDecisions(await file.text());
+        } catch (error) {
+            console.error('Failed to import decisions:', error);
+            alert(`Could not import decisions: ${error.message}`);
+            return;
+        }
+        
+        const { matches, unmatched } = matchReviewerDecisions(this.data, bundle);
+        const reviewer = bundle.reviewer;
+        const reviewersBefore = this.getReviewers();
+        const reviewers = reviewersBefore.includes(reviewer) ? reviewersBefore : [...reviewersBefore, reviewer];
+        const before = matches.map(({ article }) => ({
+            article,
+            reviews: article.reviews,
+            decision: article.decision,
+            exclusionReason: article.exclusionReason
+        }));
+        
+        await this.history.execute({
+            label: `Import ${reviewer}'s decisions (${matches.length})`,
+            execute: () => {
+                this.project.reviewers = reviewers;
+                for (const { article, review } of matches) {
+                    article.reviews = { ...article.reviews, [reviewer]: review };
+                    Object.assign(article, resolveDecision(article.reviews, reviewers));
+                }
+                this.applyDecisionView();
+                this.scheduleAutosave();
+            },
+            undo: () => {
+                this.project.reviewers = reviewersBefore;
+                for (const { article, ...fields } of before) {
+                    Object.assign(article, fields);
+                }
+                this.applyDecisionView();
+                this.scheduleAutosave();
+            }
+        });
+        
+        if (unmatched > 0) {
+            alert(`Imported ${matches.length} decisions from ${reviewer}; ${unmatched} did not match any article in this project.`);
+        }
+    }
+    
+    getExclusionReasons() {
+        return (this.project && this.project.exclusionReasons) || DEFAULT_EXCLUSION_REASONS;
+    }
+    
+    // Exclusion reasons are configured per project
+    setExclusionReasons(lines) {
+        const reasons = [...new Set(lines.map(line => line.trim()).filter(Boolean))];
+        this.project.exclusionReasons = reasons;
+        this.renderExclusionReasons();
+        this.scheduleAutosave();
+    }
+    
+    renderExclusionReasons() {
+        const select = document.getElementById('exclusion-reason');
+        select.innerHTML = '';
+        
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'No reason';
+        select.appendChild(none);
+        
+        this.getExclusionReasons().forEach((reason, index) => {
+            const option = document.createElement('option');
+            option.value = reason;
+            option.textContent = index < 9 ? `${index + 1}. ${reason}` : reason;
+            select.appendChild(option);
+        });
+        this.updateScreeningBar();
+    }
+    
+    updateScreeningBar(message = '') {
+        const article = this.textZoneArticle;
+        const current = article ? article.getDecision(this.reviewer) : null;
+        document.querySelectorAll('#screening-bar [data-decision]').forEach(button => {
+            button.classList.toggle('active', Boolean(current) && button.dataset.decision === current.decision);
+        });
+        
+        // Keep reasons from an older reason list selectable
+        const select = document.getElementById('exclusion-reason');
+        if (current && current.decision === Decision.EXCLUDE) {
+            const reason = current.exclusionReason;
+            if (reason && ![...select.options].some(option => option.value === reason)) {
+                const option = document.createElement('option');
+                option.value = reason;
+                option.textContent = reason;
+                select.appendChild(option);
+            }
+            select.value = reason;
+        }
+        
+        const articles = this.getFilteredArticles();
+        const counts = countDecisions(articles, this.reviewer);
+        const progress = `${articles.length - counts.undecided}/${articles.length} screened · ` +
+                         `${counts.include} in · ${counts.exclude} out · ${counts.maybe} maybe`;
+        document.getElementById('screening-progress').textContent = message ? `${message} · ${progress}` : progress;
+        
+        this.updateAgreementStats();
+    }
+    
+    // Live agreement between the first two reviewers; hidden while screening blinded
+    updateAgreementStats() {
+        const element = document.getElementById('agreement-stats');
+        const reviewers = this.getReviewers();
+        if (this.reviewer || reviewers.length < 2) {
+            element.textContent = '';
+            return;
+        }
+        
+        const stats = agreementStats(this.data, reviewers);
+        if (stats.total === 0) {
+            element.textContent = `${reviewers[0]} vs ${reviewers[1]}: no overlapping decisions yet`;
+            return;
+        }
+        const kappa = stats.kappa === null ? 'n/a' : stats.kappa.toFixed(2);
+        element.textContent = `${reviewers[0]} vs ${reviewers[1]}: κ = ${kappa} · ` +
+                              `${stats.percentAgreement.toFixed(1)}% agreement (n = ${stats.total}) · ` +
+                              `${stats.conflicts} conflict${stats.conflicts === 1 ? '' : 's'}`;
+    }
+    
     updateTextZone(article) {
-        document.getElementById('selected-title').textContent = article.Title || 'No title';
-        document.getElementById('pmid-text').textContent = article.PMID || '-';
-        document.getElementById('year-text').textContent = article.PubYear || '-';
-        document.getElementById('source-text').textContent = article.Source || '-';
-        document.getElementById('abstract-text').textContent = article.Abstract || 'No abstract';
+        this.textZoneArticle = article;
+        this.setHighlightedText(document.getElementById('selected-title'), article.title, 'No title');
+        document.getElementById('pmid-text').textContent = article.pmid || '-';
+        document.getElementById('year-text').textContent = article.pubDate.toString() || '-';
+        document.getElementById('source-text').textContent = article.journal || '-';
+        this.setHighlightedText(document.getElementById('abstract-text'), article.abstract, 'No abstract');
+        this.setLink(document.getElementById('doi-link'), article.doiLink);
+        this.setLink(document.getElementById('pmc-link'), article.pmcLink);
+        
+        this.table.setCurrentRow(article.id);
+        this.updateScreeningBar();
+    }
+    
+    // Text with the current search terms wrapped in <mark>
+    setHighlightedText(element, text, placeholder) {
+        element.textContent = '';
+        if (!text) {
+            element.textContent = placeholder;
+            return;
+        }
+        
+        let last = 0;
+        const ranges = this.searchResults ? this.searchResults.highlight(text) : [];
+        for (const { start, end } of ranges) {
+            element.append(text.slice(last, start));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            element.appendChild(mark);
+            last = end;
+        }
+        element.append(text.slice(last));
+    }
+    
+    setLink(element, url) {
+        if (url) {
+            element.href = url;
+            element.textContent = url;
+        } else {
+            element.removeAttribute('href');
+            element.textContent = '-';
+        }
+    }
+    
+    async openInitialProject() {
+        let project = null;
+        try {
+            const lastId = localStorage.getItem('lastProjectId');
+            if (lastId) {
+                project = await this.projects.get(lastId);
+            }
+            if (!project) {
+                const [latest] = await this.projects.list();
+                if (latest) project = await this.projects.get(latest.id);
+            }
+        } catch (error) {
+            console.warn('Project storage unavailable:', error);
+        }
+        
+        if (project) {
+            await this.applyProject(project);
+            return;
+        }
+        
+        this.updateStatus('Loading PubMed data...');
+        await this.loadData();
+        this.updateDataTable();
+        this.project = ProjectStore.createProject('Untitled review');
+        this.setReviewer(this.reviewer);
+        await this.saveProject();
+    }
+    
+    serializeProject() {
+        return {
+            ...this.project,
+            articles: this.data.map(article => article.toJSON()),
+            deleted: this.deletedArticles.map(article => article.toJSON()),
+            viewMode: this.viewMode,
+            camera: this.camera ? {
+                position: [...this.camera.position],
+                target: [...this.camera.target]
+            } : null
+        };
+    }
+    
+    async applyProject(project) {
+        const { articles, deleted, viewMode, camera, ...summary } = project;
+        this.project = summary;
+        this.deletedArticles = (deleted || []).map(json => Article.fromJSON(json));
+        this.viewMode = viewMode || 'grid';
+        this.conflictsOnly = false;
+        this.authorFocus = null;
+        this.renderAuthorFocus();
+        this.facetFilter = FacetFilter.fromJSON(summary.filter);
+        this.filterDisplay = summary.filterDisplay === 'dim' ? 'dim' : 'hide';
+        
+        await this.replaceData((articles || []).map(json => Article.fromJSON(json)), { autosave: false });
+        
+        if (camera) {
+            this.camera.position = [...camera.position];
+            this.camera.target = [...camera.target];
+            this.camera.updateMatrices();
+        }
+        
+        // Undo history belongs to the project that was open
+        this.history.clear();
+        this.renderExclusionReasons();
+        this.setReviewer(localStorage.getItem('reviewerName') || '');
+        
+        localStorage.setItem('lastProjectId', this.project.id);
+        await this.refreshProjectList();
+    }
+    
+    async saveProject() {
+        if (!this.project) return;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        
+        try {
+            const saved = await this.projects.save(this.serializeProject());
+            this.project.updatedAt = saved.updatedAt;
+            localStorage.setItem('lastProjectId', this.project.id);
+            await this.refreshProjectList();
+        } catch (error) {
+            console.error('Failed to save project:', error);
+        }
+    }
+    
+    scheduleAutosave() {
+        if (!this.project) return;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.saveProject(), this.autosaveDelay);
+    }
+    
+    async refreshProjectList() {
+        const select = document.getElementById('project-select');
+        let projects = [];
+        try {
+            projects = await this.projects.list();
+        } catch (error) {
+            console.warn('Project storage unavailable:', error);
+        }
+        
+        select.innerHTML = '';
+        projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project.id;
+            option.textContent = `${project.name} (${project.articleCount})`;
+            select.appendChild(option);
+        });
+        if (this.project) select.value = this.project.id;
+    }
+    
+    async switchProject(id) {
+        if (this.project && id === this.project.id) return;
+        
+        await this.saveProject();
+        const project = await this.projects.get(id);
+        if (project) {
+            await this.applyProject(project);
+        }
+    }
+    
+    async newProject() {
+        const name = prompt('Project name:', 'Untitled review');
+        if (!name) return;
+        
+        await this.saveProject();
+        const project = ProjectStore.createProject(name.trim());
+        await this.projects.save(project);
+        await this.applyProject(project);
+    }
+    
+    async duplicateProject() {
+        const name = prompt('Name for the copy:', `${this.project.name} (copy)`);
+        if (!name) return;
+        
+        await this.saveProject();
+        const copy = await this.projects.duplicate(this.project.id, name.trim());
+        await this.applyProject(copy);
+    }
+    
+    async deleteProject() {
+        if (!confirm(`Delete project "${this.project.name}"? This cannot be undone.`)) return;
+        
+        clearTimeout(this.autosaveTimer);
+        await this.projects.delete(this.project.id);
+        this.project = null;
+        
+        const [next] = await this.projects.list();
+        if (next) {
+            await this.applyProject(await this.projects.get(next.id));
+        } else {
+            const project = ProjectStore.createProject('Untitled review');
+            await this.projects.save(project);
+            await this.applyProject(project);
+        }
+    }
+    
+    async exportProject() {
+        await this.saveProject();
+        this.saveFile(ProjectStore.toBundle(this.serializeProject()), `${this.projectSlug()}.hypercube.json`, 'application/json');
+    }
+    
+    projectSlug() {
+        const name = this.project ? this.project.name : '';
+        return name.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'project';
+    }
+    
+    async importProject(file) {
+        try {
+            const project = ProjectStore.fromBundle(await file.text());
+            await this.saveProject();
+            await this.projects.save(project);
+            await this.applyProject(project);
+        } catch (error) {
+            console.error('Failed to import project:', error);
+            alert(`Could not import project: ${error.message}`);
+        }
     }
     
     async deleteSelected() {
@@ -248,73 +1697,170 @@ class WebGPUHyperCube {
             return;
         }
         
-        if (confirm(`Delete ${selected.length} selected articles?`)) {
-            // Update data on GPU
-            await this.dataProcessor.deleteArticles(selected);
-            
-            // Update local data
-            this.data = this.data.filter(article => !selected.includes(article.PMID));
-            this.cubeCount = this.data.length;
-            this.cubesElement.textContent = `${this.cubeCount} cubes`;
-            
-            // Clear selection
-            await this.selection.clearSelection();
-            
-            // Update table
-            this.updateDataTable();
+        // Remember where each article sat so undo puts it back in place
+        const ids = new Set(selected);
+        const removed = [];
+        this.data.forEach((article, index) => {
+            if (ids.has(article.id)) removed.push({ article, index });
+        });
+        
+        await this.history.execute({
+            label: `Delete ${removed.length} article${removed.length === 1 ? '' : 's'}`,
+            execute: async () => {
+                // Deleted articles stay with the project
+                this.deletedArticles.push(...removed.map(({ article }) => article));
+                await this.replaceData(this.data.filter(article => !ids.has(article.id)));
+            },
+            undo: async () => {
+                await this.restoreArticles(removed);
+                await this.setArticlesSelected(removed.map(({ article }) => article.id));
+            }
+        });
+    }
+    
+    // Put removed articles back at their original indices ({ article, index }, ascending)
+    async restoreArticles(removed) {
+        const restored = new Set(removed.map(({ article }) => article));
+        this.deletedArticles = this.deletedArticles.filter(article => !restored.has(article));
+        
+        const data = [...this.data];
+        removed.forEach(({ article, index }) => data.splice(index, 0, article));
+        await this.replaceData(data);
+    }
+    
+    findDuplicates() {
+        const ignore = new Set((this.project && this.project.distinctGroups) || []);
+        const groups = new DuplicateDetector().findGroups(this.data, { ignore });
+        this.duplicateReview.render(groups);
+        
+        const dialog = document.getElementById('dedup-dialog');
+        if (!dialog.open) dialog.showModal();
+    }
+    
+    // Merge a duplicate group into its first record; the rest are removed as
+    // duplicates and the merge is logged with the project (undoable)
+    async mergeDuplicates(articles, choices) {
+        const [primary, ...others] = articles;
+        const fields = DuplicateDetector.merge(articles, choices);
+        const before = {};
+        for (const key of Object.keys(fields)) {
+            before[key] = primary[key];
         }
+        
+        const removed = others
+            .map(article => ({ article, index: this.data.indexOf(article) }))
+            .sort((a, b) => a.index - b.index);
+        const merge = {
+            mergedAt: new Date().toISOString(),
+            primaryId: primary.id,
+            mergedIds: others.map(article => article.id),
+            choices
+        };
+        
+        await this.history.execute({
+            label: `Merge ${articles.length} duplicates of ${this.describeArticle(primary)}`,
+            execute: async () => {
+                Object.assign(primary, fields);
+                others.forEach(article => { article.duplicateOf = primary.id; });
+                this.deletedArticles.push(...others);
+                this.project.merges = [...(this.project.merges || []), merge];
+                await this.replaceData(this.data.filter(article => !others.includes(article)));
+            },
+            undo: async () => {
+                Object.assign(primary, before);
+                others.forEach(article => { article.duplicateOf = ''; });
+                this.project.merges = (this.project.merges || []).filter(entry => entry !== merge);
+                await this.restoreArticles(removed);
+            }
+        });
     }
     
-    downloadData() {
-        const csvContent = this.convertToCSV(this.data);
-        const blob = new Blob([csvContent], { type: 'text/csv' });
+    // Remember that a candidate group is not a duplicate so it is not offered again
+    dismissDuplicates(articles) {
+        const key = DuplicateDetector.groupKey(articles);
+        this.project.distinctGroups = [...((this.project && this.project.distinctGroups) || []), key];
+        this.scheduleAutosave();
+    }
+    
+    async downloadData() {
+        // Show how many articles each scope would export
+        const selected = await this.selection.getSelected();
+        document.getElementById('export-count-all').textContent = this.data.length;
+        document.getElementById('export-count-selected').textContent = selected.length;
+        document.getElementById('export-count-filtered').textContent = this.getFilteredArticles().length;
+        
+        document.getElementById('export-dialog').showModal();
+    }
+    
+    // Articles passing the current filter; search results come most relevant first
+    getFilteredArticles() {
+        const articles = this.activeFilter ? this.data.filter(this.activeFilter) : this.data;
+        if (!this.searchResults) return articles;
+        
+        const { ranks } = this.searchResults;
+        return [...articles].sort((a, b) => ranks.get(a) - ranks.get(b));
+    }
+    
+    async exportArticles(format, scope) {
+        let articles;
+        if (scope === 'selected') {
+            const selected = new Set(await this.selection.getSelected());
+            articles = this.data.filter(article => selected.has(article.id));
+        } else if (scope === 'filtered') {
+            articles = this.getFilteredArticles();
+        } else {
+            articles = this.data;
+        }
+        
+        if (articles.length === 0) {
+            alert('No articles to export');
+            return;
+        }
+        
+        const { content, mimeType, extension } = new LibraryExporter().export(articles, format);
+        this.saveFile(content, `pubmed_export_${new Date().toISOString().slice(0, 10)}.${extension}`, mimeType);
+    }
+    
+    saveFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
-        link.download = `pubmed_export_${new Date().toISOString().slice(0, 10)}.csv`;
+        link.download = filename;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
         URL.revokeObjectURL(url);
     }
     
-    convertToCSV(data) {
-        if (!data.length) return '';
-        const headers = Object.keys(data[0]);
-        const rows = data.map(row => 
-            headers.map(header => 
-                `"${String(row[header] || '').replace(/"/g, '""')}"`
-            ).join(',')
-        );
-        return [headers.join(','), ...rows].join('\n');
+    updateDataTable() {
+        this.table.setTagSource(this.data);
+        this.table.render(this.getFilteredArticles());
+        this.updateScreeningBar();
+        this.updatePrismaDiagram();
+        this.updateFilterPanel();
+        this.updateMeshPanel();
     }
     
-    updateDataTable() {
-        const tbody = document.querySelector('#data-table tbody');
-        tbody.innerHTML = '';
+    updateHistoryList() {
+        const list = document.getElementById('history-list');
+        const entries = [{ label: 'Project opened', applied: true }, ...this.history.entries()];
+        const current = this.history.undoStack.length;
+        list.innerHTML = '';
         
-        this.data.forEach(article => {
-            const row = document.createElement('tr');
-            row.dataset.pmid = article.PMID;
-            
-            // Title
-            const titleCell = document.createElement('td');
-            titleCell.textContent = (article.Title || '').substring(0, 50) + 
-                                  ((article.Title || '').length > 50 ? '...' : '');
-            row.appendChild(titleCell);
-            
-            // Checkbox
-            const checkboxCell = document.createElement('td');
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.className = 'select-checkbox';
-            checkboxCell.appendChild(checkbox);
-            row.appendChild(checkboxCell);
-            
-            // Add more cells as needed...
-            
-            tbody.appendChild(row);
+        // Clicking an entry rewinds or replays the history up to and including it
+        entries.forEach((entry, position) => {
+            const item = document.createElement('li');
+            item.textContent = entry.label;
+            item.dataset.position = position;
+            item.classList.toggle('undone', !entry.applied);
+            item.classList.toggle('current', position === current);
+            list.appendChild(item);
         });
+        
+        document.getElementById('undo-btn').disabled = !this.history.canUndo;
+        document.getElementById('redo-btn').disabled = !this.history.canRedo;
+        list.scrollTop = list.scrollHeight;
     }
     
     updateStatus(message, isError = false) {
@@ -351,9 +1897,35 @@ class WebGPUHyperCube {
             this.lastTime = currentTime;
         }
         
-        // Update controls
+        // Update controls (seconds since the last frame, capped after stalls)
+        const deltaTime = this.lastFrameTime === null ? 0 : Math.min((currentTime - this.lastFrameTime) / 1000, 0.1);
+        this.lastFrameTime = currentTime;
         if (this.controls) {
-            this.controls.update();
+            this.controls.update(deltaTime);
+        }
+        
+        // Step the network layout and any layout transition; cubes moving under
+        // a still cursor change what it hovers
+        if (this.dataProcessor) {
+            const settling = this.dataProcessor.stepNetwork();
+            if (this.dataProcessor.advanceTransition(currentTime) || settling) {
+                this.hoverPreview.refresh();
+            }
+        }
+        
+        // Topic labels over the settled cluster view, branch labels over the
+        // settled MeSH view, community labels over the settled co-authorship view
+        if (this.clusterLabels) {
+            const authors = this.activeAuthors();
+            let labels = null;
+            if (this.viewMode === 'cluster' && !this.dataProcessor.isTransitioning()) {
+                labels = this.dataProcessor.clustering;
+            } else if (this.viewMode === 'mesh' && !this.dataProcessor.isTransitioning()) {
+                labels = this.dataProcessor.getMeshLabels();
+            } else if (authors && !authors.isTransitioning()) {
+                labels = authors.communityLabels();
+            }
+            this.clusterLabels.update(labels, this.camera.viewProjectionMatrix);
         }
         
         // Render frame
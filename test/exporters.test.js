@@ -0,0 +1,38 @@
+// test/exporters.test.js - TeX escapes and note paragraphs through export and re-import
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LibraryExporter } from '../webgpu/data/exporters.js';
+import { LibraryImporter } from '../webgpu/data/importers.js';
+import { Article } from '../webgpu/data/article.js';
+
+const article = new Article({
+    pmid: '1',
+    title: 'C:\\data ~ x^2 & {braced} 50% $5 #3 a_b café',
+    notes: 'First paragraph,\nwrapped.\n\n\nSecond {paragraph}.'
+});
+const exporter = new LibraryExporter();
+
+test('BibTeX escapes every TeX special character', () => {
+    const bibtex = exporter.toBibTeX(article);
+    assert.match(bibtex, /title = \{C:\\textbackslash\{\}data \\textasciitilde\{\} x\\textasciicircum\{\}2 \\& \\\{braced\\\} 50\\% \\\$5 \\#3 a\\_b café\}/);
+});
+
+test('notes keep their paragraphs as blank lines in BibTeX and repeated N1/GN lines', () => {
+    assert.match(exporter.toBibTeX(article), /note = \{First paragraph, wrapped\.\n\nSecond \\\{paragraph\\\}\.\}/);
+    assert.match(exporter.toRIS(article), /N1 {2}- First paragraph, wrapped\.\r\nN1 {2}- Second \{paragraph\}\.\r\n/);
+    assert.match(exporter.toMEDLINE(article), /GN {2}- First paragraph, wrapped\.\nGN {2}- Second \{paragraph\}\./);
+});
+
+test('titles and notes survive export and re-import', () => {
+    const importer = new LibraryImporter();
+    const exports = {
+        'export.bib': exporter.toBibTeX(article),
+        'export.ris': exporter.toRIS(article),
+        'export.nbib': exporter.toMEDLINE(article)
+    };
+    for (const [filename, text] of Object.entries(exports)) {
+        const [imported] = importer.parse(text, filename).articles;
+        assert.equal(imported.title, article.title, filename);
+        assert.equal(imported.notes, 'First paragraph, wrapped.\n\nSecond {paragraph}.', filename);
+    }
+});
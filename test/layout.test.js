@@ -0,0 +1,95 @@
+// test/layout.test.js - Pinned byte offsets and pack/unpack of the GPU struct layouts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    StructLayout, CubeData, CameraUniforms, ArticleKeys, LayoutParams, ClusterCenter,
+    MeshBranch, LayoutPosition, TransitionParams, EdgeData
+} from '../webgpu/core/layout.js';
+
+// Shaders, the processor and the camera all derive their layout from the
+// declarations; a change that moves a field must fail here instead of
+// silently shifting every cube
+function assertLayout(layout, offsets, size) {
+    const actual = Object.fromEntries(layout.fields.map(field => [field.name, field.offset]));
+    assert.deepEqual(actual, offsets, `${layout.name} field offsets`);
+    assert.equal(layout.size, size, `${layout.name} size`);
+}
+
+test('CubeData is 48 bytes with pinned offsets', () => {
+    assertLayout(CubeData, { position: 0, size: 12, color: 16, selected: 28, visibility: 32, glow: 36, hovered: 40 }, 48);
+    assert.equal(CubeData.words, 12);
+    assert.equal(CubeData.offsets.color, 4);
+});
+
+test('CameraUniforms is 80 bytes with pinned offsets', () => {
+    assertLayout(CameraUniforms, { viewProjectionMatrix: 0, cameraPosition: 64, time: 76 }, 80);
+});
+
+test('layout pass structs keep their pinned offsets', () => {
+    assertLayout(ArticleKeys, { year: 0, yearRank: 4, journal: 8, cluster: 12, clusterRank: 16, branch: 20, branchRank: 24 }, 28);
+    assertLayout(LayoutParams, { count: 0, gridSize: 4, journalCount: 8, clusterCount: 12, yearMin: 16, yearSpan: 20, branchCount: 24 }, 32);
+    assertLayout(ClusterCenter, { center: 0, radius: 12, count: 16 }, 32);
+    assertLayout(MeshBranch, { start: 0, span: 4, radius: 8, spacing: 12, rows: 16, columns: 20 }, 24);
+    assertLayout(LayoutPosition, { position: 0, group: 12 }, 16);
+    assertLayout(TransitionParams, { count: 0, easing: 4, elapsed: 8, duration: 12, stagger: 16 }, 32);
+    assertLayout(EdgeData, { first: 0, second: 4, weight: 8 }, 12);
+});
+
+test('uniform structs round their size up to 16 bytes', () => {
+    const layout = new StructLayout('Params', [['count', 'u32']], { uniform: true });
+    assert.equal(layout.size, 16);
+    assert.equal(new StructLayout('Plain', [['count', 'u32']]).size, 4);
+});
+
+test('unsupported types are rejected', () => {
+    assert.throws(() => new StructLayout('Bad', [['flag', 'bool']]), /Unsupported type bool for Bad\.flag/);
+});
+
+test('CubeData round-trips through pack and unpack', () => {
+    const cube = { position: [1.5, -2, 3.25], size: 0.5, color: [0.25, 0.5, 1], selected: 1, visibility: 1, glow: 0.75, hovered: 0 };
+    assert.deepEqual(CubeData.unpack(CubeData.pack(cube)), cube);
+});
+
+test('CameraUniforms round-trips through pack and unpack', () => {
+    const camera = {
+        viewProjectionMatrix: Array.from({ length: 16 }, (_, i) => i - 8),
+        cameraPosition: [0, 10, -20],
+        time: 1234.5
+    };
+    const buffer = CameraUniforms.pack(camera);
+    assert.equal(buffer.byteLength, 80);
+    assert.deepEqual(CameraUniforms.unpack(buffer), camera);
+});
+
+test('integer fields keep their signedness', () => {
+    const keys = { year: -44, yearRank: 4294967295, journal: 3, cluster: 0, clusterRank: 7, branch: 2, branchRank: 9 };
+    assert.deepEqual(ArticleKeys.unpack(ArticleKeys.pack(keys)), keys);
+});
+
+test('pack writes one element of a shared buffer and leaves the others alone', () => {
+    const data = new Float32Array(CubeData.words * 3);
+    CubeData.pack({ position: [1, 2, 3], size: 1 }, data, 0);
+    CubeData.pack({ position: [4, 5, 6], glow: 0.5 }, data, 2);
+    
+    assert.deepEqual(CubeData.unpack(data, 0).position, [1, 2, 3]);
+    assert.deepEqual(CubeData.unpack(data, 1), CubeData.unpack(new ArrayBuffer(CubeData.size)));
+    assert.deepEqual(CubeData.unpack(data, 2).position, [4, 5, 6]);
+    assert.equal(data[2 * CubeData.words + CubeData.offsets.glow], 0.5);
+    
+    // Fields left out of `values` are not overwritten
+    CubeData.pack({ size: 2 }, data, 0);
+    assert.deepEqual(CubeData.unpack(data, 0).position, [1, 2, 3]);
+    assert.equal(CubeData.unpack(data, 0).size, 2);
+});
+
+test('pack honors the byte offset of a typed array view', () => {
+    const buffer = new ArrayBuffer(16 + EdgeData.size * 2);
+    const edges = new Uint32Array(buffer, 16);
+    EdgeData.pack({ first: 5, second: 9, weight: 0.25 }, edges, 1);
+    assert.deepEqual(EdgeData.unpack(edges, 1), { first: 5, second: 9, weight: 0.25 });
+    assert.deepEqual(new Uint32Array(buffer, 0, 4), new Uint32Array(4));
+});
+
+test('pack rejects vectors of the wrong length', () => {
+    assert.throws(() => CubeData.pack({ color: [1, 0] }), /CubeData\.color needs 3 components, got 2/);
+});
@@ -0,0 +1,85 @@
+// test/mock-eutils.js - Local E-utilities server replaying the esearch/efetch fixtures
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const fixture = name => readFileSync(new URL(`fixtures/${name}`, import.meta.url), 'utf8');
+
+export const ESEARCH = fixture('esearch.json');
+export const ESEARCH_ERROR = fixture('esearch-error.json');
+export const EFETCH = fixture('efetch.xml');
+
+// Served under the same path as NCBI's, so a client resolving endpoints
+// against the wrong base URL misses it
+export const EUTILS_PATH = '/entrez/eutils/';
+
+const { webenv: WEB_ENV, querykey: QUERY_KEY } = JSON.parse(ESEARCH).esearchresult;
+const PROLOG = EFETCH.slice(0, EFETCH.indexOf('<PubmedArticleSet>'));
+const RECORDS = EFETCH.match(/<PubmedArticle>[\s\S]*?<\/PubmedArticle>/g);
+
+// Start a server on a free port. Every request is logged to `requests` as
+// { endpoint, params, time }; esearch answers with the recorded search and
+// efetch pages through the recorded records by retstart/retmax. Responses
+// queued with respondWith() ({ status, body }) are sent first, one per request,
+// and `delay` holds every response back by that many ms.
+export async function startMockEutils() {
+    const requests = [];
+    const queued = [];
+    const timers = new Set();
+    
+    const server = createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const endpoint = url.pathname.startsWith(EUTILS_PATH) ? url.pathname.slice(EUTILS_PATH.length) : url.pathname;
+        requests.push({ endpoint, params: Object.fromEntries(url.searchParams), time: Date.now() });
+        
+        const { status, body, type } = queued.length > 0 ? queued.shift() : answer(endpoint, url.searchParams);
+        const send = () => {
+            response.writeHead(status, { 'Content-Type': type || 'text/plain' });
+            response.end(body);
+        };
+        if (mock.delay > 0) {
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                send();
+            }, mock.delay);
+            timers.add(timer);
+        } else {
+            send();
+        }
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    const mock = {
+        // No trailing slash, as a user would type it
+        baseUrl: `http://127.0.0.1:${server.address().port}${EUTILS_PATH.slice(0, -1)}`,
+        requests,
+        delay: 0,
+        respondWith(...responses) {
+            queued.push(...responses);
+        },
+        requestsTo(endpoint) {
+            return requests.filter(request => request.endpoint === endpoint);
+        },
+        async close() {
+            timers.forEach(clearTimeout);
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+    return mock;
+}
+
+function answer(endpoint, params) {
+    if (endpoint === 'esearch.fcgi') {
+        return { status: 200, body: ESEARCH, type: 'application/json' };
+    }
+    if (endpoint === 'efetch.fcgi') {
+        if (params.get('WebEnv') !== WEB_ENV || params.get('query_key') !== QUERY_KEY) {
+            return { status: 400, body: 'Unknown WebEnv or query_key' };
+        }
+        const start = Number(params.get('retstart'));
+        const records = RECORDS.slice(start, start + Number(params.get('retmax')));
+        return { status: 200, body: `${PROLOG}<PubmedArticleSet>\n${records.join('\n')}\n</PubmedArticleSet>\n`, type: 'text/xml' };
+    }
+    return { status: 404, body: `No endpoint ${endpoint}` };
+}
@@ -0,0 +1,194 @@
+// test/pubmed.test.js - PubMedClient against a local mock of the E-utilities
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { PubMedClient, PubMedError } from '../webgpu/data/pubmed.js';
+import { startMockEutils, ESEARCH_ERROR } from './mock-eutils.js';
+
+let mock;
+
+beforeEach(async () => {
+    mock = await startMockEutils();
+});
+
+afterEach(async () => {
+    await mock.close();
+});
+
+// Node has no DOMParser; throttling and backoff are kept short unless a test is about them
+function createClient(options = {}) {
+    return new PubMedClient({
+        baseUrl: mock.baseUrl,
+        parseXML: text => new DOMParser().parseFromString(text, 'application/xml'),
+        requestsPerSecond: 1000,
+        retryDelay: 10,
+        ...options
+    });
+}
+
+test('endpoints resolve under a base URL with or without a trailing slash', async () => {
+    for (const baseUrl of [mock.baseUrl, `${mock.baseUrl}/`, `${mock.baseUrl}//`]) {
+        const history = await createClient({ baseUrl }).search('ecmo');
+        assert.equal(history.count, 5);
+    }
+    assert.deepEqual(mock.requests.map(request => request.endpoint), ['esearch.fcgi', 'esearch.fcgi', 'esearch.fcgi']);
+});
+
+test('search sends the query to the history server', async () => {
+    const history = await createClient({ apiKey: 'key', email: 'a@b.org' }).search('  ecmo neonat*  ');
+    
+    assert.deepEqual(history, { count: 5, webEnv: 'MCID_6714a2f0c5d8e3b1a40f7c21', queryKey: '1' });
+    const [{ params }] = mock.requests;
+    assert.equal(params.term, 'ecmo neonat*');
+    assert.equal(params.usehistory, 'y');
+    assert.equal(params.retmax, '0');
+    assert.equal(params.api_key, 'key');
+    assert.equal(params.email, 'a@b.org');
+    assert.equal(params.tool, 'webgpu-hypercube');
+});
+
+test('search rejects empty terms without a request', async () => {
+    await assert.rejects(createClient().search('   '), PubMedError);
+    assert.equal(mock.requests.length, 0);
+});
+
+test('search reports esearch errors and non-JSON pages as PubMedError', async () => {
+    const client = createClient();
+    
+    mock.respondWith({ status: 200, body: ESEARCH_ERROR });
+    await assert.rejects(client.search('ecmo'), { name: 'PubMedError', message: 'esearch failed: Invalid query' });
+    
+    mock.respondWith({ status: 200, body: '<html><body>Too many requests</body></html>' });
+    await assert.rejects(client.search('ecmo'), { name: 'PubMedError', message: /esearch returned invalid JSON/ });
+});
+
+test('fetchArticles pages through the history server in batches', async () => {
+    const progress = [];
+    const articles = await createClient({ batchSize: 2 }).fetchArticles('ecmo', {
+        onProgress: update => progress.push(update)
+    });
+    
+    assert.deepEqual(articles.map(article => article.pmid), ['30000001', '30000002', '30000003', '30000004', '30000005']);
+    assert.deepEqual(progress, [{ loaded: 2, total: 5 }, { loaded: 4, total: 5 }, { loaded: 5, total: 5 }]);
+    
+    const pages = mock.requestsTo('efetch.fcgi').map(({ params }) => [params.retstart, params.retmax]);
+    assert.deepEqual(pages, [['0', '2'], ['2', '2'], ['4', '1']]);
+    for (const { params } of mock.requestsTo('efetch.fcgi')) {
+        assert.equal(params.WebEnv, 'MCID_6714a2f0c5d8e3b1a40f7c21');
+        assert.equal(params.query_key, '1');
+        assert.equal(params.retmode, 'xml');
+    }
+});
+
+test('fetchArticles stops at maxRecords', async () => {
+    const articles = await createClient({ batchSize: 2, maxRecords: 3 }).fetchArticles('ecmo');
+    
+    assert.equal(articles.length, 3);
+    const pages = mock.requestsTo('efetch.fcgi').map(({ params }) => [params.retstart, params.retmax]);
+    assert.deepEqual(pages, [['0', '2'], ['2', '1']]);
+});
+
+test('efetch records are parsed into articles', async () => {
+    const [first, second, third, fourth, fifth] = await createClient().fetchArticles('ecmo');
+    
+    assert.equal(first.title, 'Outcomes of neonatal extracorporeal membrane oxygenation for congenital diaphragmatic hernia.');
+    assert.equal(first.journal, 'J Pediatr Surg');
+    assert.deepEqual(first.authors, ['Hirschl RB', 'Bartlett RH']);
+    assert.equal(first.abstract, 'BACKGROUND: ECMO is offered to neonates with severe respiratory failure. ' +
+                                 'METHODS: We reviewed a registry of 412 patients. RESULTS: Survival to discharge was 51%.');
+    assert.deepEqual(first.mesh, ['Extracorporeal Membrane Oxygenation', 'Hernias, Diaphragmatic, Congenital', 'Humans']);
+    assert.deepEqual(first.keywords, ['ECMO', 'CDH']);
+    assert.equal(first.doi, '10.1016/j.jpedsurg.2019.01.001');
+    assert.deepEqual([first.pubDate.year, first.pubDate.month, first.pubDate.day], [2019, 3, 14]);
+    
+    // Collective authors, MedlineDate and PMC ids
+    assert.equal(second.collectiveName, 'ELSO Registry Group');
+    assert.deepEqual(second.authors, ['Thiagarajan RR']);
+    assert.equal(second.pubDate.year, 2018);
+    assert.equal(second.pmcId, 'PMC6400001');
+    
+    // DOI from the ELocationID when the ArticleIdList has none
+    assert.equal(third.doi, '10.3389/fped.2018.00001');
+    assert.equal(third.abstract, '');
+    
+    // Inline markup in titles is flattened to text
+    assert.equal(fourth.title, 'Circuit changes in long-run neonatal ECMO.');
+    assert.equal(fifth.pubDate.month, 12);
+});
+
+test('throttled and failing requests are retried with backoff', async () => {
+    mock.respondWith({ status: 429, body: 'Too Many Requests' }, { status: 503, body: 'Service Unavailable' });
+    
+    const history = await createClient({ retryDelay: 40 }).search('ecmo');
+    
+    assert.equal(history.count, 5);
+    const times = mock.requests.map(request => request.time);
+    assert.equal(times.length, 3);
+    // Timers may fire a little early
+    assert.ok(times[1] - times[0] >= 35, `first retry after ${times[1] - times[0]} ms`);
+    assert.ok(times[2] - times[1] >= 75, `second retry after ${times[2] - times[1]} ms`);
+});
+
+test('retries stop after maxRetries with the last status', async () => {
+    mock.respondWith(...Array.from({ length: 4 }, () => ({ status: 500, body: 'Internal Server Error' })));
+    
+    await assert.rejects(createClient({ maxRetries: 2 }).search('ecmo'), error => {
+        assert.ok(error instanceof PubMedError);
+        assert.equal(error.status, 500);
+        assert.equal(error.message, 'esearch.fcgi returned HTTP 500');
+        return true;
+    });
+    assert.equal(mock.requests.length, 3);
+});
+
+test('client errors are not retried', async () => {
+    mock.respondWith({ status: 400, body: 'Bad Request' });
+    
+    await assert.rejects(createClient().search('ecmo'), { name: 'PubMedError', status: 400 });
+    assert.equal(mock.requests.length, 1);
+});
+
+test('requests are spaced by the rate limit', async () => {
+    await createClient({ batchSize: 1, requestsPerSecond: 20 }).fetchArticles('ecmo');
+    
+    const times = mock.requests.map(request => request.time);
+    assert.equal(times.length, 6);
+    for (let i = 1; i < times.length; i++) {
+        assert.ok(times[i] - times[i - 1] >= 45, `request ${i} after ${times[i] - times[i - 1]} ms`);
+    }
+});
+
+test('the rate limit defaults to 3 requests a second, 10 with an API key', () => {
+    assert.equal(new PubMedClient().requestsPerSecond, 3);
+    assert.equal(new PubMedClient({ apiKey: 'key' }).requestsPerSecond, 10);
+});
+
+test('aborting cancels a request in flight', async () => {
+    mock.delay = 1000;
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    
+    const started = Date.now();
+    await assert.rejects(createClient().fetchArticles('ecmo', { signal: controller.signal }), { name: 'AbortError' });
+    assert.ok(Date.now() - started < 500);
+    assert.equal(mock.requests.length, 1);
+});
+
+test('aborting cancels the backoff between retries', async () => {
+    mock.respondWith({ status: 503, body: 'Service Unavailable' });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    
+    const started = Date.now();
+    await assert.rejects(createClient({ retryDelay: 10000 }).search('ecmo', { signal: controller.signal }), { name: 'AbortError' });
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(mock.requests.length, 1);
+});
+
+test('an aborted signal sends no request', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    
+    await assert.rejects(createClient().search('ecmo', { signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(mock.requests.length, 0);
+});
@@ -0,0 +1,81 @@
+// test/table.test.js - Tag autocomplete of the data table
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { Article } from '../webgpu/data/article.js';
+
+let DataTable;
+
+before(async () => {
+    const { window } = new JSDOM('<!DOCTYPE html><div id="viewport"><table id="data-table"></table></div>', {
+        url: 'http://localhost/'
+    });
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.localStorage = window.localStorage;
+    globalThis.requestAnimationFrame = callback => setTimeout(callback, 0);
+    ({ DataTable } = await import('../webgpu/ui/table.js'));
+});
+
+let table;
+
+beforeEach(() => {
+    document.getElementById('tag-suggestions')?.remove();
+    table = new DataTable(document.getElementById('data-table'));
+});
+
+const suggestions = () => Array.from(document.getElementById('tag-suggestions').options, option => option.value);
+
+function articles(...tagLists) {
+    return tagLists.map((tags, i) => new Article({ pmid: String(i + 1), title: `Article ${i + 1}`, tags }));
+}
+
+test('suggestions come from the unfiltered data, most used first', () => {
+    const data = articles(['A'], ['A', 'B'], ['C'], ['B', 'A']);
+    table.setTagSource(data);
+    // A filter showing only the articles tagged "C"
+    table.render([data[2]]);
+    
+    assert.deepEqual(suggestions(), ['A', 'B', 'C']);
+});
+
+test('editing a row updates the counts from its previous tags', () => {
+    const data = articles(['A'], ['B'], ['B']);
+    table.setTagSource(data);
+    table.render(data);
+    
+    data[0].tags = ['B', 'C'];
+    table.updateRow(data[0]);
+    assert.deepEqual(suggestions(), ['B', 'C']);
+    assert.equal(table.tagCounts.get('B'), 3);
+    
+    data[1].tags = [];
+    data[2].tags = [];
+    table.updateRow(data[1]);
+    table.updateRow(data[2]);
+    assert.deepEqual(suggestions(), ['B', 'C']);
+    assert.equal(table.tagCounts.get('B'), 1);
+});
+
+test('edits to rows filtered out of the table still count', () => {
+    const data = articles(['A'], ['B']);
+    table.setTagSource(data);
+    table.render([data[0]]);
+    
+    data[1].tags = ['B', 'D'];
+    table.updateRow(data[1]);
+    assert.deepEqual(suggestions(), ['A', 'B', 'D']);
+});
+
+test('an article outside the counted data is recounted rather than added on top', () => {
+    const data = articles(['A']);
+    table.setTagSource(data);
+    table.render(data);
+    
+    // Added to the dataset after the last count
+    data.push(...articles(['A', 'E']).map(article => Object.assign(article, { id: 'new' })));
+    table.updateRow(data[1]);
+    table.updateRow(data[1]);
+    assert.equal(table.tagCounts.get('A'), 2);
+    assert.equal(table.tagCounts.get('E'), 1);
+});
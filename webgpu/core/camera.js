@@ -1,4 +1,6 @@
 // WebGPU Camera System
+import { CameraUniforms } from './layout.js';
+
 export class CameraSystem {
     constructor(renderer) {
         this.renderer = renderer;
@@ -31,13 +33,10 @@ export class CameraSystem {
     }
     
     createUniformBuffer() {
-        // Camera uniform buffer layout:
-        // - viewProjectionMatrix: 16 floats (64 bytes)
-        // - cameraPosition: 3 floats (12 bytes)
-        // - time: 1 float (4 bytes)
-        // Total: 80 bytes (pad to 256 for alignment)
+        // Layout declared in core/layout.js (CameraUniforms, 80 bytes)
+        this.uniformData = new ArrayBuffer(CameraUniforms.size);
         this.uniformBuffer = this.device.createBuffer({
-            size: 256,
+            size: CameraUniforms.size,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
         });
     }
@@ -86,7 +85,8 @@ export class CameraSystem {
     }
     
     updateViewMatrix() {
-        const z = this.normalize(this.subtractVectors(this.target, this.position));
+        // Right-handed look-at: the camera looks down its -z axis
+        const z = this.normalize(this.subtractVectors(this.position, this.target));
         const x = this.normalize(this.cross(this.up, z));
         const y = this.cross(z, x);
         
@@ -101,25 +101,14 @@ export class CameraSystem {
     updateUniformBuffer() {
         this.time += 0.01; // Simple time increment
         
-        const uniformData = new Float32Array(20); // 16 + 3 + 1 = 20 floats
-        
-        // Copy viewProjectionMatrix
-        uniformData.set(this.viewProjectionMatrix, 0);
-        
-        // Copy camera position
-        uniformData.set(this.position, 16);
-        
-        // Copy time
-        uniformData[19] = this.time;
+        CameraUniforms.pack({
+            viewProjectionMatrix: this.viewProjectionMatrix,
+            cameraPosition: this.position,
+            time: this.time
+        }, this.uniformData);
         
         // Update buffer
-        this.device.queue.writeBuffer(
-            this.uniformBuffer,
-            0,
-            uniformData.buffer,
-            uniformData.byteOffset,
-            uniformData.byteLength
-        );
+        this.device.queue.writeBuffer(this.uniformBuffer, 0, this.uniformData);
     }
     
     // Math helper functions
@@ -176,6 +165,71 @@ export class CameraSystem {
         out[15] = b30 * a03 + b31 * a13 + b32 * a23 + b33 * a33;
     }
     
+    // World-space ray through a point in normalized device coordinates
+    // (-1..1, y up): { origin, direction } with direction normalized
+    screenRay(ndcX, ndcY) {
+        const inverse = this.invertMatrix(this.viewProjectionMatrix);
+        if (!inverse) return null;
+        
+        const near = this.transformPoint(inverse, [ndcX, ndcY, -1]);
+        const far = this.transformPoint(inverse, [ndcX, ndcY, 1]);
+        return { origin: [...this.position], direction: this.normalize(this.subtractVectors(far, near)) };
+    }
+    
+    // Column-major matrix times (x, y, z, 1), with the perspective divide
+    transformPoint(m, [x, y, z]) {
+        const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+        return [
+            (m[0] * x + m[4] * y + m[8] * z + m[12]) / w,
+            (m[1] * x + m[5] * y + m[9] * z + m[13]) / w,
+            (m[2] * x + m[6] * y + m[10] * z + m[14]) / w
+        ];
+    }
+    
+    // General 4x4 inverse (cofactor expansion); null when singular
+    invertMatrix(m) {
+        const out = new Float32Array(16);
+        const a00 = m[0], a01 = m[1], a02 = m[2], a03 = m[3];
+        const a10 = m[4], a11 = m[5], a12 = m[6], a13 = m[7];
+        const a20 = m[8], a21 = m[9], a22 = m[10], a23 = m[11];
+        const a30 = m[12], a31 = m[13], a32 = m[14], a33 = m[15];
+        
+        const b00 = a00 * a11 - a01 * a10;
+        const b01 = a00 * a12 - a02 * a10;
+        const b02 = a00 * a13 - a03 * a10;
+        const b03 = a01 * a12 - a02 * a11;
+        const b04 = a01 * a13 - a03 * a11;
+        const b05 = a02 * a13 - a03 * a12;
+        const b06 = a20 * a31 - a21 * a30;
+        const b07 = a20 * a32 - a22 * a30;
+        const b08 = a20 * a33 - a23 * a30;
+        const b09 = a21 * a32 - a22 * a31;
+        const b10 = a21 * a33 - a23 * a31;
+        const b11 = a22 * a33 - a23 * a32;
+        
+        const det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+        if (!det) return null;
+        const inv = 1 / det;
+        
+        out[0] = (a11 * b11 - a12 * b10 + a13 * b09) * inv;
+        out[1] = (a02 * b10 - a01 * b11 - a03 * b09) * inv;
+        out[2] = (a31 * b05 - a32 * b04 + a33 * b03) * inv;
+        out[3] = (a22 * b04 - a21 * b05 - a23 * b03) * inv;
+        out[4] = (a12 * b08 - a10 * b11 - a13 * b07) * inv;
+        out[5] = (a00 * b11 - a02 * b08 + a03 * b07) * inv;
+        out[6] = (a32 * b02 - a30 * b05 - a33 * b01) * inv;
+        out[7] = (a20 * b05 - a22 * b02 + a23 * b01) * inv;
+        out[8] = (a10 * b10 - a11 * b08 + a13 * b06) * inv;
+        out[9] = (a01 * b08 - a00 * b10 - a03 * b06) * inv;
+        out[10] = (a30 * b04 - a31 * b02 + a33 * b00) * inv;
+        out[11] = (a21 * b02 - a20 * b04 - a23 * b00) * inv;
+        out[12] = (a11 * b07 - a10 * b09 - a12 * b06) * inv;
+        out[13] = (a00 * b09 - a01 * b07 + a02 * b06) * inv;
+        out[14] = (a31 * b01 - a30 * b03 - a32 * b00) * inv;
+        out[15] = (a20 * b03 - a21 * b01 + a22 * b00) * inv;
+        return out;
+    }
+    
     // Camera movement methods
     moveForward(distance) {
         const direction = this.normalize(this.subtractVectors(this.target, this.position));
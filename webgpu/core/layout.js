@@ -0,0 +1,184 @@
+// webgpu/core/layout.js - GPU struct layouts declared once for WGSL and JavaScript
+
+// Size and alignment (bytes) of the WGSL types we use, per the WGSL
+// alignment rules shared by the storage (std430-like) and uniform address spaces
+const TYPES = {
+    'f32': { size: 4, align: 4, components: 1, kind: 'f32' },
+    'u32': { size: 4, align: 4, components: 1, kind: 'u32' },
+    'i32': { size: 4, align: 4, components: 1, kind: 'i32' },
+    'vec2<f32>': { size: 8, align: 8, components: 2, kind: 'f32' },
+    'vec3<f32>': { size: 12, align: 16, components: 3, kind: 'f32' },
+    'vec4<f32>': { size: 16, align: 16, components: 4, kind: 'f32' },
+    'vec2<u32>': { size: 8, align: 8, components: 2, kind: 'u32' },
+    'vec4<u32>': { size: 16, align: 16, components: 4, kind: 'u32' },
+    'mat4x4<f32>': { size: 64, align: 16, components: 16, kind: 'f32' }
+};
+
+const VIEWS = {
+    f32: Float32Array,
+    u32: Uint32Array,
+    i32: Int32Array
+};
+
+export class StructLayout {
+    // fields: [[name, wgslType], ...] in declaration order. Uniform structs
+    // round their alignment (and so their size) up to 16 bytes.
+    constructor(name, fields, { uniform = false } = {}) {
+        this.name = name;
+        this.uniform = uniform;
+        
+        let offset = 0;
+        let align = uniform ? 16 : 1;
+        this.fields = fields.map(([fieldName, type]) => {
+            const info = TYPES[type];
+            if (!info) {
+                throw new Error(`Unsupported type ${type} for ${name}.${fieldName}`);
+            }
+            offset = roundUp(offset, info.align);
+            const field = { name: fieldName, type, offset, ...info };
+            offset += info.size;
+            align = Math.max(align, info.align);
+            return field;
+        });
+        
+        this.align = align;
+        // Bytes per element, which is also the array stride
+        this.size = roundUp(offset, align);
+        // 32-bit words per element, and each field's word offset, for code
+        // writing straight into a Float32Array of many elements
+        this.words = this.size / 4;
+        this.offsets = {};
+        this.fields.forEach(field => {
+            this.offsets[field.name] = field.offset / 4;
+        });
+    }
+    
+    // WGSL declaration, e.g. `struct CubeData { position: vec3<f32>, ... };`
+    get wgsl() {
+        const members = this.fields.map(field => `    ${field.name}: ${field.type},`);
+        return [`struct ${this.name} {`, ...members, '};'].join('\n');
+    }
+    
+    // Write the fields present in `values` into element `index` of `target`
+    // (an ArrayBuffer or typed array over one); returns the ArrayBuffer
+    pack(values, target = new ArrayBuffer(this.size), index = 0) {
+        const buffer = ArrayBuffer.isView(target) ? target.buffer : target;
+        const base = (ArrayBuffer.isView(target) ? target.byteOffset : 0) + index * this.size;
+        
+        for (const field of this.fields) {
+            const value = values[field.name];
+            if (value === undefined) continue;
+            
+            const view = new VIEWS[field.kind](buffer, base + field.offset, field.components);
+            if (field.components === 1) {
+                view[0] = value;
+            } else {
+                if (value.length !== field.components) {
+                    throw new Error(`${this.name}.${field.name} needs ${field.components} components, got ${value.length}`);
+                }
+                view.set(value);
+            }
+        }
+        return buffer;
+    }
+    
+    // Read element `index` back into { field: number | number[] }
+    unpack(source, index = 0) {
+        const buffer = ArrayBuffer.isView(source) ? source.buffer : source;
+        const base = (ArrayBuffer.isView(source) ? source.byteOffset : 0) + index * this.size;
+        
+        const values = {};
+        for (const field of this.fields) {
+            const view = new VIEWS[field.kind](buffer, base + field.offset, field.components);
+            values[field.name] = field.components === 1 ? view[0] : Array.from(view);
+        }
+        return values;
+    }
+}
+
+function roundUp(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+// One cube instance in the storage buffer written by DataProcessor
+export const CubeData = new StructLayout('CubeData', [
+    ['position', 'vec3<f32>'],
+    ['size', 'f32'],
+    ['color', 'vec3<f32>'],
+    ['selected', 'f32'],
+    ['visibility', 'f32'],
+    ['glow', 'f32'],
+    ['hovered', 'f32']
+]);
+
+// Per-frame camera uniforms written by CameraSystem
+export const CameraUniforms = new StructLayout('CameraUniforms', [
+    ['viewProjectionMatrix', 'mat4x4<f32>'],
+    ['cameraPosition', 'vec3<f32>'],
+    ['time', 'f32']
+], { uniform: true });
+
+// Compact per-article keys the layout compute passes position cubes from
+export const ArticleKeys = new StructLayout('ArticleKeys', [
+    ['year', 'i32'],
+    ['yearRank', 'u32'],
+    ['journal', 'u32'],
+    ['cluster', 'u32'],
+    ['clusterRank', 'u32'],
+    ['branch', 'u32'],
+    ['branchRank', 'u32']
+]);
+
+// Uniforms shared by the layout compute passes
+export const LayoutParams = new StructLayout('LayoutParams', [
+    ['count', 'u32'],
+    ['gridSize', 'u32'],
+    ['journalCount', 'u32'],
+    ['clusterCount', 'u32'],
+    ['yearMin', 'i32'],
+    ['yearSpan', 'u32'],
+    ['branchCount', 'u32']
+], { uniform: true });
+
+// A topic cluster of the cluster layout: its center, radius and article count
+export const ClusterCenter = new StructLayout('ClusterCenter', [
+    ['center', 'vec3<f32>'],
+    ['radius', 'f32'],
+    ['count', 'u32']
+]);
+
+// A MeSH branch of the hierarchy layout: the arc of its sunburst ring (angles
+// in radians, from `radius` outward) that its articles fill in `rows` x
+// `columns` cells `spacing` apart, stacking upward once it is full
+export const MeshBranch = new StructLayout('MeshBranch', [
+    ['start', 'f32'],
+    ['span', 'f32'],
+    ['radius', 'f32'],
+    ['spacing', 'f32'],
+    ['rows', 'u32'],
+    ['columns', 'u32']
+]);
+
+// A cube position written by a layout pass, with the stagger group it
+// belongs to in that layout (0-1); transitions start from the same struct
+export const LayoutPosition = new StructLayout('LayoutPosition', [
+    ['position', 'vec3<f32>'],
+    ['group', 'f32']
+]);
+
+// Uniforms of the pass interpolating cubes between two layouts (times in ms)
+export const TransitionParams = new StructLayout('TransitionParams', [
+    ['count', 'u32'],
+    ['easing', 'u32'],
+    ['elapsed', 'f32'],
+    ['duration', 'f32'],
+    ['stagger', 'f32']
+], { uniform: true });
+
+// An edge of the network view between cubes `first` and `second`, drawn
+// with its similarity weight (0-1) as opacity
+export const EdgeData = new StructLayout('EdgeData', [
+    ['first', 'u32'],
+    ['second', 'u32'],
+    ['weight', 'f32']
+]);
@@ -0,0 +1,230 @@
+// webgpu/core/picking.js - Ray and screen-region picking of cube instances
+
+// Instances per leaf; small leaves keep traversal tight for scattered layouts
+const LEAF_SIZE = 4;
+
+export class InstancePicker {
+    constructor(dataProcessor) {
+        this.dataProcessor = dataProcessor;
+        
+        // Rebuilt lazily when the processor's instance data changed
+        this.version = -1;
+        this.bounds = null; // 6 floats per instance: min xyz, max xyz
+        this.order = null; // instance indices, grouped by leaf
+        
+        // Nodes in depth-first order: a left child directly follows its parent.
+        // Leaves store their first slot in `order` and a count; interior nodes
+        // store the right child in `next` and a count of 0.
+        this.nodeBounds = null;
+        this.next = null;
+        this.counts = null;
+        this.nodeCount = 0;
+    }
+    
+    // Nearest visible instance hit by a ray: { index, article, distance } or null
+    pick(origin, direction) {
+        this.update();
+        if (this.nodeCount === 0) return null;
+        
+        const inverse = direction.map(component => 1 / component);
+        let best = null;
+        let bestDistance = Infinity;
+        const stack = [0];
+        
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (intersectBox(this.nodeBounds, node * 6, origin, inverse) >= bestDistance) continue;
+            
+            const count = this.counts[node];
+            if (count > 0) {
+                const first = this.next[node];
+                for (let i = first; i < first + count; i++) {
+                    const index = this.order[i];
+                    const distance = intersectBox(this.bounds, index * 6, origin, inverse);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = index;
+                    }
+                }
+                continue;
+            }
+            
+            // Visit the nearer child first so farther subtrees get culled
+            const left = node + 1;
+            const right = this.next[node];
+            const leftDistance = intersectBox(this.nodeBounds, left * 6, origin, inverse);
+            const rightDistance = intersectBox(this.nodeBounds, right * 6, origin, inverse);
+            if (leftDistance < rightDistance) {
+                if (rightDistance < bestDistance) stack.push(right);
+                if (leftDistance < bestDistance) stack.push(left);
+            } else {
+                if (leftDistance < bestDistance) stack.push(left);
+                if (rightDistance < bestDistance) stack.push(right);
+            }
+        }
+        
+        if (best === null) return null;
+        return { index: best, article: this.dataProcessor.data[best], distance: bestDistance };
+    }
+    
+    // Visible instances whose centers project inside a screen-space polygon
+    // (NDC points, implicitly closed); instances behind the camera are skipped
+    selectInPolygon(viewProjectionMatrix, polygon) {
+        this.update();
+        const m = viewProjectionMatrix;
+        
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const [x, y] of polygon) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+        
+        const selected = [];
+        for (const index of this.order) {
+            const offset = index * 6;
+            const x = (this.bounds[offset] + this.bounds[offset + 3]) / 2;
+            const y = (this.bounds[offset + 1] + this.bounds[offset + 4]) / 2;
+            const z = (this.bounds[offset + 2] + this.bounds[offset + 5]) / 2;
+            
+            const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+            if (w <= 0) continue;
+            const screenX = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+            const screenY = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+            
+            if (screenX < minX || screenX > maxX || screenY < minY || screenY > maxY) continue;
+            if (pointInPolygon(screenX, screenY, polygon)) selected.push(index);
+        }
+        return selected;
+    }
+    
+    update() {
+        if (this.version === this.dataProcessor.instanceVersion) return;
+        this.version = this.dataProcessor.instanceVersion;
+        // While a layout transition moves the cubes every frame, a tree would be
+        // stale by the next pick; a single leaf (a linear scan) is cheaper to build
+        const leafSize = this.dataProcessor.isTransitioning() ? Infinity : LEAF_SIZE;
+        this.build(this.dataProcessor.getInstanceBounds(), leafSize);
+    }
+    
+    // Top-down build splitting each node at the midpoint of its longest
+    // centroid axis, falling back to halving when the centroids coincide
+    build(bounds, leafSize = LEAF_SIZE) {
+        this.bounds = bounds;
+        
+        // Hidden instances come back as empty boxes and are left out entirely
+        const visible = [];
+        for (let index = 0; index < bounds.length / 6; index++) {
+            if (bounds[index * 6] <= bounds[index * 6 + 3]) visible.push(index);
+        }
+        
+        this.order = Uint32Array.from(visible);
+        this.nodeBounds = new Float32Array(Math.max(1, 2 * visible.length) * 6);
+        this.next = new Uint32Array(Math.max(1, 2 * visible.length));
+        this.counts = new Uint32Array(Math.max(1, 2 * visible.length));
+        this.nodeCount = 0;
+        if (visible.length === 0) return;
+        
+        const centroids = new Float32Array(bounds.length / 2);
+        for (const index of visible) {
+            for (let axis = 0; axis < 3; axis++) {
+                centroids[index * 3 + axis] = (bounds[index * 6 + axis] + bounds[index * 6 + 3 + axis]) / 2;
+            }
+        }
+        
+        // Explicit stack of [node, start, end, parent]. A left child is allocated
+        // right after its parent; a right child (node null) only when popped, after
+        // the whole left subtree, and then patched into its parent's `next`.
+        const pending = [[null, 0, visible.length, -1]];
+        while (pending.length > 0) {
+            const [allocated, start, end, parent] = pending.pop();
+            const node = allocated ?? this.nodeCount++;
+            if (parent !== -1) this.next[parent] = node;
+            
+            const centroidBounds = this.fitNode(node, start, end, centroids);
+            const count = end - start;
+            if (count <= leafSize) {
+                this.next[node] = start;
+                this.counts[node] = count;
+                continue;
+            }
+            
+            let axis = 0;
+            for (let a = 1; a < 3; a++) {
+                if (centroidBounds[a + 3] - centroidBounds[a] > centroidBounds[axis + 3] - centroidBounds[axis]) axis = a;
+            }
+            
+            let middle = this.partition(start, end, centroids, axis, (centroidBounds[axis] + centroidBounds[axis + 3]) / 2);
+            if (middle === start || middle === end) middle = start + (count >> 1);
+            
+            pending.push([null, middle, end, node]);
+            pending.push([this.nodeCount++, start, middle, -1]);
+        }
+    }
+    
+    // Store the node's box; return the bounds of its instances' centroids
+    fitNode(node, start, end, centroids) {
+        const box = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+        const centroidBox = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+        for (let i = start; i < end; i++) {
+            const index = this.order[i];
+            for (let axis = 0; axis < 3; axis++) {
+                box[axis] = Math.min(box[axis], this.bounds[index * 6 + axis]);
+                box[axis + 3] = Math.max(box[axis + 3], this.bounds[index * 6 + 3 + axis]);
+                const centroid = centroids[index * 3 + axis];
+                centroidBox[axis] = Math.min(centroidBox[axis], centroid);
+                centroidBox[axis + 3] = Math.max(centroidBox[axis + 3], centroid);
+            }
+        }
+        this.nodeBounds.set(box, node * 6);
+        return centroidBox;
+    }
+    
+    // In-place partition of order[start, end) by centroid; returns the split index
+    partition(start, end, centroids, axis, split) {
+        let i = start;
+        let j = end - 1;
+        while (i <= j) {
+            if (centroids[this.order[i] * 3 + axis] < split) {
+                i++;
+            } else {
+                const swap = this.order[i];
+                this.order[i] = this.order[j];
+                this.order[j] = swap;
+                j--;
+            }
+        }
+        return i;
+    }
+}
+
+// Even-odd rule, so self-intersecting lassos behave predictably
+function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Slab test: distance along the ray to where it enters the box (0 when the
+// origin is inside), or Infinity on a miss
+function intersectBox(boxes, offset, origin, inverse) {
+    let near = 0;
+    let far = Infinity;
+    for (let axis = 0; axis < 3; axis++) {
+        let t1 = (boxes[offset + axis] - origin[axis]) * inverse[axis];
+        let t2 = (boxes[offset + axis + 3] - origin[axis]) * inverse[axis];
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        // NaN (origin on a slab parallel to the ray) leaves the bounds unchanged
+        if (t1 > near) near = t1;
+        if (t2 < far) far = t2;
+        if (near > far) return Infinity;
+    }
+    return near;
+}
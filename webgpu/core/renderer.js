@@ -1,4 +1,6 @@
 // webgpu/core/renderer.js - Fixed with vertex buffer
+import { CameraUniforms, CubeData, EdgeData } from './layout.js';
+
 export class WebGPURenderer {
     constructor(canvas) {
         this.canvas = canvas;
@@ -6,6 +8,9 @@ export class WebGPURenderer {
         this.context = null;
         this.format = null;
         this.pipeline = null;
+        // Network view edges, drawn as instanced line segments over the cubes
+        this.edgePipeline = null;
+        this.cameraBindGroupLayout = null;
         this.depthTexture = null;
         
         // Vertex buffer for cube geometry
@@ -51,8 +56,9 @@ export class WebGPURenderer {
             usage: GPUTextureUsage.RENDER_ATTACHMENT
         });
         
-        // 5. Create render pipeline
+        // 5. Create render pipelines
         await this.createPipeline();
+        this.createEdgePipeline();
         
         console.log('WebGPU Renderer initialized successfully');
         return this.device;
@@ -135,18 +141,10 @@ export class WebGPURenderer {
         const cubeShaderCode = `
             // Simple cube shader for testing
             
-            struct CameraUniforms {
-                viewProjectionMatrix: mat4x4<f32>,
-                cameraPosition: vec3<f32>,
-                time: f32,
-            };
+            ${CameraUniforms.wgsl}
             
-            struct CubeData {
-                position: vec3<f32>,
-                color: vec3<f32>,
-                size: f32,
-                selected: f32,
-            };
+            // Generated from the same declaration DataProcessor packs with
+            ${CubeData.wgsl}
             
             @group(0) @binding(0) var<uniform> camera: CameraUniforms;
             @group(1) @binding(0) var<storage, read> cubes: array<CubeData>;
@@ -155,6 +153,9 @@ export class WebGPURenderer {
                 @builtin(position) position: vec4<f32>,
                 @location(0) color: vec3<f32>,
                 @location(1) selected: f32,
+                @location(2) visibility: f32,
+                @location(3) glow: f32,
+                @location(4) hovered: f32,
             };
             
             @vertex
@@ -163,12 +164,21 @@ export class WebGPURenderer {
                 @builtin(instance_index) instanceIndex: u32
             ) -> VertexOutput {
                 let cube = cubes[instanceIndex];
-                let worldPosition = position * cube.size + cube.position;
+                // Search matches swell slightly with their glow
+                let worldPosition = position * cube.size * (1.0 + 0.15 * cube.glow) + cube.position;
                 
                 var output: VertexOutput;
                 output.position = camera.viewProjectionMatrix * vec4<f32>(worldPosition, 1.0);
                 output.color = cube.color;
                 output.selected = cube.selected;
+                output.visibility = cube.visibility;
+                output.glow = cube.glow;
+                output.hovered = cube.hovered;
+                
+                // Hidden cubes collapse to a point outside the clip volume
+                if (cube.visibility <= 0.0) {
+                    output.position = vec4<f32>(0.0, 0.0, 2.0, 1.0);
+                }
                 
                 return output;
             }
@@ -183,6 +193,19 @@ export class WebGPURenderer {
                     finalColor = mix(finalColor, vec3<f32>(1.0, 1.0, 0.0), 0.5);
                 }
                 
+                // Search matches glow, the most relevant brightest
+                finalColor = min(finalColor + input.glow * vec3<f32>(0.55, 0.5, 0.3), vec3<f32>(1.0));
+                
+                // The cube under the cursor turns cyan and shows through dimming
+                var visibility = input.visibility;
+                if (input.hovered > 0.5) {
+                    finalColor = mix(finalColor, vec3<f32>(0.3, 0.95, 1.0), 0.6);
+                    visibility = max(visibility, 0.8);
+                }
+                
+                // Dimmed cubes fade towards the clear color
+                finalColor = mix(vec3<f32>(0.1, 0.1, 0.2), finalColor, visibility);
+                
                 return vec4<f32>(finalColor, 1.0);
             }
         `;
@@ -191,17 +214,19 @@ export class WebGPURenderer {
             code: cubeShaderCode
         });
         
+        // Camera uniforms (group 0), shared with the edge pipeline
+        this.cameraBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [{
+                binding: 0,
+                visibility: GPUShaderStage.VERTEX,
+                buffer: { type: 'uniform' }
+            }]
+        });
+        
         // Create pipeline layout
         const pipelineLayout = this.device.createPipelineLayout({
             bindGroupLayouts: [
-                // Camera uniforms (group 0)
-                this.device.createBindGroupLayout({
-                    entries: [{
-                        binding: 0,
-                        visibility: GPUShaderStage.VERTEX,
-                        buffer: { type: 'uniform' }
-                    }]
-                }),
+                this.cameraBindGroupLayout,
                 // Cube data (group 1)
                 this.device.createBindGroupLayout({
                     entries: [{
@@ -261,13 +286,124 @@ export class WebGPURenderer {
         console.log('Render pipeline created successfully');
     }
     
+    // Edges read their end points from the cube buffer, so they follow
+    // the cubes through layout transitions without an upload of their own
+    createEdgePipeline() {
+        const edgeShaderCode = `
+            ${CameraUniforms.wgsl}
+            
+            ${CubeData.wgsl}
+            
+            ${EdgeData.wgsl}
+            
+            @group(0) @binding(0) var<uniform> camera: CameraUniforms;
+            @group(1) @binding(0) var<storage, read> cubes: array<CubeData>;
+            @group(1) @binding(1) var<storage, read> edges: array<EdgeData>;
+            
+            struct VertexOutput {
+                @builtin(position) position: vec4<f32>,
+                @location(0) color: vec4<f32>,
+            };
+            
+            @vertex
+            fn vertex_main(
+                @builtin(vertex_index) vertexIndex: u32,
+                @builtin(instance_index) instanceIndex: u32
+            ) -> VertexOutput {
+                let edge = edges[instanceIndex];
+                let head = cubes[edge.first];
+                let tail = cubes[edge.second];
+                var position = head.position;
+                if (vertexIndex == 1u) {
+                    position = tail.position;
+                }
+                
+                // Stronger edges are more opaque; edges of dimmed cubes fade with
+                // them and edges touching a selected cube turn yellow
+                let visibility = min(head.visibility, tail.visibility);
+                let selected = max(head.selected, tail.selected);
+                let color = mix(vec3<f32>(0.55, 0.65, 0.9), vec3<f32>(1.0, 1.0, 0.0), selected);
+                
+                var output: VertexOutput;
+                output.position = camera.viewProjectionMatrix * vec4<f32>(position, 1.0);
+                output.color = vec4<f32>(color, (0.15 + 0.6 * edge.weight) * visibility);
+                
+                // Edges of hidden cubes collapse outside the clip volume
+                if (visibility <= 0.0) {
+                    output.position = vec4<f32>(0.0, 0.0, 2.0, 1.0);
+                }
+                
+                return output;
+            }
+            
+            @fragment
+            fn fragment_main(input: VertexOutput) -> @location(0) vec4<f32> {
+                return input.color;
+            }
+        `;
+        
+        const edgeShaderModule = this.device.createShaderModule({
+            code: edgeShaderCode
+        });
+        
+        const pipelineLayout = this.device.createPipelineLayout({
+            bindGroupLayouts: [
+                this.cameraBindGroupLayout,
+                // Cube data and edges (group 1)
+                this.device.createBindGroupLayout({
+                    entries: [0, 1].map(binding => ({
+                        binding,
+                        visibility: GPUShaderStage.VERTEX,
+                        buffer: { type: 'read-only-storage' }
+                    }))
+                })
+            ]
+        });
+        
+        this.edgePipeline = this.device.createRenderPipeline({
+            layout: pipelineLayout,
+            vertex: {
+                module: edgeShaderModule,
+                entryPoint: 'vertex_main'
+            },
+            fragment: {
+                module: edgeShaderModule,
+                entryPoint: 'fragment_main',
+                targets: [{
+                    format: this.format,
+                    blend: {
+                        color: {
+                            srcFactor: 'src-alpha',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add'
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add'
+                        }
+                    }
+                }]
+            },
+            primitive: {
+                topology: 'line-list'
+            },
+            // Hidden behind cubes, but translucent lines don't occlude each other
+            depthStencil: {
+                depthWriteEnabled: false,
+                depthCompare: 'less',
+                format: 'depth24plus'
+            }
+        });
+    }
+    
     render(camera, dataProcessor) {
         if (!this.device || !this.pipeline || !this.vertexBuffer) {
             console.warn('Renderer not ready for rendering');
             return;
         }
         
-        if (!dataProcessor || !dataProcessor.renderBindGroup || dataProcessor.instanceCount === 0) {
+        if (!dataProcessor || !dataProcessor.renderBindGroup) {
             console.warn('No data to render or bind group not ready');
             return;
         }
@@ -316,20 +452,29 @@ export class WebGPURenderer {
                 renderPass.setBindGroup(0, camera.bindGroup);
             }
             
-            // Bind cube data
-            renderPass.setBindGroup(1, dataProcessor.renderBindGroup);
+            // Bind cube data: the articles, or the authors of the co-authorship view
+            const cubes = dataProcessor.drawnCubes();
+            renderPass.setBindGroup(1, cubes.bindGroup);
             
             // Draw instanced cubes
-            const instanceCount = dataProcessor.instanceCount || 0;
-            if (instanceCount > 0) {
-                renderPass.draw(36, instanceCount, 0, 0); // 36 vertices per cube
+            if (cubes.count > 0) {
+                renderPass.draw(36, cubes.count, 0, 0); // 36 vertices per cube
+            }
+            
+            // Network edges over the cubes: one two-vertex line per edge
+            const edges = dataProcessor.drawnEdges();
+            if (edges.count > 0 && camera && camera.bindGroup) {
+                renderPass.setPipeline(this.edgePipeline);
+                renderPass.setBindGroup(0, camera.bindGroup);
+                renderPass.setBindGroup(1, edges.bindGroup);
+                renderPass.draw(2, edges.count, 0, 0);
             }
             
             renderPass.end();
             
             // Submit command buffer
             this.device.queue.submit([commandEncoder.finish()]);
-            
+        
         } catch (error) {
             console.error('Rendering error:', error);
         }
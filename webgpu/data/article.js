@@ -0,0 +1,371 @@
+// webgpu/data/article.js - Normalized article model for PubMed records
+import { normalizeDecision, decisionFromIncludeFlag } from './screening.js';
+
+// Column counts of the PubMed CSV export layout
+const AUTHOR_COLUMNS = 20;
+const MESH_COLUMNS = 30;
+const KEYWORD_COLUMNS = 30;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Columns folded into Article fields; anything else is kept in `extra`
+const KNOWN_COLUMNS = new Set([
+    'ID', 'PMID', 'Title', 'Source', 'Doi', 'DOI', 'DOI_Link', 'PMC_ID', 'PMC_Link',
+    'Collective_Name', 'PubYear', 'PubMonth', 'PubDay', 'OriginalPubDate', 'Abstract',
+    'Notes', 'Rating', 'Tags', 'Decision', 'Exclusion_Reason', 'Reviews', 'Provenance', 'includeArticle'
+]);
+const WIDE_COLUMN = /^(Author|MeSH|Keyword)_\d+$/;
+
+let localIdCounter = 0;
+
+// Publication date precision levels, from least to most precise
+export const DatePrecision = {
+    NONE: 'none',
+    YEAR: 'year',
+    MONTH: 'month',
+    DAY: 'day'
+};
+
+export class PublicationDate {
+    constructor(year = null, month = null, day = null, original = '') {
+        this.year = year;
+        this.month = month; // 1-12
+        this.day = day;
+        this.original = original;
+    }
+    
+    get precision() {
+        if (this.year === null) return DatePrecision.NONE;
+        if (this.month === null) return DatePrecision.YEAR;
+        if (this.day === null) return DatePrecision.MONTH;
+        return DatePrecision.DAY;
+    }
+    
+    // Parse month names ("Nov"), numbers ("11") and seasons ("Winter")
+    static parseMonth(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim().toLowerCase();
+        if (!text) return null;
+        
+        const number = parseInt(text, 10);
+        if (!isNaN(number) && number >= 1 && number <= 12) return number;
+        
+        const index = MONTHS.indexOf(text.slice(0, 3));
+        if (index !== -1) return index + 1;
+        
+        const seasons = { spring: 3, summer: 6, fall: 9, autumn: 9, winter: 12 };
+        return seasons[text] || null;
+    }
+    
+    static parseParts(year, month, day, original = '') {
+        const y = parseInt(year, 10);
+        if (isNaN(y)) {
+            return PublicationDate.parseString(original);
+        }
+        
+        const m = PublicationDate.parseMonth(month);
+        const d = m !== null ? parseInt(day, 10) : NaN;
+        
+        return new PublicationDate(
+            y,
+            m,
+            !isNaN(d) && d >= 1 && d <= 31 ? d : null,
+            original
+        );
+    }
+    
+    // Parse a PubMed-style date string such as "1995 Nov 4", "1994 Aug" or "2001"
+    static parseString(text) {
+        const original = (text || '').trim();
+        const match = original.match(/^(\d{4})(?:[\s-]+([A-Za-z]+|\d{1,2}))?(?:[\s-]+(\d{1,2}))?/);
+        if (!match) {
+            return new PublicationDate(null, null, null, original);
+        }
+        const month = PublicationDate.parseMonth(match[2]);
+        const day = month !== null && match[3] ? parseInt(match[3], 10) : null;
+        return new PublicationDate(parseInt(match[1], 10), month, day, original);
+    }
+    
+    toString() {
+        if (this.original) return this.original;
+        const parts = [];
+        if (this.year !== null) parts.push(this.year);
+        if (this.month !== null) parts.push(MONTHS[this.month - 1].replace(/^./, c => c.toUpperCase()));
+        if (this.day !== null) parts.push(this.day);
+        return parts.join(' ');
+    }
+    
+    toJSON() {
+        return { year: this.year, month: this.month, day: this.day, original: this.original };
+    }
+    
+    static fromJSON(json) {
+        if (!json) return new PublicationDate();
+        return new PublicationDate(json.year ?? null, json.month ?? null, json.day ?? null, json.original || '');
+    }
+}
+
+export class Article {
+    constructor(fields = {}) {
+        this.pmid = fields.pmid ? String(fields.pmid) : '';
+        // Unique key for selection and the GPU instance order; records without
+        // a PMID (RIS, BibTeX, ...) get a local one
+        this.id = fields.id || this.pmid || Article.generateId();
+        this.title = fields.title || '';
+        this.journal = fields.journal || '';
+        this.abstract = fields.abstract || '';
+        this.authors = fields.authors ? [...fields.authors] : [];
+        this.collectiveName = fields.collectiveName || '';
+        this.mesh = fields.mesh ? [...fields.mesh] : [];
+        this.keywords = fields.keywords ? [...fields.keywords] : [];
+        this.pubDate = fields.pubDate instanceof PublicationDate
+            ? fields.pubDate
+            : PublicationDate.fromJSON(fields.pubDate);
+        this.doi = fields.doi || '';
+        this.pmcId = fields.pmcId || '';
+        
+        // Reviewer annotations
+        this.notes = fields.notes || '';
+        this.rating = fields.rating || 0; // 0 = unrated, 1-5 stars
+        this.tags = fields.tags ? [...fields.tags] : [];
+        this.decision = normalizeDecision(fields.decision); // '', 'include', 'exclude' or 'maybe'
+        this.exclusionReason = fields.exclusionReason || '';
+        
+        // Blinded per-reviewer decisions: { [reviewer]: { decision, exclusionReason, decidedAt } }.
+        // `decision` above is the consensus.
+        this.reviews = {};
+        for (const [reviewer, review] of Object.entries(fields.reviews || {})) {
+            this.reviews[reviewer] = { ...review, decision: normalizeDecision(review.decision) };
+        }
+        
+        // Id of the record this one was merged into by deduplication
+        this.duplicateOf = fields.duplicateOf || '';
+        
+        // Where the record came from: [{ label, format, importedAt }]
+        this.provenance = fields.provenance ? fields.provenance.map(entry => ({ ...entry })) : [];
+        
+        // Unrecognized source columns, kept for lossless round trips
+        this.extra = { ...(fields.extra || {}) };
+    }
+    
+    static generateId() {
+        localIdCounter++;
+        return `local-${Date.now().toString(36)}-${localIdCounter}`;
+    }
+    
+    get year() {
+        return this.pubDate.year;
+    }
+    
+    get firstAuthor() {
+        return this.authors[0] || this.collectiveName || '';
+    }
+    
+    get doiLink() {
+        return this.doi ? `https://doi.org/${this.doi}` : '';
+    }
+    
+    get pmcLink() {
+        return this.pmcId ? `https://www.ncbi.nlm.nih.gov/pmc/articles/${this.pmcId}/` : '';
+    }
+    
+    get pubmedLink() {
+        return /^\d+$/.test(this.pmid) ? `https://pubmed.ncbi.nlm.nih.gov/${this.pmid}/` : '';
+    }
+    
+    // Build an Article from a flat PubMed export row (Author_1..N, MeSH_1..N, ...)
+    static fromRecord(record) {
+        // Reads Prefix_1..N for as many columns as the record has
+        const collect = prefix => {
+            const values = [];
+            for (let i = 1; `${prefix}_${i}` in record; i++) {
+                const value = (record[`${prefix}_${i}`] || '').trim();
+                if (value) values.push(value);
+            }
+            return values;
+        };
+        
+        const extra = {};
+        for (const [key, value] of Object.entries(record)) {
+            // Blank cells only exist because another row had the column
+            if (!KNOWN_COLUMNS.has(key) && !WIDE_COLUMN.test(key) && value !== '') {
+                extra[key] = value;
+            }
+        }
+        
+        const doi = normalizeDOI(record.DOI || record.Doi || record.DOI_Link || '');
+        const pmcId = (record.PMC_ID || pmcIdFromLink(record.PMC_Link) || '').trim();
+        
+        let provenance = [];
+        try {
+            provenance = record.Provenance ? JSON.parse(record.Provenance) : [];
+        } catch (error) {
+            extra.Provenance = record.Provenance;
+        }
+        
+        let reviews = {};
+        try {
+            reviews = record.Reviews ? JSON.parse(record.Reviews) : {};
+        } catch (error) {
+            extra.Reviews = record.Reviews;
+        }
+        
+        return new Article({
+            id: (record.ID || '').trim(),
+            pmid: (record.PMID || '').toString().trim(),
+            title: (record.Title || '').trim(),
+            journal: (record.Source || '').trim(),
+            abstract: (record.Abstract || '').trim(),
+            authors: collect('Author'),
+            collectiveName: (record.Collective_Name || '').trim(),
+            mesh: collect('MeSH'),
+            keywords: collect('Keyword'),
+            pubDate: PublicationDate.parseParts(
+                record.PubYear,
+                record.PubMonth,
+                record.PubDay,
+                (record.OriginalPubDate || '').trim()
+            ),
+            doi,
+            pmcId,
+            notes: record.Notes || '',
+            rating: parseInt(record.Rating, 10) || 0,
+            tags: splitList(record.Tags),
+            decision: record.Decision ? normalizeDecision(record.Decision) : decisionFromIncludeFlag(record.includeArticle),
+            exclusionReason: (record.Exclusion_Reason || '').trim(),
+            reviews,
+            provenance,
+            extra
+        });
+    }
+    
+    // Flatten back to the wide PubMed export columns, widening Author_N,
+    // MeSH_N and Keyword_N past the PubMed defaults when a record needs it
+    toRecord() {
+        const record = {
+            ID: this.id,
+            PMID: this.pmid,
+            Title: this.title,
+            Source: this.journal,
+            Doi: this.doi
+        };
+        
+        for (let i = 0; i < Math.max(AUTHOR_COLUMNS, this.authors.length); i++) {
+            record[`Author_${i + 1}`] = this.authors[i] || '';
+        }
+        record.Collective_Name = this.collectiveName;
+        record.PubYear = this.pubDate.year !== null ? String(this.pubDate.year) : '';
+        record.PubMonth = this.pubDate.month !== null
+            ? MONTHS[this.pubDate.month - 1].replace(/^./, c => c.toUpperCase())
+            : '';
+        record.PubDay = this.pubDate.day !== null ? String(this.pubDate.day) : '';
+        record.OriginalPubDate = this.pubDate.toString();
+        record.Abstract = this.abstract;
+        record.DOI = this.doi;
+        record.DOI_Link = this.doiLink;
+        record.PMC_ID = this.pmcId;
+        record.PMC_Link = this.pmcLink;
+        
+        const wide = Math.max(MESH_COLUMNS, KEYWORD_COLUMNS, this.mesh.length, this.keywords.length);
+        for (let i = 0; i < wide; i++) {
+            record[`MeSH_${i + 1}`] = this.mesh[i] || '';
+            record[`Keyword_${i + 1}`] = this.keywords[i] || '';
+        }
+        
+        record.Notes = this.notes;
+        record.Rating = this.rating ? String(this.rating) : '';
+        record.Tags = this.tags.join('; ');
+        record.Decision = this.decision;
+        record.Exclusion_Reason = this.exclusionReason;
+        record.Reviews = Object.keys(this.reviews).length ? JSON.stringify(this.reviews) : '';
+        record.Provenance = this.provenance.length ? JSON.stringify(this.provenance) : '';
+        
+        return { ...record, ...this.extra };
+    }
+    
+    toJSON() {
+        return {
+            id: this.id,
+            pmid: this.pmid,
+            title: this.title,
+            journal: this.journal,
+            abstract: this.abstract,
+            authors: this.authors,
+            collectiveName: this.collectiveName,
+            mesh: this.mesh,
+            keywords: this.keywords,
+            pubDate: this.pubDate.toJSON(),
+            doi: this.doi,
+            pmcId: this.pmcId,
+            notes: this.notes,
+            rating: this.rating,
+            tags: this.tags,
+            decision: this.decision,
+            exclusionReason: this.exclusionReason,
+            reviews: this.reviews,
+            duplicateOf: this.duplicateOf,
+            provenance: this.provenance,
+            extra: this.extra
+        };
+    }
+    
+    // Decision as one reviewer sees it, or the consensus when `reviewer` is empty
+    getDecision(reviewer = '') {
+        if (!reviewer) {
+            return { decision: this.decision, exclusionReason: this.exclusionReason };
+        }
+        return this.reviews[reviewer] || { decision: '', exclusionReason: '' };
+    }
+    
+    static fromJSON(json) {
+        return new Article(json);
+    }
+}
+
+export function normalizeDOI(value) {
+    return (value || '')
+        .trim()
+        .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+        .replace(/^doi:\s*/i, '')
+        .toLowerCase();
+}
+
+// Format an author the way PubMed lists them: "Hirschl RB"
+export function formatAuthorName(lastName, givenNames = '') {
+    const initials = givenNames
+        .split(/[\s.\-]+/)
+        .filter(Boolean)
+        .map(part => part[0].toUpperCase())
+        .join('');
+    return initials ? `${lastName.trim()} ${initials}` : lastName.trim();
+}
+
+// Normalize "Hirschl, Ronald B.", "Ronald B. Hirschl" or "Hirschl RB" to "Hirschl RB"
+export function normalizeAuthorName(name) {
+    const text = (name || '').replace(/\s+/g, ' ').trim();
+    if (!text) return '';
+    
+    if (text.includes(',')) {
+        const [last, ...rest] = text.split(',');
+        return formatAuthorName(last, rest.join(' '));
+    }
+    
+    // Already in PubMed style: last token is all-caps initials
+    const parts = text.split(' ');
+    if (parts.length > 1 && /^\p{Lu}{1,4}$/u.test(parts[parts.length - 1])) {
+        return text;
+    }
+    if (parts.length === 1) return text;
+    
+    const last = parts.pop();
+    return formatAuthorName(last, parts.join(' '));
+}
+
+function splitList(value) {
+    return (value || '').split(';').map(item => item.trim()).filter(Boolean);
+}
+
+function pmcIdFromLink(link) {
+    const match = (link || '').match(/PMC\d+/i);
+    return match ? match[0].toUpperCase() : '';
+}
@@ -0,0 +1,522 @@
+// webgpu/data/clustering.js - Topic clusters from TF-IDF vectors of titles, abstracts,
+// MeSH headings and keywords, with top-term labels and a 3D placement
+import { terms } from './search.js';
+
+export const CLUSTER_METHODS = ['kmeans', 'agglomerative'];
+// k = 0 picks the number of clusters from the article count; termWeight
+// scales MeSH headings and keywords against the text (0 leaves them out)
+export const DEFAULT_CLUSTER_OPTIONS = { method: 'kmeans', k: 0, termWeight: 1 };
+export const MAX_CLUSTERS = 50;
+
+// Words are weighted by field; MeSH headings and keywords count as whole terms
+const TEXT_FIELDS = [
+    { weight: 2, text: article => article.title },
+    { weight: 1, text: article => article.abstract }
+];
+const TERM_FIELDS = [article => article.mesh, article => article.keywords];
+
+// Vocabulary: the most widespread features, leaving out those in more than
+// half of the articles (they separate nothing)
+const MAX_FEATURES = 4000;
+const MAX_DOCUMENT_RATIO = 0.5;
+
+const MAX_ITERATIONS = 50;
+// Share of documents allowed to change cluster in a converged k-means round
+const CONVERGENCE = 0.001;
+// Agglomerative clustering merges at most this many leaves; larger corpora
+// are first reduced to as many k-means micro-clusters of a sample of about
+// SAMPLE_PER_LEAF documents per leaf (they need not converge)
+const AGGLOMERATIVE_LEAVES = 200;
+const SAMPLE_PER_LEAF = 10;
+const MICRO_ITERATIONS = 8;
+const LABEL_TERMS = 3;
+// Fixed seed, so the same articles and options always give the same clusters
+const SEED = 0x2545f491;
+
+// Cluster radius per cube root of its size, and the space kept between clusters
+const CLUSTER_RADIUS = 1.0;
+const CLUSTER_GAP = 3;
+const RELAX_ITERATIONS = 100;
+
+const STOP_WORDS = new Set(`
+    about above after again against all also although among and any are aren't because been before
+    being below between both but can could did does doing down during each either few for from further
+    had has have having her here hers him his how however into its itself just may might more most
+    must nor not now off once only other our ours out over own same she should since some such than
+    that the their theirs them then there these they this those through thus too under until upon very
+    was were what when where whether which while who whom whose why will with within without would yet
+    you your
+    abstract aim aims analysis associated background conclusion conclusions data found group groups
+    method methods objective objectives patients performed purpose result results showed significant
+    significantly studies study total use used using versus
+`.trim().split(/\s+/));
+
+// Cluster `articles` by topic. Returns { assignments, ranks, clusters } with
+// assignments[i] the cluster of article i, ranks[i] its place in the cluster
+// (0 = closest to the centroid) and clusters[c] = { label, terms, size,
+// center, radius }. Similar clusters get nearby centers; articles without any
+// usable text share a final "No text" cluster.
+export function clusterArticles(articles, options = {}) {
+    const { method, k: requested, termWeight } = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+    const { vectors, features } = buildVectors(articles, termWeight);
+    const dims = features.length;
+    
+    const documents = [];
+    vectors.forEach((vector, index) => {
+        if (vector.indices.length > 0) documents.push(index);
+    });
+    const documentVectors = documents.map(index => vectors[index]);
+    
+    const wanted = requested > 0 ? requested : Math.round(Math.sqrt(documents.length / 2));
+    const k = Math.min(documents.length, MAX_CLUSTERS, Math.max(1, wanted));
+    const random = mulberry32(SEED);
+    let local = new Uint32Array(documents.length);
+    if (k > 1) {
+        local = method === 'agglomerative'
+            ? agglomerate(documentVectors, dims, k, random)
+            : kMeans(documentVectors, dims, k, random).assignments;
+    }
+    
+    // Number clusters by size, largest first (ties by first member)
+    const members = new Map();
+    local.forEach((cluster, i) => {
+        if (!members.has(cluster)) members.set(cluster, []);
+        members.get(cluster).push(documents[i]);
+    });
+    const groups = [...members.values()].sort((a, b) => b.length - a.length || a[0] - b[0]);
+    
+    const assignments = new Uint32Array(articles.length);
+    const ranks = new Uint32Array(articles.length);
+    const centroids = new Float32Array(Math.max(1, groups.length + 1) * dims);
+    const mean = new Float32Array(dims);
+    documentVectors.forEach(vector => addTo(mean, 0, vector, 1 / documents.length));
+    
+    const clusters = groups.map((group, cluster) => {
+        const offset = cluster * dims;
+        group.forEach(index => addTo(centroids, offset, vectors[index], 1 / group.length));
+        const label = topTerms(centroids, offset, mean, features);
+        normalize(centroids, offset, dims);
+        
+        // Most central articles first
+        const similarity = new Map(group.map(index => [index, dot(vectors[index], centroids, offset)]));
+        group.sort((a, b) => similarity.get(b) - similarity.get(a) || a - b);
+        group.forEach((index, rank) => {
+            assignments[index] = cluster;
+            ranks[index] = rank;
+        });
+        return { label: label.join(' · '), terms: label, size: group.length };
+    });
+    
+    const textless = vectors.map((_, index) => index).filter(index => vectors[index].indices.length === 0);
+    if (textless.length > 0) {
+        textless.forEach((index, rank) => {
+            assignments[index] = clusters.length;
+            ranks[index] = rank;
+        });
+        clusters.push({ label: 'No text', terms: [], size: textless.length });
+    }
+    
+    // The textless cluster keeps a zero centroid, equally far from all others
+    const { centers, radii } = placeClusters(centroids, dims, clusters.map(cluster => cluster.size));
+    clusters.forEach((cluster, index) => {
+        cluster.center = centers[index];
+        cluster.radius = radii[index];
+    });
+    
+    return { assignments, ranks, clusters };
+}
+
+// Unit-length TF-IDF vectors ({ indices, values }, sorted by feature index)
+// and the features they index ({ key, label })
+function buildVectors(articles, termWeight) {
+    const labels = new Map();
+    const bags = articles.map(article => {
+        const bag = new Map();
+        for (const { weight, text } of TEXT_FIELDS) {
+            for (const term of terms(text(article))) {
+                if (term.length < 3 || STOP_WORDS.has(term) || /^\d+$/.test(term)) continue;
+                bag.set(term, (bag.get(term) || 0) + weight);
+            }
+        }
+        if (termWeight > 0) {
+            for (const field of TERM_FIELDS) {
+                for (const heading of field(article)) {
+                    // '#' keeps whole terms apart from words of the same spelling
+                    const key = `#${heading.toLowerCase()}`;
+                    if (!labels.has(key)) labels.set(key, heading);
+                    bag.set(key, (bag.get(key) || 0) + termWeight);
+                }
+            }
+        }
+        return bag;
+    });
+    
+    const documentFrequency = new Map();
+    for (const bag of bags) {
+        for (const key of bag.keys()) {
+            documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1);
+        }
+    }
+    
+    // In larger corpora a term found in one article links it to nothing
+    const count = articles.length;
+    const minFrequency = count >= 50 ? 2 : 1;
+    const maxFrequency = Math.max(2, MAX_DOCUMENT_RATIO * count);
+    const features = [...documentFrequency]
+        .filter(([, frequency]) => frequency >= minFrequency && frequency <= maxFrequency)
+        .sort(([a, x], [b, y]) => y - x || (a < b ? -1 : a > b ? 1 : 0))
+        .slice(0, MAX_FEATURES)
+        .map(([key, frequency]) => ({
+            key,
+            label: labels.get(key) || key,
+            idf: Math.log((1 + count) / (1 + frequency)) + 1
+        }));
+    const featureIndex = new Map(features.map((feature, index) => [feature.key, index]));
+    
+    const vectors = bags.map(bag => {
+        const found = [];
+        for (const key of bag.keys()) {
+            const index = featureIndex.get(key);
+            if (index !== undefined) found.push(index);
+        }
+        const indices = Uint32Array.from(found).sort();
+        const values = new Float32Array(indices.length);
+        let length = 0;
+        indices.forEach((index, j) => {
+            values[j] = Math.log(1 + bag.get(features[index].key)) * features[index].idf;
+            length += values[j] * values[j];
+        });
+        if (length > 0) values.forEach((value, j) => { values[j] = value / Math.sqrt(length); });
+        return { indices, values };
+    });
+    
+    return { vectors, features };
+}
+
+// Spherical k-means (cosine similarity) seeded with k-means++, for at most
+// `iterations` rounds. Returns { assignments, count }; clusters may end up
+// empty and are left unused.
+// Centroids are stored feature-major (weights[feature * k + cluster]) so
+// scoring a sparse document against all clusters walks memory in order.
+function kMeans(vectors, dims, k, random, iterations = MAX_ITERATIONS) {
+    const n = vectors.length;
+    const weights = new Float32Array(dims * k);
+    const scores = new Float64Array(k);
+    const score = vector => {
+        scores.fill(0);
+        for (let j = 0; j < vector.indices.length; j++) {
+            const base = vector.indices[j] * k;
+            const value = vector.values[j];
+            for (let cluster = 0; cluster < k; cluster++) scores[cluster] += value * weights[base + cluster];
+        }
+    };
+    
+    // Each further seed is drawn with probability proportional to the squared
+    // distance from the nearest seed so far
+    const nearest = new Float64Array(n).fill(Infinity);
+    let chosen = Math.floor(random() * n);
+    let count = 0;
+    while (count < k) {
+        const seed = vectors[chosen];
+        for (let j = 0; j < seed.indices.length; j++) weights[seed.indices[j] * k + count] = seed.values[j];
+        count++;
+        
+        let total = 0;
+        for (let i = 0; i < n; i++) {
+            let similarity = 0;
+            const vector = vectors[i];
+            for (let j = 0; j < vector.indices.length; j++) {
+                similarity += vector.values[j] * weights[vector.indices[j] * k + count - 1];
+            }
+            nearest[i] = Math.min(nearest[i], Math.max(0, 1 - similarity));
+            total += nearest[i] * nearest[i];
+        }
+        // Fewer distinct documents than clusters
+        if (count === k || total <= 0) break;
+        
+        let threshold = random() * total;
+        for (let i = 0; i < n; i++) {
+            if (nearest[i] <= 0) continue;
+            chosen = i;
+            threshold -= nearest[i] * nearest[i];
+            if (threshold < 0) break;
+        }
+    }
+    
+    // Stop once (almost) no document changes cluster
+    const assignments = new Uint32Array(n);
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        let changes = 0;
+        for (let i = 0; i < n; i++) {
+            score(vectors[i]);
+            let best = 0;
+            for (let cluster = 1; cluster < count; cluster++) {
+                if (scores[cluster] > scores[best]) best = cluster;
+            }
+            if (iteration === 0 || assignments[i] !== best) changes++;
+            assignments[i] = best;
+        }
+        if (changes <= n * CONVERGENCE) break;
+        
+        // Normalized member sums; an emptied cluster keeps its previous centroid
+        const sizes = new Uint32Array(count);
+        assignments.forEach(cluster => sizes[cluster]++);
+        for (let d = 0; d < dims; d++) {
+            for (let cluster = 0; cluster < count; cluster++) {
+                if (sizes[cluster] > 0) weights[d * k + cluster] = 0;
+            }
+        }
+        vectors.forEach((vector, i) => {
+            for (let j = 0; j < vector.indices.length; j++) {
+                weights[vector.indices[j] * k + assignments[i]] += vector.values[j];
+            }
+        });
+        const lengths = new Float64Array(count);
+        for (let d = 0; d < dims; d++) {
+            for (let cluster = 0; cluster < count; cluster++) lengths[cluster] += weights[d * k + cluster] ** 2;
+        }
+        for (let d = 0; d < dims; d++) {
+            for (let cluster = 0; cluster < count; cluster++) {
+                if (lengths[cluster] > 0) weights[d * k + cluster] /= Math.sqrt(lengths[cluster]);
+            }
+        }
+    }
+    
+    return { assignments, count };
+}
+
+// Average-linkage agglomerative clustering down to k clusters. For unit
+// vectors the mean pairwise cosine between groups A and B is
+// dot(sumA, sumB) / (|A| |B|), so leaves only need their member sums.
+function agglomerate(vectors, dims, k, random) {
+    // Leaves: the documents themselves, or micro-clusters of an evenly spaced sample
+    const sampled = vectors.length > AGGLOMERATIVE_LEAVES;
+    const step = Math.max(1, Math.floor(vectors.length / (AGGLOMERATIVE_LEAVES * SAMPLE_PER_LEAF)));
+    const sample = sampled ? vectors.filter((_, i) => i % step === 0) : vectors;
+    let leafOf;
+    let leafCount;
+    if (sampled) {
+        ({ assignments: leafOf, count: leafCount } = kMeans(sample, dims, AGGLOMERATIVE_LEAVES, random, MICRO_ITERATIONS));
+    } else {
+        leafOf = Uint32Array.from(sample, (_, i) => i);
+        leafCount = sample.length;
+    }
+    
+    const sums = new Float32Array(leafCount * dims);
+    const sizes = new Float64Array(leafCount);
+    sample.forEach((vector, i) => {
+        addTo(sums, leafOf[i] * dims, vector, 1);
+        sizes[leafOf[i]]++;
+    });
+    
+    const active = [];
+    for (let leaf = 0; leaf < leafCount; leaf++) {
+        if (sizes[leaf] > 0) active.push(leaf);
+    }
+    const similarity = new Float64Array(leafCount * leafCount);
+    for (let i = 0; i < active.length; i++) {
+        for (let j = i + 1; j < active.length; j++) {
+            const a = active[i];
+            const b = active[j];
+            let sum = 0;
+            for (let d = 0; d < dims; d++) sum += sums[a * dims + d] * sums[b * dims + d];
+            similarity[a * leafCount + b] = similarity[b * leafCount + a] = sum / (sizes[a] * sizes[b]);
+        }
+    }
+    
+    // Merge the most similar pair until k remain (ties go to the lowest indices)
+    const parent = Uint32Array.from({ length: leafCount }, (_, leaf) => leaf);
+    while (active.length > k) {
+        let bestI = 0;
+        let bestJ = 1;
+        let best = -Infinity;
+        for (let i = 0; i < active.length; i++) {
+            for (let j = i + 1; j < active.length; j++) {
+                const value = similarity[active[i] * leafCount + active[j]];
+                if (value > best) {
+                    best = value;
+                    bestI = i;
+                    bestJ = j;
+                }
+            }
+        }
+        
+        const a = active[bestI];
+        const b = active[bestJ];
+        for (const c of active) {
+            if (c === a || c === b) continue;
+            const merged = (sizes[a] * similarity[a * leafCount + c] + sizes[b] * similarity[b * leafCount + c]) / (sizes[a] + sizes[b]);
+            similarity[a * leafCount + c] = similarity[c * leafCount + a] = merged;
+        }
+        sizes[a] += sizes[b];
+        parent[b] = a;
+        active.splice(bestJ, 1);
+    }
+    
+    const root = leaf => {
+        while (parent[leaf] !== leaf) leaf = parent[leaf];
+        return leaf;
+    };
+    if (!sampled) return Uint32Array.from(leafOf, leaf => active.indexOf(root(leaf)));
+    
+    // Every document joins the merged cluster with the most similar centroid
+    const centroids = new Float32Array(active.length * dims);
+    leafOf.forEach((leaf, i) => addTo(centroids, active.indexOf(root(leaf)) * dims, sample[i], 1));
+    active.forEach((_, cluster) => normalize(centroids, cluster * dims, dims));
+    return Uint32Array.from(vectors, vector => {
+        let best = 0;
+        let bestSimilarity = -Infinity;
+        for (let cluster = 0; cluster < active.length; cluster++) {
+            const similarity = dot(vector, centroids, cluster * dims);
+            if (similarity > bestSimilarity) {
+                bestSimilarity = similarity;
+                best = cluster;
+            }
+        }
+        return best;
+    });
+}
+
+// Labels of the features most over-represented in a cluster's mean vector
+function topTerms(centroids, offset, mean, features) {
+    const scored = [];
+    for (let d = 0; d < features.length; d++) {
+        const lift = centroids[offset + d] - mean[d];
+        if (lift > 0) scored.push([d, lift]);
+    }
+    scored.sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+    return scored.slice(0, LABEL_TERMS).map(([d]) => features[d].label);
+}
+
+// Cluster centers in 3D by classical multidimensional scaling of the distances
+// between unit centroids, scaled and relaxed so that clusters (spheres
+// growing with the cube root of their size) keep apart
+function placeClusters(centroids, dims, sizes) {
+    const k = sizes.length;
+    const radii = sizes.map(size => CLUSTER_RADIUS * Math.cbrt(size));
+    if (k <= 1) return { centers: radii.map(() => [0, 0, 0]), radii };
+    
+    // Double-centered squared distances
+    const squared = new Float64Array(k * k);
+    for (let i = 0; i < k; i++) {
+        for (let j = 0; j < k; j++) {
+            let cosine = 0;
+            for (let d = 0; d < dims; d++) cosine += centroids[i * dims + d] * centroids[j * dims + d];
+            squared[i * k + j] = i === j ? 0 : Math.max(0, 2 - 2 * cosine);
+        }
+    }
+    const rowMeans = new Float64Array(k);
+    let totalMean = 0;
+    for (let i = 0; i < k; i++) {
+        for (let j = 0; j < k; j++) rowMeans[i] += squared[i * k + j] / k;
+        totalMean += rowMeans[i] / k;
+    }
+    const gram = new Float64Array(k * k);
+    for (let i = 0; i < k; i++) {
+        for (let j = 0; j < k; j++) {
+            gram[i * k + j] = -0.5 * (squared[i * k + j] - rowMeans[i] - rowMeans[j] + totalMean);
+        }
+    }
+    
+    // Top three eigenvectors by power iteration with deflation
+    const centers = radii.map(() => [0, 0, 0]);
+    for (let axis = 0; axis < 3; axis++) {
+        let vector = Float64Array.from({ length: k }, (_, i) => Math.cos(i * (axis + 1) + 1));
+        // Rayleigh quotient; the Gram matrix of a Euclidean configuration has no
+        // negative eigenvalues, so a non-positive one means nothing is left
+        let eigenvalue = 0;
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const next = new Float64Array(k);
+            for (let i = 0; i < k; i++) {
+                for (let j = 0; j < k; j++) next[i] += gram[i * k + j] * vector[j];
+            }
+            eigenvalue = next.reduce((sum, value, i) => sum + value * vector[i], 0);
+            const length = Math.hypot(...next);
+            if (eigenvalue < 1e-12 || length === 0) break;
+            vector = next.map(value => value / length);
+        }
+        if (eigenvalue < 1e-12) break;
+        
+        for (let i = 0; i < k; i++) {
+            centers[i][axis] = vector[i] * Math.sqrt(eigenvalue);
+            for (let j = 0; j < k; j++) gram[i * k + j] -= eigenvalue * vector[i] * vector[j];
+        }
+    }
+    
+    // Scale so a typical pair just clears each other, then push apart the
+    // pairs that still overlap
+    const required = [];
+    for (let i = 0; i < k; i++) {
+        for (let j = i + 1; j < k; j++) {
+            const distance = Math.hypot(...centers[i].map((value, axis) => value - centers[j][axis]));
+            if (distance > 1e-9) required.push((radii[i] + radii[j] + CLUSTER_GAP) / distance);
+        }
+    }
+    required.sort((a, b) => a - b);
+    const scale = required.length > 0 ? required[required.length >> 1] : 1;
+    centers.forEach(center => center.forEach((value, axis) => { center[axis] = value * scale; }));
+    
+    for (let iteration = 0; iteration < RELAX_ITERATIONS; iteration++) {
+        let moved = false;
+        for (let i = 0; i < k; i++) {
+            for (let j = i + 1; j < k; j++) {
+                const delta = centers[j].map((value, axis) => value - centers[i][axis]);
+                let distance = Math.hypot(...delta);
+                const overlap = radii[i] + radii[j] + CLUSTER_GAP - distance;
+                if (overlap <= 0) continue;
+                
+                // Coincident centers separate along a fixed direction
+                if (distance < 1e-9) {
+                    delta[0] = 1;
+                    delta[1] = delta[2] = 0;
+                    distance = 1;
+                }
+                for (let axis = 0; axis < 3; axis++) {
+                    const push = (delta[axis] / distance) * overlap / 2;
+                    centers[i][axis] -= push;
+                    centers[j][axis] += push;
+                }
+                moved = true;
+            }
+        }
+        if (!moved) break;
+    }
+    
+    const middle = [0, 1, 2].map(axis => centers.reduce((sum, center) => sum + center[axis], 0) / k);
+    centers.forEach(center => center.forEach((value, axis) => { center[axis] = value - middle[axis]; }));
+    return { centers, radii };
+}
+
+function dot(vector, dense, offset) {
+    let sum = 0;
+    for (let j = 0; j < vector.indices.length; j++) {
+        sum += vector.values[j] * dense[offset + vector.indices[j]];
+    }
+    return sum;
+}
+
+function addTo(dense, offset, vector, scale) {
+    for (let j = 0; j < vector.indices.length; j++) {
+        dense[offset + vector.indices[j]] += vector.values[j] * scale;
+    }
+}
+
+function normalize(dense, offset, dims) {
+    let length = 0;
+    for (let d = 0; d < dims; d++) length += dense[offset + d] * dense[offset + d];
+    length = Math.sqrt(length);
+    if (length === 0) return;
+    for (let d = 0; d < dims; d++) dense[offset + d] /= length;
+}
+
+// Small seeded PRNG (mulberry32), uniform in [0, 1); shared with forces.js
+export function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
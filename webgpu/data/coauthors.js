@@ -0,0 +1,469 @@
+// webgpu/data/coauthors.js - Co-authorship network: author identities, collaboration communities and author nodes
+import { normalizeAuthorName } from './article.js';
+import { CubeData } from '../core/layout.js';
+import { InstancePicker } from '../core/picking.js';
+import { ForceSimulation } from './forces.js';
+import { packEdges } from './network.js';
+
+// Communities cycle through these, largest first; authors without co-authors stay grey
+const COMMUNITY_COLORS = [
+    [0.95, 0.45, 0.3],
+    [0.3, 0.7, 0.95],
+    [0.55, 0.85, 0.35],
+    [0.9, 0.75, 0.25],
+    [0.75, 0.45, 0.9],
+    [0.3, 0.85, 0.75],
+    [0.95, 0.5, 0.65],
+    [0.6, 0.6, 0.95],
+    [0.85, 0.6, 0.4],
+    [0.45, 0.8, 0.55]
+];
+const SOLO_COLOR = [0.55, 0.55, 0.6];
+
+// Node size grows with the square root of the paper count, up to MAX_SIZE
+const BASE_SIZE = 0.5;
+const SIZE_PER_PAPER = 0.3;
+const MAX_SIZE = 2.5;
+
+// The largest communities (up to MAX_LABELS, and only those this large) get a
+// floating label naming their most prolific authors
+const LABELED_COMMUNITY = 3;
+const MAX_LABELS = 20;
+const LABEL_AUTHORS = 2;
+
+// Louvain local moving stops after this many sweeps even if nodes still move
+const MAX_SWEEPS = 50;
+
+// Authors of `articles` as people: names are normalized ("Hirschl, Ronald B."
+// -> "Hirschl RB"), and a name whose initials begin exactly one fuller name
+// of the same surname is taken to be that person ("Hirschl R" -> "Hirschl RB";
+// with both "Hirschl RB" and "Hirschl RH" about, "Hirschl R" stays apart).
+// Returns { authors: [{ index, name, variants, articles }], articleAuthors }
+// where articleAuthors[i] lists the author indices of articles[i].
+export function resolveAuthors(articles) {
+    // Each distinct surname + initials form, with the spellings seen for it
+    const forms = new Map();
+    const articleForms = articles.map(article => article.authors.map(raw => {
+        const name = normalizeAuthorName(raw);
+        if (!name) return null;
+        const [surname, initials] = splitName(name);
+        const key = `${surname} ${initials}`;
+        if (!forms.has(key)) forms.set(key, { surname, initials, spellings: new Map() });
+        const form = forms.get(key);
+        form.spellings.set(name, (form.spellings.get(name) || 0) + 1);
+        return form;
+    }).filter(Boolean));
+    
+    const bySurname = new Map();
+    for (const form of forms.values()) {
+        if (!bySurname.has(form.surname)) bySurname.set(form.surname, []);
+        bySurname.get(form.surname).push(form);
+    }
+    for (const group of bySurname.values()) {
+        const fullest = group.filter(form => !group.some(other => other !== form && other.initials.startsWith(form.initials)));
+        for (const form of group) {
+            const matches = fullest.filter(other => other.initials.startsWith(form.initials));
+            form.identity = matches.length === 1 ? matches[0] : form;
+        }
+    }
+    
+    // Authors numbered by first appearance
+    const authors = [];
+    const indexOf = new Map();
+    const articleAuthors = articleForms.map((list, articleIndex) => {
+        const indices = [];
+        for (const { identity } of list) {
+            if (!indexOf.has(identity)) {
+                indexOf.set(identity, authors.length);
+                authors.push({ index: authors.length, identity, spellings: new Map(), articles: [] });
+            }
+            const index = indexOf.get(identity);
+            if (indices.includes(index)) continue;
+            indices.push(index);
+            authors[index].articles.push(articles[articleIndex]);
+        }
+        return indices;
+    });
+    
+    // Named by the commonest spelling of the fullest form; every merged spelling is a variant
+    for (const form of forms.values()) {
+        if (!indexOf.has(form.identity)) continue;
+        const { spellings } = authors[indexOf.get(form.identity)];
+        for (const [name, count] of form.spellings) spellings.set(name, (spellings.get(name) || 0) + count);
+    }
+    for (const author of authors) {
+        const ranked = [...author.identity.spellings].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        author.name = ranked[0][0];
+        author.variants = [...author.spellings.keys()].sort();
+        delete author.identity;
+        delete author.spellings;
+    }
+    return { authors, articleAuthors };
+}
+
+// "Hirschl RB" -> ['hirschl', 'RB']: surname folded for comparison (case,
+// accents, hyphens and spaces ignored), and the initials
+function splitName(name) {
+    const match = name.match(/^(.+?)\s+(\p{Lu}{1,4})$/u);
+    const [surname, initials] = match ? [match[1], match[2]] : [name, ''];
+    return [surname.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ''), initials];
+}
+
+// Graph of authors (nodes) linked by the papers they wrote together, with
+// collaboration communities. Returns { count, authors, source, target,
+// papers, weight, degree, community, communityCount }: edges as parallel
+// typed arrays (papers = joint papers, weight = papers / (papers + 1)), and
+// each author also carries its papers, coauthors and community.
+export function buildCoauthorGraph(articles) {
+    const { authors, articleAuthors } = resolveAuthors(articles);
+    const count = authors.length;
+    
+    // Pair a < b keyed as a * count + b
+    const pairs = new Map();
+    for (const list of articleAuthors) {
+        for (let i = 0; i < list.length; i++) {
+            for (let j = i + 1; j < list.length; j++) {
+                const key = Math.min(list[i], list[j]) * count + Math.max(list[i], list[j]);
+                pairs.set(key, (pairs.get(key) || 0) + 1);
+            }
+        }
+    }
+    const keys = [...pairs.keys()].sort((a, b) => a - b);
+    
+    const graph = {
+        count,
+        authors,
+        source: Uint32Array.from(keys, key => Math.floor(key / count)),
+        target: Uint32Array.from(keys, key => key % count),
+        papers: Uint32Array.from(keys, key => pairs.get(key)),
+        weight: Float32Array.from(keys, key => pairs.get(key) / (pairs.get(key) + 1)),
+        degree: new Uint32Array(count)
+    };
+    for (let i = 0; i < keys.length; i++) {
+        graph.degree[graph.source[i]]++;
+        graph.degree[graph.target[i]]++;
+    }
+    Object.assign(graph, detectCommunities(count, graph.source, graph.target, graph.papers));
+    
+    for (const author of authors) {
+        author.papers = author.articles.length;
+        author.coauthors = graph.degree[author.index];
+        author.community = graph.community[author.index];
+    }
+    return graph;
+}
+
+// Communities of a weighted graph by modularity (Louvain): nodes move to the
+// neighboring community that gains the most, then communities merge into
+// single nodes and the moving repeats, until a pass merges nothing. Deterministic.
+// Returns { community, communityCount } numbered largest first (ties by
+// lowest member).
+export function detectCommunities(count, source, target, weight) {
+    let level = {
+        count,
+        neighbors: Array.from({ length: count }, () => []),
+        weights: Array.from({ length: count }, () => []),
+        // Weight of edges inside each node, once merged
+        loops: new Float64Array(count)
+    };
+    for (let i = 0; i < source.length; i++) {
+        level.neighbors[source[i]].push(target[i]);
+        level.weights[source[i]].push(weight[i]);
+        level.neighbors[target[i]].push(source[i]);
+        level.weights[target[i]].push(weight[i]);
+    }
+    
+    let membership = Uint32Array.from({ length: count }, (_, index) => index);
+    for (;;) {
+        const { assignment, communities, moved } = moveNodes(level);
+        // Stop once no two nodes share a community: another level would be the
+        // same graph again, whatever the float noise in the gains
+        if (!moved || communities === level.count) break;
+        membership = membership.map(node => assignment[node]);
+        level = mergeCommunities(level, assignment, communities);
+    }
+    
+    const members = new Map();
+    membership.forEach((node, index) => {
+        if (!members.has(node)) members.set(node, []);
+        members.get(node).push(index);
+    });
+    const groups = [...members.values()].sort((a, b) => b.length - a.length || a[0] - b[0]);
+    const community = new Uint32Array(count);
+    groups.forEach((group, id) => group.forEach(index => { community[index] = id; }));
+    return { community, communityCount: groups.length };
+}
+
+// Louvain local moving over one level; assignment numbers the communities
+// by first member
+function moveNodes({ count, neighbors, weights, loops }) {
+    const strength = new Float64Array(count);
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        strength[i] = weights[i].reduce((sum, w) => sum + w, 0) + 2 * loops[i];
+        total += strength[i];
+    }
+    
+    const community = Uint32Array.from({ length: count }, (_, index) => index);
+    const totals = Float64Array.from(strength);
+    const links = new Float64Array(count);
+    const touched = [];
+    let moved = false;
+    
+    for (let sweep = 0; sweep < MAX_SWEEPS && total > 0; sweep++) {
+        let changed = false;
+        for (let i = 0; i < count; i++) {
+            const current = community[i];
+            for (let k = 0; k < neighbors[i].length; k++) {
+                const c = community[neighbors[i][k]];
+                if (links[c] === 0) touched.push(c);
+                links[c] += weights[i][k];
+            }
+            
+            // Gain of joining c, up to a constant: links into c less the links expected by chance
+            totals[current] -= strength[i];
+            let best = current;
+            let bestGain = links[current] - totals[current] * strength[i] / total;
+            for (const c of touched) {
+                const gain = links[c] - totals[c] * strength[i] / total;
+                if (gain > bestGain + 1e-12) {
+                    best = c;
+                    bestGain = gain;
+                }
+            }
+            totals[best] += strength[i];
+            
+            for (const c of touched) links[c] = 0;
+            touched.length = 0;
+            if (best !== current) {
+                community[i] = best;
+                changed = moved = true;
+            }
+        }
+        if (!changed) break;
+    }
+    
+    const ids = new Map();
+    const assignment = community.map(c => {
+        if (!ids.has(c)) ids.set(c, ids.size);
+        return ids.get(c);
+    });
+    return { assignment, communities: ids.size, moved };
+}
+
+// Next level: one node per community, its internal edges folded into a loop
+function mergeCommunities(level, assignment, communities) {
+    const next = new Map();
+    const loops = new Float64Array(communities);
+    for (let i = 0; i < level.count; i++) {
+        const a = assignment[i];
+        loops[a] += level.loops[i];
+        for (let k = 0; k < level.neighbors[i].length; k++) {
+            const b = assignment[level.neighbors[i][k]];
+            const w = level.weights[i][k];
+            if (a === b) {
+                // Seen from both ends
+                loops[a] += w / 2;
+                continue;
+            }
+            const key = a * communities + b;
+            next.set(key, (next.get(key) || 0) + w);
+        }
+    }
+    
+    const merged = {
+        count: communities,
+        neighbors: Array.from({ length: communities }, () => []),
+        weights: Array.from({ length: communities }, () => []),
+        loops
+    };
+    for (const [key, w] of next) {
+        const a = Math.floor(key / communities);
+        merged.neighbors[a].push(key % communities);
+        merged.weights[a].push(w);
+    }
+    return merged;
+}
+
+// Author nodes of the co-authorship view: their own cube and edge buffers for
+// the render pipelines, laid out by a force simulation and picked like the
+// article cubes (InstancePicker reads instanceVersion, isTransitioning(),
+// getInstanceBounds() and data).
+export class CoauthorView {
+    constructor(device, renderer, articles) {
+        this.device = device;
+        this.graph = buildCoauthorGraph(articles);
+        this.authors = this.graph.authors;
+        this.data = this.authors;
+        this.count = this.graph.count;
+        this.simulation = new ForceSimulation(this.graph);
+        
+        this.instances = new Float32Array(this.count * CubeData.words);
+        this.instanceVersion = 0;
+        this.hovered = -1;
+        // Community labels while the nodes stand still
+        this.labels = null;
+        
+        const { size, color } = CubeData.offsets;
+        for (const author of this.authors) {
+            const base = author.index * CubeData.words;
+            this.instances[base + size] = Math.min(MAX_SIZE, BASE_SIZE + SIZE_PER_PAPER * Math.sqrt(author.papers));
+            const solo = author.coauthors === 0;
+            this.instances.set(solo ? SOLO_COLOR : COMMUNITY_COLORS[author.community % COMMUNITY_COLORS.length], base + color);
+        }
+        this.writePositions();
+        
+        // Never zero-sized so an empty view can still bind
+        this.cubeData = device.createBuffer({
+            size: Math.max(1, this.count) * CubeData.size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.bindGroup = device.createBindGroup({
+            layout: renderer.pipeline.getBindGroupLayout(1),
+            entries: [{ binding: 0, resource: { buffer: this.cubeData } }]
+        });
+        
+        const edges = packEdges(this.graph);
+        this.edgeBuffer = device.createBuffer({
+            size: edges.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        device.queue.writeBuffer(this.edgeBuffer, 0, edges);
+        this.edgeBindGroup = device.createBindGroup({
+            layout: renderer.edgePipeline.getBindGroupLayout(1),
+            entries: [
+                { binding: 0, resource: { buffer: this.cubeData } },
+                { binding: 1, resource: { buffer: this.edgeBuffer } }
+            ]
+        });
+        
+        this.picker = new InstancePicker(this);
+    }
+    
+    get edgeCount() {
+        return this.graph.source.length;
+    }
+    
+    // Visibility and selection follow the articles: an author shows while any
+    // of their articles does (visibility(article) -> 0-1) and is selected when
+    // all of them are
+    refresh(visibility, selectedIds) {
+        const { visibility: VISIBILITY, selected: SELECTED } = CubeData.offsets;
+        for (const author of this.authors) {
+            const base = author.index * CubeData.words;
+            this.instances[base + VISIBILITY] = Math.max(0, ...author.articles.map(visibility));
+            this.instances[base + SELECTED] = selectedIds && author.articles.every(article => selectedIds.has(article.id)) ? 1 : 0;
+        }
+        this.upload();
+    }
+    
+    // Run the simulation for up to `budget` ms (at least one tick) and move
+    // the nodes with it; true if they moved
+    step(budget) {
+        if (!this.simulation.running) return false;
+        
+        const start = performance.now();
+        do {
+            this.simulation.tick();
+        } while (this.simulation.running && performance.now() - start < budget);
+        
+        this.writePositions();
+        this.upload();
+        return true;
+    }
+    
+    isTransitioning() {
+        return this.simulation.running;
+    }
+    
+    writePositions() {
+        const { position } = CubeData.offsets;
+        for (let i = 0; i < this.count; i++) {
+            this.instances.set(this.simulation.positions.subarray(i * 3, i * 3 + 3), i * CubeData.words + position);
+        }
+        this.labels = null;
+    }
+    
+    upload() {
+        this.instanceVersion++;
+        if (this.count === 0) return;
+        this.device.queue.writeBuffer(this.cubeData, 0, this.instances.buffer, this.instances.byteOffset, this.instances.byteLength);
+    }
+    
+    // Move the hover flag to another author index (-1 for none)
+    setHovered(index) {
+        if (index === this.hovered) return;
+        const { hovered } = CubeData.offsets;
+        for (const [author, value] of [[this.hovered, 0], [index, 1]]) {
+            if (author === -1) continue;
+            this.instances[author * CubeData.words + hovered] = value;
+        }
+        this.hovered = index;
+        this.upload();
+    }
+    
+    // World-space box of every node (min xyz, max xyz), hidden ones empty
+    getInstanceBounds() {
+        const { position, size, visibility } = CubeData.offsets;
+        const bounds = new Float32Array(this.count * 6);
+        for (let i = 0; i < this.count; i++) {
+            const base = i * CubeData.words;
+            if (this.instances[base + visibility] <= 0) {
+                bounds.set([Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity], i * 6);
+                continue;
+            }
+            const half = 0.5 * this.instances[base + size];
+            for (let axis = 0; axis < 3; axis++) {
+                bounds[i * 6 + axis] = this.instances[base + position + axis] - half;
+                bounds[i * 6 + 3 + axis] = this.instances[base + position + axis] + half;
+            }
+        }
+        return bounds;
+    }
+    
+    // Labels over the larger communities, in the shape ClusterLabels takes:
+    // { clusters: [{ label, size, center, radius }] }; the same object until the nodes move
+    communityLabels() {
+        if (this.labels) return this.labels;
+        
+        const { position, size } = CubeData.offsets;
+        const members = new Map();
+        for (const author of this.authors) {
+            if (author.coauthors === 0) continue;
+            if (!members.has(author.community)) members.set(author.community, []);
+            members.get(author.community).push(author);
+        }
+        
+        // Communities are numbered largest first
+        const groups = [...members.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([, group]) => group)
+            .filter(group => group.length >= LABELED_COMMUNITY)
+            .slice(0, MAX_LABELS);
+        
+        const clusters = [];
+        for (const group of groups) {
+            const center = [0, 1, 2].map(axis => group.reduce((sum, author) =>
+                sum + this.instances[author.index * CubeData.words + position + axis], 0) / group.length);
+            const radius = Math.max(...group.map(author => {
+                const base = author.index * CubeData.words;
+                return Math.hypot(...center.map((value, axis) => this.instances[base + position + axis] - value)) +
+                    this.instances[base + size] / 2;
+            }));
+            const prolific = [...group].sort((a, b) => b.papers - a.papers || a.index - b.index);
+            clusters.push({
+                label: prolific.slice(0, LABEL_AUTHORS).map(author => author.name).join(' · '),
+                size: group.length,
+                center,
+                radius
+            });
+        }
+        this.labels = { clusters };
+        return this.labels;
+    }
+    
+    destroy() {
+        this.cubeData.destroy();
+        this.edgeBuffer.destroy();
+    }
+}
@@ -0,0 +1,183 @@
+// webgpu/data/csv.js - RFC 4180 CSV reader/writer
+export class CSVParseError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'CSVParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+export class CSVParser {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.quote = options.quote || '"';
+        // Records whose field count differs from the header are errors unless relaxed
+        this.strictFieldCount = options.strictFieldCount !== false;
+    }
+    
+    // Parse CSV text into an array of records (arrays of strings)
+    parseRecords(text) {
+        const records = [];
+        const delimiter = this.delimiter;
+        const quote = this.quote;
+        
+        // Strip UTF-8 byte order mark
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+        
+        let line = 1;
+        let column = 1;
+        let record = [];
+        let field = '';
+        let recordLine = 1;
+        
+        const endField = () => {
+            record.push(field);
+            field = '';
+        };
+        const endRecord = () => {
+            endField();
+            // Skip blank lines entirely
+            if (!(record.length === 1 && record[0] === '')) {
+                record.line = recordLine;
+                records.push(record);
+            }
+            record = [];
+        };
+        
+        while (i < text.length) {
+            const fieldLine = line;
+            const fieldColumn = column;
+            
+            if (text[i] === quote) {
+                // Quoted field: runs until a quote that is not doubled
+                i++;
+                column++;
+                let closed = false;
+                
+                while (i < text.length) {
+                    const ch = text[i];
+                    if (ch === quote) {
+                        if (text[i + 1] === quote) {
+                            field += quote;
+                            i += 2;
+                            column += 2;
+                            continue;
+                        }
+                        i++;
+                        column++;
+                        closed = true;
+                        break;
+                    }
+                    if (ch === '\r' && text[i + 1] === '\n') {
+                        // Normalize CRLF inside multi-line cells
+                        field += '\n';
+                        i += 2;
+                        line++;
+                        column = 1;
+                        continue;
+                    }
+                    if (ch === '\n' || ch === '\r') {
+                        field += '\n';
+                        i++;
+                        line++;
+                        column = 1;
+                        continue;
+                    }
+                    field += ch;
+                    i++;
+                    column++;
+                }
+                
+                if (!closed) {
+                    throw new CSVParseError('Unterminated quoted field', fieldLine, fieldColumn);
+                }
+                
+                const next = text[i];
+                if (next !== undefined && next !== delimiter && next !== '\r' && next !== '\n') {
+                    throw new CSVParseError(`Unexpected character '${next}' after closing quote`, line, column);
+                }
+            } else {
+                // Unquoted field: runs until delimiter or line break
+                while (i < text.length) {
+                    const ch = text[i];
+                    if (ch === delimiter || ch === '\r' || ch === '\n') break;
+                    if (ch === quote) {
+                        throw new CSVParseError('Unexpected quote in unquoted field', line, column);
+                    }
+                    field += ch;
+                    i++;
+                    column++;
+                }
+            }
+            
+            // Field terminator
+            const ch = text[i];
+            if (ch === delimiter) {
+                endField();
+                i++;
+                column++;
+                // A trailing delimiter at end of input still terminates an empty field
+                if (i === text.length) endRecord();
+            } else if (ch === '\r' || ch === '\n') {
+                endRecord();
+                i += (ch === '\r' && text[i + 1] === '\n') ? 2 : 1;
+                line++;
+                column = 1;
+                recordLine = line;
+            } else {
+                // End of input
+                endRecord();
+            }
+        }
+        
+        return records;
+    }
+    
+    // Parse CSV text with a header row into an array of objects keyed by header
+    parse(text) {
+        const records = this.parseRecords(text);
+        if (records.length === 0) {
+            return { headers: [], rows: [] };
+        }
+        
+        const headers = records[0].map(header => header.trim());
+        const rows = [];
+        
+        for (let r = 1; r < records.length; r++) {
+            const values = records[r];
+            
+            if (values.length !== headers.length && this.strictFieldCount) {
+                const column = Math.min(values.length, headers.length) + 1;
+                throw new CSVParseError(
+                    `Record ${r} has ${values.length} fields, expected ${headers.length}`,
+                    values.line,
+                    column
+                );
+            }
+            
+            const item = {};
+            headers.forEach((header, index) => {
+                item[header] = values[index] !== undefined ? values[index] : '';
+            });
+            rows.push(item);
+        }
+        
+        return { headers, rows };
+    }
+    
+    // Serialize objects to CSV, quoting every field
+    stringify(rows, headers = null) {
+        const columns = headers || (rows.length ? Object.keys(rows[0]) : []);
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return `${this.quote}${text.split(this.quote).join(this.quote + this.quote)}${this.quote}`;
+        };
+        
+        const lines = [columns.map(escape).join(this.delimiter)];
+        for (const row of rows) {
+            lines.push(columns.map(column => escape(row[column])).join(this.delimiter));
+        }
+        return lines.join('\r\n');
+    }
+}
@@ -0,0 +1,275 @@
+// webgpu/data/dedup.js - Duplicate detection and field-level merging
+import { normalizeAuthorName } from './article.js';
+
+// Fields a reviewer picks a source for when merging; list fields and
+// annotations are combined automatically
+export const MERGE_FIELDS = [
+    { key: 'title', label: 'Title' },
+    { key: 'pmid', label: 'PMID' },
+    { key: 'doi', label: 'DOI' },
+    { key: 'journal', label: 'Journal' },
+    { key: 'pubDate', label: 'Date' },
+    { key: 'authors', label: 'Authors' },
+    { key: 'collectiveName', label: 'Collective name' },
+    { key: 'abstract', label: 'Abstract' },
+    { key: 'pmcId', label: 'PMC ID' }
+];
+
+export class DuplicateDetector {
+    constructor(options = {}) {
+        // Minimum title similarity (bigram Dice) for a fuzzy candidate
+        this.titleThreshold = options.titleThreshold || 0.85;
+        // Minimum pair confidence reported as a duplicate
+        this.minConfidence = options.minConfidence || 0.8;
+    }
+    
+    // Group likely duplicates: [{ articles, confidence, reasons }], most confident first.
+    // `ignore` holds group keys (see groupKey) the reviewers marked as distinct.
+    findGroups(articles, { ignore = new Set() } = {}) {
+        const parent = articles.map((_, index) => index);
+        const find = index => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+        
+        const links = [];
+        const link = (a, b, match) => {
+            if (match) links.push({ a, b, ...match });
+        };
+        
+        // Exact identifiers
+        const byPMID = new Map();
+        const byDOI = new Map();
+        articles.forEach((article, index) => {
+            if (article.pmid) this.addToBucket(byPMID, article.pmid, index);
+            if (article.doi) this.addToBucket(byDOI, article.doi, index);
+        });
+        for (const bucket of [...byPMID.values(), ...byDOI.values()]) {
+            for (let i = 1; i < bucket.length; i++) {
+                link(bucket[0], bucket[i], this.compare(articles[bucket[0]], articles[bucket[i]]));
+            }
+        }
+        
+        // Fuzzy titles, blocked by publication year (neighbouring years are
+        // compared too, since online-first and print dates often differ)
+        const prepared = articles.map(article => this.prepare(article));
+        const byYear = new Map();
+        articles.forEach((article, index) => this.addToBucket(byYear, article.year ?? 'none', index));
+        for (const [year, bucket] of byYear) {
+            const neighbours = year === 'none' ? [] : (byYear.get(year + 1) || []);
+            for (let i = 0; i < bucket.length; i++) {
+                const a = bucket[i];
+                for (const b of [...bucket.slice(i + 1), ...neighbours]) {
+                    link(a, b, this.compareFuzzy(articles[a], articles[b], prepared[a], prepared[b]));
+                }
+            }
+        }
+        
+        // Union the most confident links first; a group is as confident as its weakest join
+        links.sort((x, y) => y.confidence - x.confidence);
+        const groups = new Map();
+        for (const { a, b, confidence, reasons } of links) {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA === rootB) continue;
+            
+            const groupA = groups.get(rootA) || { members: [a], confidence: 1, reasons: new Set() };
+            const groupB = groups.get(rootB) || { members: [b], confidence: 1, reasons: new Set() };
+            parent[rootB] = rootA;
+            groups.delete(rootB);
+            groups.set(rootA, {
+                members: [...groupA.members, ...groupB.members],
+                confidence: Math.min(groupA.confidence, groupB.confidence, confidence),
+                reasons: new Set([...groupA.reasons, ...groupB.reasons, ...reasons])
+            });
+        }
+        
+        return [...groups.values()]
+            .map(group => ({
+                articles: group.members.sort((x, y) => x - y).map(index => articles[index]),
+                confidence: group.confidence,
+                reasons: [...group.reasons]
+            }))
+            .filter(group => !ignore.has(DuplicateDetector.groupKey(group.articles)))
+            .sort((x, y) => y.confidence - x.confidence);
+    }
+    
+    addToBucket(map, key, value) {
+        const bucket = map.get(key);
+        if (bucket) {
+            bucket.push(value);
+        } else {
+            map.set(key, [value]);
+        }
+    }
+    
+    // Pair confidence from identifiers, falling back to fuzzy metadata
+    compare(a, b) {
+        if (a.pmid && a.pmid === b.pmid) {
+            return { confidence: 1, reasons: ['Same PMID'] };
+        }
+        if (a.doi && a.doi === b.doi) {
+            return { confidence: 0.98, reasons: ['Same DOI'] };
+        }
+        return this.compareFuzzy(a, b, this.prepare(a), this.prepare(b));
+    }
+    
+    compareFuzzy(a, b, preparedA, preparedB) {
+        // Different DOIs are different papers (errata and comments share titles)
+        if (a.doi && b.doi && a.doi !== b.doi) return null;
+        if (!preparedA.title || !preparedB.title) return null;
+        
+        // Cheap bound: Dice can't reach the threshold when lengths differ too much
+        const shorter = Math.min(preparedA.title.length, preparedB.title.length);
+        const longer = Math.max(preparedA.title.length, preparedB.title.length);
+        if (2 * shorter / (shorter + longer) < this.titleThreshold) return null;
+        
+        const similarity = preparedA.title === preparedB.title
+            ? 1
+            : diceCoefficient(preparedA, preparedB);
+        if (similarity < this.titleThreshold) return null;
+        
+        const reasons = [similarity === 1 ? 'Same title' : `Similar title (${Math.round(similarity * 100)}%)`];
+        let confidence = similarity * 0.7;
+        
+        if (a.year !== null && a.year === b.year) {
+            confidence += 0.15;
+            reasons.push('Same year');
+        } else if (a.year !== null && b.year !== null && Math.abs(a.year - b.year) === 1) {
+            confidence += 0.08;
+            reasons.push('Adjacent year');
+        }
+        
+        if (preparedA.author && preparedA.author === preparedB.author) {
+            confidence += 0.15;
+            reasons.push('Same first author');
+        }
+        
+        // Two distinct PMIDs are usually two records on purpose
+        if (a.pmid && b.pmid) confidence -= 0.1;
+        
+        return confidence >= this.minConfidence ? { confidence: Math.min(confidence, 0.97), reasons } : null;
+    }
+    
+    prepare(article) {
+        const title = DuplicateDetector.normalizeTitle(article.title);
+        const grams = bigrams(title);
+        return {
+            title,
+            bigrams: grams,
+            bigramCount: [...grams.values()].reduce((sum, count) => sum + count, 0),
+            author: surname(article.firstAuthor)
+        };
+    }
+    
+    // Lowercase, strip accents, punctuation and a trailing period
+    static normalizeTitle(title) {
+        return (title || '')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+    
+    // Stable key for a set of records, used to remember "not duplicates"
+    static groupKey(articles) {
+        return articles.map(article => article.id).sort().join('|');
+    }
+    
+    // Default source for each merge field: the first record (in group order)
+    // with a value, preferring the longest abstract and the most authors
+    static defaultChoices(articles) {
+        const choices = {};
+        for (const { key } of MERGE_FIELDS) {
+            let best = articles.findIndex(article => !isEmpty(article[key]));
+            if (key === 'abstract' || key === 'authors') {
+                articles.forEach((article, index) => {
+                    if (best === -1 || article[key].length > articles[best][key].length) best = index;
+                });
+            } else if (key === 'pubDate') {
+                // Most precise date wins
+                articles.forEach((article, index) => {
+                    if (best === -1 || precisionRank(article.pubDate) > precisionRank(articles[best].pubDate)) best = index;
+                });
+            }
+            choices[key] = articles[Math.max(best, 0)].id;
+        }
+        return choices;
+    }
+    
+    // Field values for the surviving record. `choices` maps MERGE_FIELDS keys to
+    // the id of the record to take them from; everything else is combined.
+    static merge(articles, choices) {
+        const byId = new Map(articles.map(article => [article.id, article]));
+        const [primary] = articles;
+        const fields = {};
+        
+        for (const { key } of MERGE_FIELDS) {
+            const source = byId.get(choices[key]) || primary;
+            const value = source[key];
+            fields[key] = Array.isArray(value) ? [...value] : value;
+        }
+        
+        const union = key => [...new Set(articles.flatMap(article => article[key]))];
+        fields.mesh = union('mesh');
+        fields.keywords = union('keywords');
+        fields.tags = union('tags');
+        fields.notes = [...new Set(articles.map(article => article.notes).filter(Boolean))].join('\n\n');
+        fields.rating = Math.max(...articles.map(article => article.rating));
+        fields.provenance = articles.flatMap(article => article.provenance.map(entry => ({ ...entry })));
+        fields.extra = Object.assign({}, ...[...articles].reverse().map(article => article.extra));
+        
+        // Screening: the first record with a decision wins; reviews are pooled
+        const decided = articles.find(article => article.decision) || primary;
+        fields.decision = decided.decision;
+        fields.exclusionReason = decided.exclusionReason;
+        fields.reviews = Object.assign({}, ...[...articles].reverse().map(article => article.reviews));
+        
+        return fields;
+    }
+}
+
+// Dice coefficient over character bigram multisets of two prepared titles
+function diceCoefficient(a, b) {
+    if (a.bigramCount === 0 || b.bigramCount === 0) return 0;
+    let shared = 0;
+    for (const [gram, count] of a.bigrams) {
+        shared += Math.min(count, b.bigrams.get(gram) || 0);
+    }
+    return (2 * shared) / (a.bigramCount + b.bigramCount);
+}
+
+function bigrams(text) {
+    const grams = new Map();
+    const compact = text.replace(/ /g, '');
+    for (let i = 0; i < compact.length - 1; i++) {
+        const gram = compact.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+// "Hirschl RB" -> "hirschl"
+function surname(name) {
+    const normalized = normalizeAuthorName(name);
+    if (!normalized) return '';
+    const parts = normalized.split(' ');
+    const last = parts.length > 1 && /^\p{Lu}{1,4}$/u.test(parts[parts.length - 1])
+        ? parts.slice(0, -1).join(' ')
+        : normalized;
+    return DuplicateDetector.normalizeTitle(last);
+}
+
+function isEmpty(value) {
+    if (Array.isArray(value)) return value.length === 0;
+    if (value && typeof value === 'object') return value.year === null;
+    return !value;
+}
+
+function precisionRank(date) {
+    return ['none', 'year', 'month', 'day'].indexOf(date.precision);
+}
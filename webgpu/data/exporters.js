@@ -0,0 +1,220 @@
+// webgpu/data/exporters.js - Library export (CSV, JSON, RIS, BibTeX, MEDLINE)
+import { CSVParser } from './csv.js';
+
+export const ExportFormat = {
+    CSV: 'csv',
+    JSON: 'json',
+    RIS: 'ris',
+    BIBTEX: 'bibtex',
+    MEDLINE: 'medline'
+};
+
+const FORMATS = {
+    [ExportFormat.CSV]: { extension: 'csv', mimeType: 'text/csv' },
+    [ExportFormat.JSON]: { extension: 'json', mimeType: 'application/json' },
+    [ExportFormat.RIS]: { extension: 'ris', mimeType: 'application/x-research-info-systems' },
+    [ExportFormat.BIBTEX]: { extension: 'bib', mimeType: 'application/x-bibtex' },
+    [ExportFormat.MEDLINE]: { extension: 'nbib', mimeType: 'application/nbib' }
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// TeX's special characters; backslash, tilde and caret have no plain escape
+const BIBTEX_ESCAPES = {
+    '\\': '\\textbackslash{}',
+    '~': '\\textasciitilde{}',
+    '^': '\\textasciicircum{}'
+};
+
+export class LibraryExporter {
+    // Serialize articles; returns { content, mimeType, extension }
+    export(articles, format) {
+        const info = FORMATS[format];
+        if (!info) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        
+        let content;
+        switch (format) {
+            case ExportFormat.CSV:
+                content = this.toCSV(articles);
+                break;
+            case ExportFormat.JSON:
+                content = JSON.stringify(articles.map(article => article.toJSON()), null, 2);
+                break;
+            case ExportFormat.RIS:
+                content = articles.map(article => this.toRIS(article)).join('\r\n');
+                break;
+            case ExportFormat.BIBTEX:
+                content = articles.map(article => this.toBibTeX(article)).join('\n\n');
+                break;
+            case ExportFormat.MEDLINE:
+                content = articles.map(article => this.toMEDLINE(article)).join('\n\n');
+                break;
+        }
+        
+        return { content, ...info };
+    }
+    
+    toCSV(articles) {
+        const rows = articles.map(article => article.toRecord());
+        
+        // Union of columns in first-seen order, so wide records and
+        // per-record extra columns are not dropped
+        const headers = [];
+        const seen = new Set();
+        for (const row of rows) {
+            for (const key of Object.keys(row)) {
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    headers.push(key);
+                }
+            }
+        }
+        
+        return new CSVParser().stringify(rows, headers);
+    }
+    
+    toRIS(article) {
+        const lines = ['TY  - JOUR'];
+        const add = (tag, value) => {
+            if (value !== null && value !== undefined && String(value) !== '') {
+                lines.push(`${tag}  - ${String(value).replace(/\s*\n\s*/g, ' ')}`);
+            }
+        };
+        
+        add('TI', article.title);
+        article.authors.forEach(author => add('AU', author));
+        // Trailing comma marks a corporate author, as EndNote writes them
+        if (article.collectiveName) add('AU', `${article.collectiveName},`);
+        add('JO', article.journal);
+        
+        const { year, month, day } = article.pubDate;
+        add('PY', year);
+        if (year !== null && month !== null) {
+            add('DA', `${year}/${pad(month)}/${day !== null ? pad(day) : ''}/`);
+        }
+        
+        add('AB', article.abstract);
+        add('DO', article.doi);
+        add('AN', article.pmid);
+        add('C2', article.pmcId);
+        article.keywords.forEach(keyword => add('KW', keyword));
+        
+        // MeSH and review annotations go in the RIS custom fields
+        add('C1', article.mesh.join('; '));
+        // One N1 per paragraph, so multi-paragraph notes keep their breaks
+        paragraphs(article.notes).forEach(paragraph => add('N1', paragraph));
+        add('C3', article.rating || '');
+        add('C4', article.tags.join('; '));
+        add('C5', article.decision);
+        add('C6', article.exclusionReason);
+        
+        lines.push('ER  - ');
+        return lines.join('\r\n') + '\r\n';
+    }
+    
+    toBibTeX(article) {
+        const fields = [];
+        const addRaw = (name, value) => {
+            if (value) fields.push(`  ${name} = {${value}}`);
+        };
+        const add = (name, value) => {
+            if (value !== null && value !== undefined) {
+                addRaw(name, escapeBibTeX(String(value)));
+            }
+        };
+        
+        add('title', article.title);
+        
+        // Corporate authors are braced so BibTeX does not split them into names
+        const authors = article.authors.map(name => escapeBibTeX(toBibTeXName(name)));
+        if (article.collectiveName) authors.push(`{${escapeBibTeX(article.collectiveName)}}`);
+        addRaw('author', authors.join(' and '));
+        add('journal', article.journal);
+        
+        const { year, month, day } = article.pubDate;
+        add('year', year);
+        if (month !== null) add('month', MONTH_NAMES[month - 1]);
+        if (year !== null && month !== null && day !== null) {
+            add('date', `${year}-${pad(month)}-${pad(day)}`);
+        }
+        
+        add('abstract', article.abstract);
+        add('doi', article.doi);
+        add('pmid', article.pmid);
+        add('pmcid', article.pmcId);
+        add('keywords', article.keywords.join('; '));
+        add('mesh', article.mesh.join('; '));
+        // Paragraphs stay apart as blank lines, TeX's paragraph break
+        addRaw('note', paragraphs(article.notes).map(escapeBibTeX).join('\n\n'));
+        add('rating', article.rating || '');
+        add('tags', article.tags.join('; '));
+        add('decision', article.decision);
+        add('exclusion-reason', article.exclusionReason);
+        
+        return `@article{${citationKey(article)},\n${fields.join(',\n')}\n}`;
+    }
+    
+    toMEDLINE(article) {
+        const lines = [];
+        const add = (tag, value) => {
+            if (value !== null && value !== undefined && String(value) !== '') {
+                lines.push(`${tag.padEnd(4)}- ${String(value).replace(/\s*\n\s*/g, ' ')}`);
+            }
+        };
+        
+        add('PMID', article.pmid);
+        add('TI', article.title);
+        add('AB', article.abstract);
+        article.authors.forEach(author => add('AU', author));
+        add('CN', article.collectiveName);
+        add('DP', article.pubDate.toString());
+        add('TA', article.journal);
+        article.mesh.forEach(term => add('MH', term));
+        article.keywords.forEach(keyword => add('OT', keyword));
+        if (article.doi) add('LID', `${article.doi} [doi]`);
+        add('PMC', article.pmcId);
+        
+        // Review annotations: GN is MEDLINE's general note; the rest are local tags
+        paragraphs(article.notes).forEach(paragraph => add('GN', paragraph));
+        add('RATE', article.rating || '');
+        add('TAGS', article.tags.join('; '));
+        add('DECN', article.decision);
+        add('EXRN', article.exclusionReason);
+        
+        return lines.join('\n');
+    }
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// "Hirschl RB" -> "Hirschl, R. B."
+function toBibTeXName(name) {
+    const match = name.match(/^(.+?)\s+(\p{Lu}{1,4})$/u);
+    if (!match) return name;
+    return `${match[1]}, ${match[2].split('').map(initial => `${initial}.`).join(' ')}`;
+}
+
+// One pass, so the braces of \textbackslash{} are not escaped again
+function escapeBibTeX(value) {
+    return value
+        .replace(/\s*\n\s*/g, ' ')
+        .replace(/[\\~^&%$#_{}]/g, char => BIBTEX_ESCAPES[char] || `\\${char}`);
+}
+
+// Paragraphs of free text (blank-line separated), each on one line
+function paragraphs(value) {
+    return String(value || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+function citationKey(article) {
+    if (article.pmid) return `pmid${article.pmid}`;
+    const author = (article.authors[0] || 'anon').split(' ')[0].toLowerCase().replace(/[^a-z]/g, '');
+    return `${author}${article.year || ''}_${article.id.replace(/[^A-Za-z0-9]/g, '')}`;
+}
@@ -0,0 +1,220 @@
+// webgpu/data/facets.js - Faceted filtering by year, journal, author, MeSH, keyword, tag, rating and decision
+import { normalizeAuthorName } from './article.js';
+import { DECISION_LABELS } from './screening.js';
+
+export const FacetMode = {
+    AND: 'and',
+    OR: 'or'
+};
+
+// Discrete facets. values(article, reviewer) lists an article's values;
+// `multi` facets can hold several values per article.
+export const FACETS = [
+    {
+        key: 'journal',
+        label: 'Journal',
+        values: article => article.journal ? [article.journal] : []
+    },
+    {
+        key: 'author',
+        label: 'Author',
+        multi: true,
+        values: article => article.authors.map(normalizeAuthorName).filter(Boolean)
+    },
+    {
+        key: 'mesh',
+        label: 'MeSH term',
+        multi: true,
+        values: article => article.mesh
+    },
+    {
+        key: 'keyword',
+        label: 'Keyword',
+        multi: true,
+        values: article => article.keywords
+    },
+    {
+        key: 'tag',
+        label: 'Tag',
+        multi: true,
+        values: article => article.tags
+    },
+    {
+        key: 'rating',
+        label: 'Rating',
+        values: article => [String(article.rating || 0)],
+        format: value => value === '0' ? 'Unrated' : '★'.repeat(Number(value))
+    },
+    {
+        key: 'decision',
+        label: 'Decision',
+        values: (article, reviewer) => [article.getDecision(reviewer).decision],
+        format: value => DECISION_LABELS[value] || value
+    }
+];
+
+const FACETS_BY_KEY = new Map(FACETS.map(facet => [facet.key, facet]));
+
+export class FacetFilter {
+    constructor() {
+        // AND: every active facet must match; OR: any of them
+        this.mode = FacetMode.AND;
+        // facet key -> Set of selected values
+        this.selections = new Map();
+        this.yearFrom = null;
+        this.yearTo = null;
+        // Whose decisions the decision facet reads ('' = consensus)
+        this.reviewer = '';
+    }
+    
+    get isActive() {
+        return this.yearFrom !== null || this.yearTo !== null || this.selections.size > 0;
+    }
+    
+    isSelected(key, value) {
+        const selected = this.selections.get(key);
+        return Boolean(selected && selected.has(value));
+    }
+    
+    toggle(key, value, enabled = !this.isSelected(key, value)) {
+        if (!FACETS_BY_KEY.has(key)) {
+            throw new Error(`Unknown facet: ${key}`);
+        }
+        
+        const selected = new Set(this.selections.get(key));
+        if (enabled) {
+            selected.add(value);
+        } else {
+            selected.delete(value);
+        }
+        
+        if (selected.size > 0) {
+            this.selections.set(key, selected);
+        } else {
+            this.selections.delete(key);
+        }
+    }
+    
+    setMode(mode) {
+        this.mode = mode === FacetMode.OR ? FacetMode.OR : FacetMode.AND;
+    }
+    
+    // Inclusive year bounds; null leaves that side open
+    setYearRange(from, to) {
+        this.yearFrom = Number.isFinite(from) ? from : null;
+        this.yearTo = Number.isFinite(to) ? to : null;
+        if (this.yearFrom !== null && this.yearTo !== null && this.yearFrom > this.yearTo) {
+            [this.yearFrom, this.yearTo] = [this.yearTo, this.yearFrom];
+        }
+    }
+    
+    clear() {
+        this.selections.clear();
+        this.yearFrom = null;
+        this.yearTo = null;
+    }
+    
+    // Whether an article passes the filter, optionally ignoring one facet
+    // (used for counts, so a facet's own selection doesn't hide its other values)
+    matches(article, except = null) {
+        let active = 0;
+        let passed = 0;
+        
+        if (except !== 'year' && (this.yearFrom !== null || this.yearTo !== null)) {
+            active++;
+            if (this.matchesYear(article)) passed++;
+        }
+        
+        for (const [key, selected] of this.selections) {
+            if (key === except) continue;
+            active++;
+            if (this.matchesFacet(article, FACETS_BY_KEY.get(key), selected)) passed++;
+        }
+        
+        if (active === 0) return true;
+        return this.mode === FacetMode.AND ? passed === active : passed > 0;
+    }
+    
+    matchesYear(article) {
+        const year = article.year;
+        if (year === null) return false;
+        return (this.yearFrom === null || year >= this.yearFrom) &&
+               (this.yearTo === null || year <= this.yearTo);
+    }
+    
+    // Single-valued facets match any selected value. Multi-valued ones follow
+    // the global mode: in AND mode the article must carry every selected value.
+    matchesFacet(article, facet, selected) {
+        const values = new Set(facet.values(article, this.reviewer));
+        const wanted = [...selected];
+        return facet.multi && this.mode === FacetMode.AND
+            ? wanted.every(value => values.has(value))
+            : wanted.some(value => values.has(value));
+    }
+    
+    // Predicate for the whole filter, or null when nothing is selected
+    predicate() {
+        return this.isActive ? article => this.matches(article) : null;
+    }
+    
+    // Live counts: { facets: Map(key -> [{ value, label, count, selected }]), years: { min, max } }.
+    // In AND mode a facet counts the articles that pass every other facet; in
+    // OR mode adding a value only widens the result, so it counts all articles.
+    counts(articles) {
+        const pool = except => this.mode === FacetMode.AND
+            ? articles.filter(article => this.matches(article, except))
+            : articles;
+        
+        const facets = new Map();
+        for (const facet of FACETS) {
+            const counts = new Map();
+            for (const article of pool(facet.key)) {
+                for (const value of new Set(facet.values(article, this.reviewer))) {
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                }
+            }
+            // Selected values stay listed even when nothing matches them any more
+            for (const value of this.selections.get(facet.key) || []) {
+                if (!counts.has(value)) counts.set(value, 0);
+            }
+            
+            facets.set(facet.key, [...counts]
+                .map(([value, count]) => ({
+                    value,
+                    label: facet.format ? facet.format(value) : value,
+                    count,
+                    selected: this.isSelected(facet.key, value)
+                }))
+                .sort((a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label))));
+        }
+        
+        const years = { min: null, max: null };
+        for (const { year } of pool('year')) {
+            if (year === null) continue;
+            if (years.min === null || year < years.min) years.min = year;
+            if (years.max === null || year > years.max) years.max = year;
+        }
+        return { facets, years };
+    }
+    
+    toJSON() {
+        const selections = {};
+        for (const [key, selected] of this.selections) {
+            selections[key] = [...selected];
+        }
+        return { mode: this.mode, yearFrom: this.yearFrom, yearTo: this.yearTo, selections };
+    }
+    
+    static fromJSON(json) {
+        const filter = new FacetFilter();
+        if (!json) return filter;
+        
+        filter.setMode(json.mode);
+        filter.setYearRange(json.yearFrom ?? null, json.yearTo ?? null);
+        for (const [key, values] of Object.entries(json.selections || {})) {
+            if (!FACETS_BY_KEY.has(key) || !Array.isArray(values)) continue;
+            values.forEach(value => filter.toggle(key, String(value), true));
+        }
+        return filter;
+    }
+}
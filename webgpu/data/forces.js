@@ -0,0 +1,268 @@
+// webgpu/data/forces.js - Barnes-Hut force simulation laying out a similarity graph in 3D
+import { mulberry32 } from './clustering.js';
+
+// Rest length of an edge of weight 1 (weaker edges rest longer, up to twice this)
+const LINK_DISTANCE = 2.5;
+// Repulsion between every pair of nodes (negative repels), and the distances
+// it is clamped to: closer nodes push as if this far apart, farther ones not at all
+const CHARGE = -1;
+const DISTANCE_MIN = 0.5;
+const DISTANCE_MAX = 25;
+// Pull of every node toward the origin, keeping loose components in view
+const GRAVITY = 0.1;
+// Barnes-Hut opening angle: a cell this wide relative to its distance counts as one body
+const THETA = 0.9;
+// Cells stop splitting at this depth (coincident nodes share a leaf)
+const MAX_DEPTH = 16;
+
+// Cooling: alpha decays from 1 to ALPHA_MIN over COOLING_TICKS ticks, then the
+// simulation stops; velocities lose VELOCITY_DECAY of themselves every tick
+const ALPHA_MIN = 0.001;
+const COOLING_TICKS = 300;
+const VELOCITY_DECAY = 0.4;
+// Alpha a reheat restarts from: enough to settle changes without scrambling the layout
+const REHEAT_ALPHA = 0.3;
+
+// Spacing of the initial spiral sphere
+const INITIAL_RADIUS = 1.5;
+const SEED = 0x5f3759df;
+
+// Force-directed layout of `graph` (see network.js: count, source, target,
+// weight, degree), cooled over a few hundred ticks: links pull neighbors to
+// their rest length, every node repels every other (approximated with an
+// octree, Barnes-Hut style) and a weak gravity holds the whole together.
+// Deterministic for a given graph.
+export class ForceSimulation {
+    constructor(graph) {
+        this.graph = graph;
+        this.count = graph.count;
+        this.positions = new Float64Array(this.count * 3);
+        this.velocities = new Float64Array(this.count * 3);
+        
+        this.alpha = 1;
+        this.alphaDecay = 1 - ALPHA_MIN ** (1 / COOLING_TICKS);
+        this.paused = false;
+        this.random = mulberry32(SEED);
+        
+        // Each end of an edge moves in inverse proportion to its degree, and
+        // hubs' edges pull less so hubs are not crushed by their neighbors;
+        // stronger edges rest shorter
+        const { source, target, weight, degree } = graph;
+        this.bias = new Float64Array(source.length);
+        this.strength = new Float64Array(source.length);
+        this.distance = new Float64Array(source.length);
+        for (let i = 0; i < source.length; i++) {
+            const [a, b] = [degree[source[i]], degree[target[i]]];
+            this.bias[i] = a / (a + b);
+            this.strength[i] = 1 / Math.min(a, b);
+            this.distance[i] = LINK_DISTANCE * (2 - weight[i]);
+        }
+        
+        // Nodes start on a spiral filling a sphere, evenly spread
+        const roll = Math.PI * (3 - Math.sqrt(5));
+        const yaw = Math.PI * 20 / (9 + Math.sqrt(221));
+        for (let i = 0; i < this.count; i++) {
+            const radius = INITIAL_RADIUS * Math.cbrt(i + 0.5);
+            const [theta, phi] = [i * roll, i * yaw];
+            this.positions.set([
+                radius * Math.sin(theta) * Math.cos(phi),
+                radius * Math.cos(theta),
+                radius * Math.sin(theta) * Math.sin(phi)
+            ], i * 3);
+        }
+    }
+    
+    // Still moving: not paused and not yet cooled down
+    get running() {
+        return !this.paused && this.alpha >= ALPHA_MIN;
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        this.paused = false;
+    }
+    
+    // Warm a cooled (or cooling) layout up again and keep it running
+    reheat(alpha = REHEAT_ALPHA) {
+        this.alpha = Math.max(this.alpha, alpha);
+        this.paused = false;
+    }
+    
+    // Advance one step, whether or not running
+    tick() {
+        this.alpha += -this.alpha * this.alphaDecay;
+        this.applyLinks();
+        this.applyCharge();
+        
+        const { positions, velocities } = this;
+        const keep = 1 - VELOCITY_DECAY;
+        for (let i = 0; i < positions.length; i++) {
+            velocities[i] = (velocities[i] - positions[i] * GRAVITY * this.alpha) * keep;
+            positions[i] += velocities[i];
+        }
+    }
+    
+    applyLinks() {
+        const { source, target } = this.graph;
+        const { positions: p, velocities: v } = this;
+        for (let i = 0; i < source.length; i++) {
+            const [s, t] = [source[i] * 3, target[i] * 3];
+            let x = p[t] + v[t] - p[s] - v[s] || this.jiggle();
+            let y = p[t + 1] + v[t + 1] - p[s + 1] - v[s + 1] || this.jiggle();
+            let z = p[t + 2] + v[t + 2] - p[s + 2] - v[s + 2] || this.jiggle();
+            const length = Math.sqrt(x * x + y * y + z * z);
+            const pull = (length - this.distance[i]) / length * this.alpha * this.strength[i];
+            [x, y, z] = [x * pull, y * pull, z * pull];
+            
+            const bias = this.bias[i];
+            v[t] -= x * bias;
+            v[t + 1] -= y * bias;
+            v[t + 2] -= z * bias;
+            v[s] += x * (1 - bias);
+            v[s + 1] += y * (1 - bias);
+            v[s + 2] += z * (1 - bias);
+        }
+    }
+    
+    // Repulsion from every other node: near cells node by node, far cells as
+    // one body at their center of mass
+    applyCharge() {
+        if (this.count < 2) return;
+        
+        const tree = this.buildOctree();
+        const { positions: p, velocities: v } = this;
+        const theta2 = THETA * THETA;
+        const [min2, max2] = [DISTANCE_MIN * DISTANCE_MIN, DISTANCE_MAX * DISTANCE_MAX];
+        
+        for (let i = 0; i < this.count; i++) {
+            const base = i * 3;
+            // Cells are in preorder, so skipping a subtree is a jump to its `next`
+            let cell = 0;
+            while (cell < tree.cells) {
+                let x = tree.x[cell] - p[base];
+                let y = tree.y[cell] - p[base + 1];
+                let z = tree.z[cell] - p[base + 2];
+                let distance2 = x * x + y * y + z * z;
+                const width = tree.width[cell];
+                
+                // Far enough to treat as one body: push and skip its contents
+                if (width * width / theta2 < distance2) {
+                    if (distance2 < max2) this.repel(v, base, x, y, z, distance2, tree.mass[cell], min2);
+                    cell = tree.next[cell];
+                    continue;
+                }
+                // Wholly out of reach
+                if (Math.sqrt(distance2) - width > DISTANCE_MAX) {
+                    cell = tree.next[cell];
+                    continue;
+                }
+                // Inner cell: its first child follows
+                if (tree.first[cell] < 0) {
+                    cell++;
+                    continue;
+                }
+                
+                // Leaf: each node but this one
+                for (let k = tree.first[cell]; k < tree.last[cell]; k++) {
+                    const j = tree.order[k];
+                    if (j === i) continue;
+                    x = p[j * 3] - p[base] || this.jiggle();
+                    y = p[j * 3 + 1] - p[base + 1] || this.jiggle();
+                    z = p[j * 3 + 2] - p[base + 2] || this.jiggle();
+                    distance2 = x * x + y * y + z * z;
+                    if (distance2 < max2) this.repel(v, base, x, y, z, distance2, 1, min2);
+                }
+                cell = tree.next[cell];
+            }
+        }
+    }
+    
+    repel(v, base, x, y, z, distance2, mass, min2) {
+        if (distance2 < min2) distance2 = Math.sqrt(min2 * distance2);
+        const push = CHARGE * mass * this.alpha / distance2;
+        v[base] += x * push;
+        v[base + 1] += y * push;
+        v[base + 2] += z * push;
+    }
+    
+    // Octree over the current positions, flattened in preorder: per cell its
+    // center of mass (x, y, z), mass (node count), width, the cell after its
+    // subtree (next) and, for leaves, its nodes order[first..last) (first is
+    // -1 for inner cells)
+    buildOctree() {
+        const p = this.positions;
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < p.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], p[i]);
+            max[i % 3] = Math.max(max[i % 3], p[i]);
+        }
+        const width = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2], DISTANCE_MIN);
+        
+        const tree = {
+            cells: 0,
+            x: [], y: [], z: [], mass: [], width: [], next: [], first: [], last: [],
+            order: Uint32Array.from({ length: this.count }, (_, index) => index)
+        };
+        const scratch = new Uint32Array(this.count);
+        const octantOf = new Uint8Array(this.count);
+        
+        const build = (start, end, cx, cy, cz, width, depth) => {
+            const cell = tree.cells++;
+            let [x, y, z] = [0, 0, 0];
+            for (let k = start; k < end; k++) {
+                const base = tree.order[k] * 3;
+                x += p[base];
+                y += p[base + 1];
+                z += p[base + 2];
+            }
+            const mass = end - start;
+            tree.x[cell] = x / mass;
+            tree.y[cell] = y / mass;
+            tree.z[cell] = z / mass;
+            tree.mass[cell] = mass;
+            tree.width[cell] = width;
+            tree.first[cell] = start;
+            tree.last[cell] = end;
+            
+            if (mass > 1 && depth < MAX_DEPTH) {
+                // Counting sort of the range by octant, then one child per non-empty octant
+                const counts = new Array(9).fill(0);
+                for (let k = start; k < end; k++) {
+                    const base = tree.order[k] * 3;
+                    const octant = (p[base] >= cx) | (p[base + 1] >= cy) << 1 | (p[base + 2] >= cz) << 2;
+                    octantOf[tree.order[k]] = octant;
+                    counts[octant + 1]++;
+                }
+                for (let octant = 1; octant <= 8; octant++) counts[octant] += counts[octant - 1];
+                const offsets = counts.slice();
+                for (let k = start; k < end; k++) {
+                    scratch[start + offsets[octantOf[tree.order[k]]]++] = tree.order[k];
+                }
+                tree.order.set(scratch.subarray(start, end), start);
+                
+                tree.first[cell] = -1;
+                const quarter = width / 4;
+                for (let octant = 0; octant < 8; octant++) {
+                    if (counts[octant] === counts[octant + 1]) continue;
+                    build(start + counts[octant], start + counts[octant + 1],
+                          cx + (octant & 1 ? quarter : -quarter),
+                          cy + (octant & 2 ? quarter : -quarter),
+                          cz + (octant & 4 ? quarter : -quarter),
+                          width / 2, depth + 1);
+                }
+            }
+            tree.next[cell] = tree.cells;
+        };
+        build(0, this.count, (min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2, width, 0);
+        return tree;
+    }
+    
+    // Tiny offset separating coincident nodes, so they push apart in some direction
+    jiggle() {
+        return (this.random() - 0.5) * 1e-6;
+    }
+}
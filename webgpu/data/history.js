@@ -0,0 +1,98 @@
+// webgpu/data/history.js - Undo/redo command stack
+//
+// A command is { label, execute(), undo() }; both may be async. execute() is
+// also used for redo, so it must be safe to run again after undo().
+export class CommandHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = new Set();
+        
+        // Commands run one at a time, in order, even when triggered rapidly
+        this.queue = Promise.resolve();
+    }
+    
+    execute(command) {
+        return this.enqueue(async () => {
+            await command.execute();
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+            this.redoStack = [];
+        });
+    }
+    
+    undo() {
+        return this.enqueue(async () => {
+            const command = this.undoStack.pop();
+            if (!command) return;
+            await command.undo();
+            this.redoStack.push(command);
+        });
+    }
+    
+    redo() {
+        return this.enqueue(async () => {
+            const command = this.redoStack.pop();
+            if (!command) return;
+            await command.execute();
+            this.undoStack.push(command);
+        });
+    }
+    
+    // Undo or redo until `position` commands are applied
+    jumpTo(position) {
+        return this.enqueue(async () => {
+            while (this.undoStack.length > position) {
+                const command = this.undoStack.pop();
+                await command.undo();
+                this.redoStack.push(command);
+            }
+            while (this.undoStack.length < position && this.redoStack.length) {
+                const command = this.redoStack.pop();
+                await command.execute();
+                this.undoStack.push(command);
+            }
+        });
+    }
+    
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+    
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    // Applied commands oldest first, followed by undone ones (newest undo first)
+    entries() {
+        return [
+            ...this.undoStack.map(command => ({ label: command.label, applied: true })),
+            ...[...this.redoStack].reverse().map(command => ({ label: command.label, applied: false }))
+        ];
+    }
+    
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+    
+    enqueue(task) {
+        const run = this.queue.then(task).finally(() => this.notify());
+        // Keep the queue alive after a failed command
+        this.queue = run.catch(error => console.error('History command failed:', error));
+        return run;
+    }
+}
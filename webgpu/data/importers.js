@@ -0,0 +1,557 @@
+// webgpu/data/importers.js - Reference library import (RIS, BibTeX, MEDLINE, EndNote XML, CSV)
+import { Article, PublicationDate, normalizeDOI, normalizeAuthorName } from './article.js';
+import { CSVParser } from './csv.js';
+import { PubMedClient } from './pubmed.js';
+
+export const ImportFormat = {
+    CSV: 'csv',
+    RIS: 'ris',
+    BIBTEX: 'bibtex',
+    MEDLINE: 'medline',
+    ENDNOTE_XML: 'endnote-xml',
+    PUBMED_XML: 'pubmed-xml'
+};
+
+const FORMAT_LABELS = {
+    [ImportFormat.CSV]: 'CSV',
+    [ImportFormat.RIS]: 'RIS',
+    [ImportFormat.BIBTEX]: 'BibTeX',
+    [ImportFormat.MEDLINE]: 'MEDLINE/nbib',
+    [ImportFormat.ENDNOTE_XML]: 'EndNote XML',
+    [ImportFormat.PUBMED_XML]: 'PubMed XML'
+};
+
+const EXTENSIONS = {
+    csv: ImportFormat.CSV,
+    ris: ImportFormat.RIS,
+    bib: ImportFormat.BIBTEX,
+    bibtex: ImportFormat.BIBTEX,
+    nbib: ImportFormat.MEDLINE,
+    medline: ImportFormat.MEDLINE
+};
+
+export class ImportError extends Error {
+    constructor(message, format = null) {
+        super(message);
+        this.name = 'ImportError';
+        this.format = format;
+    }
+}
+
+// Collects field mapping warnings, grouped so a 5000-record library with the
+// same unmapped tag produces one line rather than 5000
+class WarningLog {
+    constructor() {
+        this.counts = new Map();
+    }
+    
+    add(message) {
+        this.counts.set(message, (this.counts.get(message) || 0) + 1);
+    }
+    
+    toArray() {
+        return Array.from(this.counts, ([message, count]) =>
+            count > 1 ? `${message} (${count} records)` : message
+        );
+    }
+}
+
+export class LibraryImporter {
+    constructor(options = {}) {
+        this.parseXML = options.parseXML || (text => new DOMParser().parseFromString(text, 'application/xml'));
+    }
+    
+    static formatLabel(format) {
+        return FORMAT_LABELS[format] || format;
+    }
+    
+    // Detect a format from the file extension, falling back to content sniffing
+    detectFormat(text, filename = '') {
+        const extension = filename.split('.').pop().toLowerCase();
+        if (EXTENSIONS[extension]) return EXTENSIONS[extension];
+        
+        const head = text.replace(/^\uFEFF/, '').trimStart().slice(0, 2000);
+        
+        if (/^TY {2}- /m.test(head)) return ImportFormat.RIS;
+        if (/^PMID- /m.test(head)) return ImportFormat.MEDLINE;
+        if (/^@\w+\s*[{(]/m.test(head)) return ImportFormat.BIBTEX;
+        if (head.startsWith('<')) {
+            if (/<PubmedArticleSet|<PubmedArticle>/.test(head)) return ImportFormat.PUBMED_XML;
+            if (/<records>|<record>/.test(head)) return ImportFormat.ENDNOTE_XML;
+        }
+        if (/^"?PMID"?,/.test(head) || extension === 'txt' && head.includes(',')) return ImportFormat.CSV;
+        
+        throw new ImportError(`Unrecognized library format${filename ? ` for ${filename}` : ''}`);
+    }
+    
+    // Parse library text into { format, articles, warnings }
+    parse(text, filename = '') {
+        const format = this.detectFormat(text, filename);
+        const warnings = new WarningLog();
+        let articles;
+        
+        switch (format) {
+            case ImportFormat.CSV:
+                articles = this.parseCSV(text, warnings);
+                break;
+            case ImportFormat.RIS:
+                articles = this.parseRIS(text, warnings);
+                break;
+            case ImportFormat.BIBTEX:
+                articles = this.parseBibTeX(text, warnings);
+                break;
+            case ImportFormat.MEDLINE:
+                articles = this.parseMEDLINE(text, warnings);
+                break;
+            case ImportFormat.ENDNOTE_XML:
+                articles = this.parseEndNoteXML(text, warnings);
+                break;
+            case ImportFormat.PUBMED_XML:
+                articles = new PubMedClient({ parseXML: this.parseXML }).parseArticles(text);
+                break;
+        }
+        
+        const importedAt = new Date().toISOString();
+        for (const article of articles) {
+            if (!article.title) warnings.add('Record without a title');
+            if (article.year === null) warnings.add('Record without a publication year');
+            article.provenance.push({ label: filename || FORMAT_LABELS[format], format, importedAt });
+        }
+        
+        return { format, articles, warnings: warnings.toArray() };
+    }
+    
+    parseCSV(text, warnings) {
+        const { headers, rows } = new CSVParser().parse(text);
+        if (!headers.includes('Title')) {
+            warnings.add('CSV has no "Title" column; expected the PubMed export layout');
+        }
+        return rows.map(row => Article.fromRecord(row));
+    }
+    
+    // RIS: "XX  - value" lines, records end at "ER  -"
+    parseRIS(text, warnings) {
+        const records = [];
+        let current = null;
+        let lastTag = null;
+        
+        for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            const match = rawLine.match(/^([A-Z][A-Z0-9]) {2}-(?: (.*))?$/);
+            if (!match) {
+                // Continuation of a wrapped value
+                if (current && lastTag && rawLine.trim()) {
+                    const values = current[lastTag];
+                    values[values.length - 1] += ` ${rawLine.trim()}`;
+                }
+                continue;
+            }
+            
+            const [, tag, value = ''] = match;
+            if (tag === 'TY') {
+                current = {};
+            } else if (tag === 'ER') {
+                if (current) records.push(current);
+                current = null;
+                continue;
+            }
+            if (!current) continue;
+            
+            (current[tag] = current[tag] || []).push(value.trim());
+            lastTag = tag;
+        }
+        
+        const mapped = new Set([
+            'TY', 'TI', 'T1', 'AU', 'A1', 'JO', 'JF', 'JA', 'J2', 'T2', 'AB', 'N2',
+            'PY', 'Y1', 'DA', 'DO', 'KW', 'AN', 'C2', 'UR', 'ID',
+            'C1', 'N1', 'C3', 'C4', 'C5', 'C6'
+        ]);
+        
+        return records.map(record => {
+            const first = (...tags) => {
+                for (const tag of tags) {
+                    if (record[tag] && record[tag][0]) return record[tag][0];
+                }
+                return '';
+            };
+            
+            for (const tag of Object.keys(record)) {
+                if (!mapped.has(tag)) warnings.add(`RIS tag ${tag} is not mapped`);
+            }
+            
+            // PY is "1995" or "1995/11/04/"; DA carries the full date when present
+            const dateParts = (first('DA', 'PY', 'Y1')).split('/');
+            const pubDate = PublicationDate.parseParts(dateParts[0], dateParts[1], dateParts[2]);
+            
+            const accession = first('AN');
+            const pmid = /^\d+$/.test(accession) ? accession : '';
+            if (accession && !pmid) warnings.add('RIS AN (accession number) is not a PMID; ignored');
+            
+            const risAuthors = [...(record.AU || []), ...(record.A1 || [])];
+            const doi = first('DO') || ((record.UR || []).find(url => /doi\.org\//i.test(url)) || '');
+            
+            return new Article({
+                pmid,
+                title: first('TI', 'T1'),
+                journal: first('J2', 'JA', 'JO', 'T2', 'JF'),
+                abstract: first('AB', 'N2'),
+                // A trailing comma marks a corporate author (EndNote convention)
+                authors: risAuthors.filter(name => !name.endsWith(',')).map(normalizeAuthorName).filter(Boolean),
+                collectiveName: (risAuthors.find(name => name.endsWith(',')) || '').replace(/,$/, ''),
+                keywords: (record.KW || []).filter(Boolean),
+                pubDate,
+                doi: normalizeDOI(doi),
+                pmcId: (first('C2').match(/PMC\d+/i) || [''])[0].toUpperCase(),
+                // Custom fields written by LibraryExporter
+                mesh: splitBibList(first('C1'), /\s*;\s*/),
+                // LibraryExporter writes one N1 per paragraph
+                notes: (record.N1 || []).join('\n\n'),
+                rating: parseInt(first('C3'), 10) || 0,
+                tags: splitBibList(first('C4'), /\s*;\s*/),
+                decision: first('C5').toLowerCase(),
+                exclusionReason: first('C6')
+            });
+        });
+    }
+    
+    // BibTeX: @type{key, field = {value} | "value" | number, ...}
+    parseBibTeX(text, warnings) {
+        const articles = [];
+        const strings = {};
+        const entryPattern = /@(\w+)\s*([{(])/g;
+        let match;
+        
+        while ((match = entryPattern.exec(text)) !== null) {
+            const type = match[1].toLowerCase();
+            const open = match[2];
+            const close = open === '{' ? '}' : ')';
+            const start = entryPattern.lastIndex;
+            const end = findClosing(text, start, open, close);
+            if (end === -1) {
+                throw new ImportError(`Unterminated BibTeX entry @${match[1]} at offset ${match.index}`, ImportFormat.BIBTEX);
+            }
+            entryPattern.lastIndex = end + 1;
+            
+            const body = text.slice(start, end);
+            if (type === 'comment' || type === 'preamble') continue;
+            if (type === 'string') {
+                Object.assign(strings, parseBibFields(body, strings));
+                continue;
+            }
+            
+            // Drop the citation key
+            const comma = body.indexOf(',');
+            const raw = parseBibFields(comma === -1 ? '' : body.slice(comma + 1), strings);
+            const fields = {};
+            for (const [name, value] of Object.entries(raw)) {
+                fields[name] = cleanLatex(value);
+            }
+            const { authors, collectiveName } = splitBibAuthors(raw.author);
+            
+            if (type !== 'article') {
+                warnings.add(`BibTeX @${type} entries are imported as journal articles`);
+            }
+            
+            const mapped = new Set([
+                'title', 'author', 'journal', 'journaltitle', 'shortjournal', 'year', 'month', 'day', 'date',
+                'abstract', 'doi', 'keywords', 'pmid', 'pmcid', 'eprint', 'eprinttype', 'url', 'mesh',
+                'note', 'annote', 'rating', 'tags', 'decision', 'exclusion-reason'
+            ]);
+            for (const name of Object.keys(fields)) {
+                if (!mapped.has(name)) warnings.add(`BibTeX field "${name}" is not mapped`);
+            }
+            
+            let pubDate;
+            if (fields.date) {
+                const [year, month, day] = fields.date.split('-');
+                pubDate = PublicationDate.parseParts(year, month, day);
+            } else {
+                pubDate = PublicationDate.parseParts(fields.year, fields.month, fields.day);
+            }
+            
+            const pmid = fields.pmid || (fields.eprinttype === 'pubmed' ? fields.eprint : '');
+            
+            articles.push(new Article({
+                pmid: (pmid || '').trim(),
+                title: fields.title || '',
+                journal: fields.shortjournal || fields.journal || fields.journaltitle || '',
+                abstract: fields.abstract || '',
+                authors,
+                collectiveName,
+                keywords: splitBibList(fields.keywords, /\s*[;,]\s*/),
+                mesh: splitBibList(fields.mesh, /\s*;\s*/),
+                pubDate,
+                doi: normalizeDOI(fields.doi || ''),
+                pmcId: (fields.pmcid || '').toUpperCase(),
+                notes: fields.note || fields.annote || '',
+                rating: parseInt(fields.rating, 10) || 0,
+                tags: splitBibList(fields.tags, /\s*;\s*/),
+                decision: (fields.decision || '').toLowerCase(),
+                exclusionReason: fields['exclusion-reason'] || ''
+            }));
+        }
+        
+        return articles;
+    }
+    
+    // MEDLINE/nbib: "TAG - value" with 6-space continuation lines, blank line between records
+    parseMEDLINE(text, warnings) {
+        const records = [];
+        let current = null;
+        let lastTag = null;
+        
+        for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            if (!rawLine.trim()) {
+                if (current) records.push(current);
+                current = null;
+                lastTag = null;
+                continue;
+            }
+            
+            const match = rawLine.match(/^([A-Z0-9]{2,4})\s*- (.*)$/);
+            if (match) {
+                current = current || {};
+                lastTag = match[1];
+                (current[lastTag] = current[lastTag] || []).push(match[2].trim());
+            } else if (current && lastTag && /^\s{2,}/.test(rawLine)) {
+                const values = current[lastTag];
+                values[values.length - 1] += ` ${rawLine.trim()}`;
+            }
+        }
+        if (current) records.push(current);
+        
+        // Tags that are informational and safe to drop without a warning
+        const ignored = new Set([
+            'OWN', 'STAT', 'DCOM', 'LR', 'IS', 'VI', 'IP', 'PG', 'LA', 'PT', 'PL', 'JID', 'SB',
+            'EDAT', 'MHDA', 'CRDT', 'PHST', 'PST', 'SO', 'AD', 'FAU', 'DEP', 'CI', 'AUID',
+            'RN', 'OTO', 'COIS', 'GR', 'CIN', 'CON', 'EIN', 'ROF', 'IR', 'FIR'
+        ]);
+        const mapped = new Set([
+            'PMID', 'TI', 'AB', 'AU', 'CN', 'TA', 'JT', 'DP', 'MH', 'OT', 'LID', 'AID', 'PMC',
+            'GN', 'RATE', 'TAGS', 'DECN', 'EXRN'
+        ]);
+        
+        return records.map(record => {
+            const first = tag => (record[tag] && record[tag][0]) || '';
+            
+            for (const tag of Object.keys(record)) {
+                if (!mapped.has(tag) && !ignored.has(tag)) warnings.add(`MEDLINE tag ${tag} is not mapped`);
+            }
+            
+            // "10.1016/s0140-6736(95)92903-7 [doi]"
+            const doiEntry = [...(record.LID || []), ...(record.AID || [])].find(value => value.endsWith('[doi]'));
+            
+            return new Article({
+                pmid: first('PMID'),
+                title: first('TI'),
+                journal: first('TA') || first('JT'),
+                abstract: first('AB'),
+                authors: record.AU || [],
+                collectiveName: first('CN'),
+                // "*Respiration, Artificial/methods" -> "Respiration, Artificial"
+                mesh: (record.MH || []).map(term => term.replace(/^\*/, '').split('/')[0].trim()),
+                keywords: record.OT || [],
+                pubDate: PublicationDate.parseString(first('DP')),
+                doi: normalizeDOI(doiEntry ? doiEntry.replace(/\s*\[doi\]$/, '') : ''),
+                pmcId: first('PMC'),
+                // Annotation tags written by LibraryExporter
+                notes: (record.GN || []).join('\n\n'),
+                rating: parseInt(first('RATE'), 10) || 0,
+                tags: splitBibList(first('TAGS'), /\s*;\s*/),
+                decision: first('DECN').toLowerCase(),
+                exclusionReason: first('EXRN')
+            });
+        });
+    }
+    
+    // EndNote XML export: <xml><records><record>...</record></records></xml>
+    parseEndNoteXML(text, warnings) {
+        const doc = this.parseXML(text);
+        if (doc.getElementsByTagName('parsererror')[0]) {
+            throw new ImportError('EndNote XML is not well-formed', ImportFormat.ENDNOTE_XML);
+        }
+        
+        const mapped = new Set([
+            'database', 'source-app', 'rec-number', 'foreign-keys', 'ref-type', 'contributors', 'titles',
+            'periodical', 'dates', 'abstract', 'electronic-resource-num', 'keywords', 'accession-num',
+            'custom2', 'urls', 'pages', 'volume', 'number', 'language', 'isbn', 'edition', 'section',
+            'auth-address', 'remote-database-name', 'remote-database-provider', 'notes'
+        ]);
+        
+        return Array.from(doc.getElementsByTagName('record')).map(record => {
+            const field = name => {
+                const element = record.getElementsByTagName(name)[0];
+                return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+            };
+            const list = name => Array.from(record.getElementsByTagName(name))
+                .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+                .filter(Boolean);
+            
+            for (const element of Array.from(record.childNodes)) {
+                if (element.nodeType === 1 && !mapped.has(element.tagName)) {
+                    warnings.add(`EndNote element <${element.tagName}> is not mapped`);
+                }
+            }
+            
+            const refType = record.getElementsByTagName('ref-type')[0];
+            if (refType && refType.getAttribute('name') && refType.getAttribute('name') !== 'Journal Article') {
+                warnings.add(`EndNote "${refType.getAttribute('name')}" records are imported as journal articles`);
+            }
+            
+            const authors = Array.from(record.getElementsByTagName('authors'))
+                .flatMap(group => Array.from(group.getElementsByTagName('author')))
+                .map(author => normalizeAuthorName(author.textContent));
+            
+            // Dates: <year>1995</year><pub-dates><date>Nov 4</date></pub-dates>
+            const year = field('year');
+            const [month, day] = field('date').split(/\s+/);
+            
+            const accession = field('accession-num');
+            const pmid = /^\d+$/.test(accession) ? accession : '';
+            
+            return new Article({
+                pmid,
+                title: field('title'),
+                journal: field('abbr-1') || field('secondary-title') || field('full-title'),
+                abstract: field('abstract'),
+                authors: authors.filter(Boolean),
+                keywords: list('keyword'),
+                pubDate: PublicationDate.parseParts(year, month, day),
+                doi: normalizeDOI(field('electronic-resource-num')),
+                notes: field('notes'),
+                pmcId: (field('custom2').match(/PMC\d+/i) || [''])[0].toUpperCase()
+            });
+        });
+    }
+}
+
+// Index of the bracket closing the one opened just before `start`
+function findClosing(text, start, open, close) {
+    let depth = 1;
+    let inQuote = false;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+            continue;
+        }
+        if (ch === '"' && open === '(') inQuote = !inQuote;
+        if (inQuote) continue;
+        if (ch === '{' || ch === open) depth++;
+        else if (ch === '}' || ch === close) {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+// Split "Last, First and {Corporate Name}" at brace depth 0; a fully braced
+// name is a corporate (collective) author
+function splitBibAuthors(value) {
+    const names = [];
+    let depth = 0;
+    let start = 0;
+    const text = value || '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}') depth--;
+        else if (depth === 0) {
+            const separator = text.slice(i).match(/^\s+and\s+/i);
+            if (separator) {
+                names.push(text.slice(start, i));
+                start = i + separator[0].length;
+                i = start - 1;
+            }
+        }
+    }
+    names.push(text.slice(start));
+    
+    const authors = [];
+    let collectiveName = '';
+    for (const name of names.map(item => item.trim()).filter(Boolean)) {
+        if (/^\{[^{}]*\}$/.test(name)) {
+            collectiveName = collectiveName || cleanLatex(name);
+        } else {
+            authors.push(normalizeAuthorName(cleanLatex(name)));
+        }
+    }
+    return { authors, collectiveName };
+}
+
+// Parse "name = value, ..." where values are {braced}, "quoted", numbers or
+// @string macros, optionally concatenated with #
+function parseBibFields(body, strings) {
+    const fields = {};
+    let i = 0;
+    
+    while (i < body.length) {
+        const nameMatch = /\s*,?\s*([\w\-:]+)\s*=\s*/y;
+        nameMatch.lastIndex = i;
+        const match = nameMatch.exec(body);
+        if (!match) break;
+        i = nameMatch.lastIndex;
+        
+        let value = '';
+        while (i < body.length) {
+            const ch = body[i];
+            if (ch === '{') {
+                const end = findClosing(body, i + 1, '{', '}');
+                value += body.slice(i + 1, end === -1 ? body.length : end);
+                i = end === -1 ? body.length : end + 1;
+            } else if (ch === '"') {
+                let end = i + 1;
+                let depth = 0;
+                while (end < body.length && !(body[end] === '"' && depth === 0)) {
+                    if (body[end] === '{') depth++;
+                    if (body[end] === '}') depth--;
+                    end++;
+                }
+                value += body.slice(i + 1, end);
+                i = end + 1;
+            } else {
+                const token = /[^\s,#]+/y;
+                token.lastIndex = i;
+                const bare = token.exec(body);
+                if (!bare) break;
+                const name = bare[0].toLowerCase();
+                value += strings[name] !== undefined ? strings[name] : bare[0];
+                i = token.lastIndex;
+            }
+            
+            // Concatenation with #
+            const concat = /\s*#\s*/y;
+            concat.lastIndex = i;
+            if (concat.exec(body)) {
+                i = concat.lastIndex;
+            } else {
+                break;
+            }
+        }
+        
+        fields[match[1].toLowerCase()] = value;
+    }
+    
+    return fields;
+}
+
+// Strip grouping braces and the common LaTeX accent/escape sequences; blank
+// lines (paragraph breaks) are kept
+function cleanLatex(value) {
+    const accents = { '"': '\u0308', "'": '\u0301', '`': '\u0300', '^': '\u0302', '~': '\u0303', 'c': '\u0327' };
+    const symbols = { textbackslash: '\\', textasciitilde: '~', textasciicircum: '^' };
+    return value
+        .replace(/\\(["'`^~c])\s*\{?([A-Za-z])\}?/g, (_, accent, letter) =>
+            (letter + (accents[accent] || '')).normalize('NFC'))
+        // One pass, so escaped braces survive the stripping of grouping ones
+        .replace(/\\(textbackslash|textasciitilde|textasciicircum)(?:\{\}|\b)|\\([&%$#_{}])|[{}]/g,
+            (_, symbol, escaped) => symbol ? symbols[symbol] : escaped || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+function splitBibList(value, separator) {
+    if (!value) return [];
+    return value.split(separator).map(item => item.trim()).filter(Boolean);
+}
@@ -0,0 +1,284 @@
+// webgpu/data/mesh.js - MeSH descriptor trees, articles placed in them and the sunburst of their branches
+
+// Top-level MeSH categories: the first letter of every tree number
+export const MESH_CATEGORIES = {
+    A: 'Anatomy',
+    B: 'Organisms',
+    C: 'Diseases',
+    D: 'Chemicals and Drugs',
+    E: 'Analytical, Diagnostic and Therapeutic Techniques, and Equipment',
+    F: 'Psychiatry and Psychology',
+    G: 'Phenomena and Processes',
+    H: 'Disciplines and Occupations',
+    I: 'Anthropology, Education, Sociology, and Social Phenomena',
+    J: 'Technology, Industry, and Agriculture',
+    K: 'Humanities',
+    L: 'Information Science',
+    M: 'Named Groups',
+    N: 'Health Care',
+    V: 'Publication Characteristics',
+    Z: 'Geographicals'
+};
+
+// Branch of the articles none of whose terms is in the tree (or before one is loaded)
+export const UNMATCHED = '-';
+const UNMATCHED_NAME = 'Not in MeSH';
+
+// Branches shown open at first: every category, so its subtrees show
+export const DEFAULT_MESH_EXPANDED = Object.keys(MESH_CATEGORIES);
+
+// Check tags are indexed on nearly every article and say nothing of its topic,
+// so they never decide where an article goes
+const CHECK_TAGS = new Set([
+    'humans', 'animals', 'male', 'female', 'pregnancy',
+    'infant, newborn', 'infant', 'child, preschool', 'child', 'adolescent',
+    'young adult', 'adult', 'middle aged', 'aged', 'aged, 80 and over'
+]);
+
+// Sunburst geometry: rings of RING_ROWS cells SPACING apart, the innermost
+// (the categories) starting at INNER_RADIUS, with RING_GAP between rings
+const SPACING = 2;
+const RING_ROWS = 3;
+const RING_GAP = 1.5;
+const INNER_RADIUS = 6;
+
+// Descriptor names and tree numbers of the MeSH vocabulary. Tree numbers
+// such as C08.618.085 name a branch under C08.618, under C08, under the
+// category C; a descriptor may sit in several branches.
+export class MeshTree {
+    // descriptors: [{ name, treeNumbers }]
+    constructor(descriptors) {
+        this.descriptors = descriptors;
+        this.byTerm = new Map();
+        this.names = new Map();
+        for (const { name, treeNumbers } of descriptors) {
+            this.byTerm.set(name.toLowerCase(), treeNumbers);
+            for (const number of treeNumbers) this.names.set(number, name);
+        }
+    }
+    
+    get size() {
+        return this.descriptors.length;
+    }
+    
+    // Tree numbers of a descriptor name (any case), or none
+    treeNumbers(term) {
+        return this.byTerm.get(term.trim().toLowerCase()) || [];
+    }
+    
+    // Name of a branch: its category, its descriptor, or the tree number itself
+    nameOf(id) {
+        if (id === UNMATCHED) return UNMATCHED_NAME;
+        return MESH_CATEGORIES[id] || this.names.get(id) || id;
+    }
+    
+    // Compact form for storage: [[name, [treeNumbers]], ...]
+    toJSON() {
+        return this.descriptors.map(({ name, treeNumbers }) => [name, treeNumbers]);
+    }
+    
+    static fromJSON(json) {
+        return new MeshTree(json.map(([name, treeNumbers]) => ({ name, treeNumbers })));
+    }
+}
+
+// Incremental parser of the NLM descriptor file, XML (desc20XX.xml) or ASCII
+// (d20XX.bin), fed text in chunks so the whole file (300 MB as XML) never has
+// to sit in one string. Only descriptor names and tree numbers are kept.
+export class MeshDescriptorParser {
+    constructor() {
+        this.format = null;
+        this.pending = '';
+        this.descriptors = [];
+    }
+    
+    push(text) {
+        this.pending += text;
+        if (!this.format) {
+            const start = this.pending.trimStart();
+            if (!start) return;
+            this.format = start.startsWith('<') ? 'xml' : 'ascii';
+        }
+        
+        // Parse every complete record, keep the rest for the next chunk
+        const delimiter = this.format === 'xml' ? '</DescriptorRecord>' : '*NEWRECORD';
+        const index = this.pending.lastIndexOf(delimiter);
+        if (index === -1) return;
+        const end = this.format === 'xml' ? index + delimiter.length : index;
+        this.parseRecords(this.pending.slice(0, end));
+        this.pending = this.pending.slice(end);
+    }
+    
+    // The tree of everything pushed; throws if nothing looked like a descriptor
+    finish() {
+        this.parseRecords(this.pending);
+        this.pending = '';
+        if (this.descriptors.length === 0) {
+            throw new Error('No MeSH descriptors found; expected the NLM descriptor file (desc20XX.xml or d20XX.bin)');
+        }
+        return new MeshTree(this.descriptors);
+    }
+    
+    parseRecords(text) {
+        if (this.format === 'xml') {
+            for (const record of text.split('</DescriptorRecord>')) {
+                // The record's own name comes first; later DescriptorNames are references
+                const name = record.match(/<DescriptorName>\s*<String>([^<]*)<\/String>/);
+                if (!name) continue;
+                const treeNumbers = [...record.matchAll(/<TreeNumber>([^<]*)<\/TreeNumber>/g)].map(match => match[1].trim());
+                this.descriptors.push({ name: decodeEntities(name[1].trim()), treeNumbers });
+            }
+        } else {
+            for (const record of text.split('*NEWRECORD')) {
+                const name = record.match(/^MH = (.+)$/m);
+                if (!name) continue;
+                const treeNumbers = [...record.matchAll(/^MN = (.+)$/gm)].map(match => match[1].trim());
+                this.descriptors.push({ name: name[1].trim(), treeNumbers });
+            }
+        }
+    }
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => ENTITIES[entity]);
+}
+
+// Read a descriptor file (a File or Blob) into a MeshTree
+export async function loadMeshDescriptors(file) {
+    const parser = new MeshDescriptorParser();
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        parser.push(value);
+    }
+    return parser.finish();
+}
+
+// Articles placed in the tree (a MeshTree, or null for none): each under the
+// most specific tree number of its terms, check tags aside, with ties going
+// to the term more articles share; articles with no term in the tree go under
+// UNMATCHED. Returns { nodes, roots, placement }: nodes maps branch ids to
+// { id, name, depth, parent, children, count } (count = articles in its
+// subtree), and placement[i] is the node of articles[i].
+export function buildMeshHierarchy(articles, tree) {
+    const shared = new Map();
+    for (const article of articles) {
+        for (const term of new Set(article.mesh.map(term => term.toLowerCase()))) {
+            shared.set(term, (shared.get(term) || 0) + 1);
+        }
+    }
+    
+    const nodes = new Map();
+    const roots = [];
+    const nodeOf = id => {
+        if (nodes.has(id)) return nodes.get(id);
+        const parentId = parentOf(id);
+        const parent = parentId === null ? null : nodeOf(parentId);
+        const node = { id, name: tree ? tree.nameOf(id) : UNMATCHED_NAME, depth: parent ? parent.depth + 1 : 0, parent, children: [], count: 0 };
+        nodes.set(id, node);
+        (parent ? parent.children : roots).push(node);
+        return node;
+    };
+    
+    const placement = articles.map(article => {
+        let best = null;
+        for (const term of article.mesh) {
+            const key = term.toLowerCase();
+            if (!tree || CHECK_TAGS.has(key)) continue;
+            for (const number of tree.treeNumbers(key)) {
+                const candidate = { number, depth: number.split('.').length, shared: shared.get(key) };
+                if (!best || candidate.depth > best.depth || candidate.depth === best.depth && candidate.shared > best.shared) {
+                    best = candidate;
+                }
+            }
+        }
+        const node = nodeOf(best ? best.number : UNMATCHED);
+        for (let ancestor = node; ancestor; ancestor = ancestor.parent) ancestor.count++;
+        return node;
+    });
+    
+    // Branches in tree number order, the unmatched last
+    const byId = (a, b) => (a.id === UNMATCHED) - (b.id === UNMATCHED) || a.id.localeCompare(b.id);
+    roots.sort(byId);
+    for (const node of nodes.values()) node.children.sort(byId);
+    return { nodes, roots, placement };
+}
+
+// C08.618.085 -> C08.618 -> C08 -> C -> none
+function parentOf(id) {
+    if (id === UNMATCHED || id.length === 1) return null;
+    const dot = id.lastIndexOf('.');
+    return dot === -1 ? id[0] : id.slice(0, dot);
+}
+
+// Sunburst of the branches shown: the roots, and the children of every shown
+// branch in `expanded` (a set of ids). Each branch takes the share of its
+// parent's arc that its articles are of the parent's, on the ring of its
+// depth, and every article sits in the deepest branch shown on its path.
+// Returns { branches, branch, branchRank }: branches are MeshBranch fields
+// plus { id, name, depth, size (articles in the subtree), count (articles
+// sitting in it), expanded, expandable, center (atop its tower) } in
+// sunburst order, and branch / branchRank give each article's branch and
+// place in it.
+export function meshSunburst(hierarchy, expanded) {
+    const branches = [];
+    const shown = new Map();
+    const total = hierarchy.roots.reduce((sum, root) => sum + root.count, 0);
+    
+    const show = (node, start, span) => {
+        shown.set(node, branches.length);
+        const radius = INNER_RADIUS + node.depth * (RING_ROWS * SPACING + RING_GAP);
+        const middle = radius + RING_ROWS * SPACING / 2;
+        const open = expanded.has(node.id) && node.children.length > 0;
+        branches.push({
+            id: node.id,
+            name: node.name,
+            depth: node.depth,
+            size: node.count,
+            count: 0,
+            expanded: open,
+            expandable: node.children.length > 0,
+            start,
+            span,
+            radius,
+            spacing: SPACING,
+            rows: RING_ROWS,
+            columns: Math.max(1, Math.floor(span * middle / SPACING)),
+            center: null
+        });
+        if (!open) return;
+        
+        let angle = start;
+        for (const child of node.children) {
+            const share = span * child.count / node.count;
+            show(child, angle, share);
+            angle += share;
+        }
+    };
+    let angle = 0;
+    for (const root of hierarchy.roots) {
+        const share = 2 * Math.PI * root.count / total;
+        show(root, angle, share);
+        angle += share;
+    }
+    
+    const branch = new Uint32Array(hierarchy.placement.length);
+    const branchRank = new Uint32Array(hierarchy.placement.length);
+    hierarchy.placement.forEach((node, index) => {
+        while (!shown.has(node)) node = node.parent;
+        const target = branches[shown.get(node)];
+        branch[index] = shown.get(node);
+        branchRank[index] = target.count++;
+    });
+    
+    for (const target of branches) {
+        const angle = target.start + target.span / 2;
+        const middle = target.radius + target.rows * target.spacing / 2;
+        const layers = Math.ceil(target.count / (target.rows * target.columns));
+        target.center = [Math.cos(angle) * middle, layers * target.spacing, Math.sin(angle) * middle];
+    }
+    return { branches, branch, branchRank };
+}
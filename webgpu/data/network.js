@@ -0,0 +1,153 @@
+// webgpu/data/network.js - Similarity graph of articles sharing MeSH terms, keywords or authors
+import { normalizeAuthorName } from './article.js';
+import { EdgeData } from '../core/layout.js';
+
+// Shared features and how much each kind counts
+export const NETWORK_FIELDS = [
+    { key: 'mesh', weight: 1, values: article => article.mesh.map(term => term.toLowerCase()) },
+    { key: 'keyword', weight: 1, values: article => article.keywords.map(term => term.toLowerCase()) },
+    { key: 'author', weight: 2, values: article => article.authors.map(normalizeAuthorName).filter(Boolean) }
+];
+
+// threshold: minimum similarity (0-1) for an edge; maxDegree: edges kept per
+// article, strongest first (an edge stays if either end keeps it)
+export const DEFAULT_NETWORK_OPTIONS = { threshold: 0.1, maxDegree: 10 };
+
+// Features shared by more than this share of the articles (e.g. "Humans")
+// would link nearly everything; they are left out
+const MAX_FEATURE_SHARE = 0.1;
+// ...unless the corpus is so small that this many articles is still telling
+const MIN_FEATURE_CAP = 20;
+
+// Edges between articles whose weighted feature sets are similar: cosine of
+// the sets with each feature weighted by field and rarity (idf). Returns
+// { count, source, target, weight, degree, component, componentCount } with
+// edges as parallel typed arrays (source < target, weight in (0, 1]) and
+// articles numbered by connected component, largest first.
+export function buildSimilarityGraph(articles, options = {}) {
+    const { threshold, maxDegree } = { ...DEFAULT_NETWORK_OPTIONS, ...options };
+    const count = articles.length;
+    
+    // Feature -> articles having it
+    const postings = new Map();
+    articles.forEach((article, index) => {
+        for (const field of NETWORK_FIELDS) {
+            for (const value of new Set(field.values(article))) {
+                const key = `${field.key}:${value}`;
+                if (!postings.has(key)) postings.set(key, { weight: field.weight, articles: [] });
+                postings.get(key).articles.push(index);
+            }
+        }
+    });
+    
+    // Squared feature weights, and each article's squared norm over the features kept
+    const cap = Math.max(MIN_FEATURE_CAP, MAX_FEATURE_SHARE * count);
+    const features = [];
+    const norms = new Float64Array(count);
+    for (const { weight, articles: members } of postings.values()) {
+        if (members.length > cap) continue;
+        const squared = (weight * Math.log(count / members.length + 1)) ** 2;
+        for (const index of members) norms[index] += squared;
+        // A feature of one article links it to nothing
+        if (members.length > 1) features.push({ squared, members });
+    }
+    
+    const byArticle = Array.from({ length: count }, () => []);
+    for (const feature of features) {
+        for (const index of feature.members) byArticle[index].push(feature);
+    }
+    
+    // Accumulate shared weight against later articles only, one article at a time
+    const candidates = [];
+    const shared = new Float64Array(count);
+    const touched = [];
+    for (let a = 0; a < count; a++) {
+        for (const { squared, members } of byArticle[a]) {
+            for (const b of members) {
+                if (b <= a) continue;
+                if (shared[b] === 0) touched.push(b);
+                shared[b] += squared;
+            }
+        }
+        for (const b of touched) {
+            const similarity = shared[b] / Math.sqrt(norms[a] * norms[b]);
+            if (similarity >= threshold) candidates.push({ a, b, weight: Math.min(1, similarity) });
+            shared[b] = 0;
+        }
+        touched.length = 0;
+    }
+    
+    // Each article keeps its strongest maxDegree edges
+    const incident = Array.from({ length: count }, () => []);
+    candidates.forEach((edge, index) => {
+        incident[edge.a].push(index);
+        incident[edge.b].push(index);
+    });
+    const kept = new Uint8Array(candidates.length);
+    for (const edges of incident) {
+        edges.sort((x, y) => candidates[y].weight - candidates[x].weight || x - y);
+        for (const index of edges.slice(0, maxDegree)) kept[index] = 1;
+    }
+    const edges = candidates.filter((_, index) => kept[index]);
+    
+    const graph = {
+        count,
+        source: Uint32Array.from(edges, edge => edge.a),
+        target: Uint32Array.from(edges, edge => edge.b),
+        weight: Float32Array.from(edges, edge => edge.weight),
+        degree: new Uint32Array(count)
+    };
+    for (const edge of edges) {
+        graph.degree[edge.a]++;
+        graph.degree[edge.b]++;
+    }
+    Object.assign(graph, connectedComponents(count, graph.source, graph.target));
+    return graph;
+}
+
+// { component, componentCount }: component ids numbered largest first (ties
+// by lowest member)
+export function connectedComponents(count, source, target) {
+    const parent = Uint32Array.from({ length: count }, (_, index) => index);
+    const find = index => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+    for (let i = 0; i < source.length; i++) {
+        const a = find(source[i]);
+        const b = find(target[i]);
+        if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+    }
+    
+    const members = new Map();
+    for (let index = 0; index < count; index++) {
+        const root = find(index);
+        if (!members.has(root)) members.set(root, []);
+        members.get(root).push(index);
+    }
+    const groups = [...members.values()].sort((a, b) => b.length - a.length || a[0] - b[0]);
+    
+    const component = new Uint32Array(count);
+    groups.forEach((group, id) => group.forEach(index => { component[index] = id; }));
+    return { component, componentCount: groups.length };
+}
+
+// EdgeData records of a graph's edges for the edge pipeline; never empty so
+// graphs without edges can still bind
+export function packEdges(graph) {
+    const count = graph.source.length;
+    const packed = new ArrayBuffer(Math.max(1, count) * EdgeData.size);
+    const words = new Uint32Array(packed);
+    const floats = new Float32Array(packed);
+    const { first, second, weight } = EdgeData.offsets;
+    for (let i = 0; i < count; i++) {
+        const base = i * EdgeData.words;
+        words[base + first] = graph.source[i];
+        words[base + second] = graph.target[i];
+        floats[base + weight] = graph.weight[i];
+    }
+    return packed;
+}
@@ -0,0 +1,591 @@
+// webgpu/data/positions.js - Layout compute passes (grid, year, journal, cluster, mesh) and
+// animated transitions between them, with CPU references
+import {
+    ArticleKeys,
+    ClusterCenter,
+    CubeData,
+    LayoutParams,
+    LayoutPosition,
+    MeshBranch,
+    TransitionParams
+} from '../core/layout.js';
+
+export const LAYOUT_MODES = ['grid', 'year', 'journal', 'cluster', 'mesh'];
+// Easing curves, in the order of the shader's `easing` switch
+export const EASINGS = ['linear', 'ease-in-out', 'ease-out', 'back-out'];
+// Duration in ms; stagger is the share of the duration over which successive
+// groups (rows, years, journals, clusters, branches) set off, 0 moving all cubes at once
+export const DEFAULT_TRANSITION = { duration: 800, easing: 'ease-in-out', stagger: 0.3 };
+
+const WORKGROUP_SIZE = 64;
+// Spacing constants shared by the shader and the references
+const GRID_SPACING = 2.5;
+const YEAR_BASE = 1990;
+const YEAR_SPACING = 3;
+const YEAR_STACK = 1.5;
+const UNKNOWN_YEAR = 2000;
+const JOURNAL_RADIUS = 15;
+const JOURNAL_HEIGHT = 5;
+// Overshoot of the 'back-out' easing
+const BACK_OVERSHOOT = 1.70158;
+
+// Positions are a pure function of the instance index and its keys. Jitter
+// comes from an integer hash rather than Math.random so the GPU passes and
+// the CPU references agree exactly. The passes write layout targets; the
+// transition pass below moves the cubes onto them.
+const LAYOUT_SHADER = `
+${LayoutPosition.wgsl}
+
+${ArticleKeys.wgsl}
+
+${LayoutParams.wgsl}
+
+${ClusterCenter.wgsl}
+
+${MeshBranch.wgsl}
+
+@group(0) @binding(0) var<storage, read_write> targets: array<LayoutPosition>;
+@group(0) @binding(1) var<storage, read> keys: array<ArticleKeys>;
+@group(0) @binding(2) var<uniform> params: LayoutParams;
+@group(0) @binding(3) var<storage, read> clusters: array<ClusterCenter>;
+@group(0) @binding(4) var<storage, read> branches: array<MeshBranch>;
+
+// PCG hash; 24 bits of it as a float in [0, 1)
+fn hash(value: u32) -> u32 {
+    let state = value * 747796405u + 2891336453u;
+    let word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
+    return (word >> 22u) ^ word;
+}
+
+fn random(index: u32, salt: u32) -> f32 {
+    return f32(hash(index * 4u + salt) >> 8u) / 16777216.0;
+}
+
+// Stagger group of the value-th of count groups, spread over [0, 1]
+fn fraction(value: u32, count: u32) -> f32 {
+    return f32(value) / f32(max(count, 2u) - 1u);
+}
+
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn layout_grid(@builtin(global_invocation_id) id: vec3<u32>) {
+    let i = id.x;
+    if (i >= params.count) { return; }
+    let center = f32(params.gridSize) / 2.0;
+    let rows = (params.count + params.gridSize - 1u) / params.gridSize;
+    targets[i].position = vec3<f32>(
+        (f32(i % params.gridSize) - center) * ${GRID_SPACING.toFixed(1)},
+        0.0,
+        (f32(i / params.gridSize) - center) * ${GRID_SPACING.toFixed(1)}
+    );
+    targets[i].group = fraction(i / params.gridSize, rows);
+}
+
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn layout_year(@builtin(global_invocation_id) id: vec3<u32>) {
+    let i = id.x;
+    if (i >= params.count) { return; }
+    let key = keys[i];
+    targets[i].position = vec3<f32>(
+        f32(key.year - ${YEAR_BASE}) * ${YEAR_SPACING.toFixed(1)},
+        f32(key.yearRank) * ${YEAR_STACK.toFixed(1)},
+        0.0
+    );
+    targets[i].group = fraction(u32(key.year - params.yearMin), params.yearSpan + 1u);
+}
+
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn layout_journal(@builtin(global_invocation_id) id: vec3<u32>) {
+    let i = id.x;
+    if (i >= params.count) { return; }
+    let angle = f32(keys[i].journal) / f32(max(params.journalCount, 1u)) * 6.283185307;
+    targets[i].position = vec3<f32>(
+        cos(angle) * ${JOURNAL_RADIUS.toFixed(1)},
+        random(i, 0u) * ${JOURNAL_HEIGHT.toFixed(1)},
+        sin(angle) * ${JOURNAL_RADIUS.toFixed(1)}
+    );
+    targets[i].group = fraction(keys[i].journal, params.journalCount);
+}
+
+// Each cluster is a ball around its center; the articles most central to
+// the topic (low rank) sit deepest, in hashed directions
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn layout_cluster(@builtin(global_invocation_id) id: vec3<u32>) {
+    let i = id.x;
+    if (i >= params.count) { return; }
+    let key = keys[i];
+    let cluster = clusters[key.cluster];
+    let depth = pow((f32(key.clusterRank) + 0.5) / f32(cluster.count), 1.0 / 3.0) * cluster.radius;
+    let height = random(i, 1u) * 2.0 - 1.0;
+    let angle = random(i, 2u) * 6.283185307;
+    let ring = sqrt(1.0 - height * height);
+    targets[i].position = cluster.center + vec3<f32>(ring * cos(angle), height, ring * sin(angle)) * depth;
+    targets[i].group = fraction(key.cluster, params.clusterCount);
+}
+
+// Each MeSH branch fills its arc of the sunburst ring outward first, then
+// around, and stacks further layers into a tower
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn layout_mesh(@builtin(global_invocation_id) id: vec3<u32>) {
+    let i = id.x;
+    if (i >= params.count) { return; }
+    let key = keys[i];
+    let branch = branches[key.branch];
+    let cells = branch.rows * branch.columns;
+    let cell = key.branchRank % cells;
+    let angle = branch.start + (f32(cell / branch.rows) + 0.5) / f32(branch.columns) * branch.span;
+    let radius = branch.radius + (f32(cell % branch.rows) + 0.5) * branch.spacing;
+    targets[i].position = vec3<f32>(
+        cos(angle) * radius,
+        f32(key.branchRank / cells) * branch.spacing,
+        sin(angle) * radius
+    );
+    targets[i].group = fraction(key.branch, params.branchCount);
+}
+`;
+
+// Moves every cube from its start towards its layout target. Each group
+// sets off `group * stagger` of the way into the duration and takes the
+// rest of it, so all arrive together; a zero duration snaps to the targets.
+const TRANSITION_SHADER = `
+${CubeData.wgsl}
+
+${LayoutPosition.wgsl}
+
+${TransitionParams.wgsl}
+
+@group(0) @binding(0) var<storage, read_write> cubes: array<CubeData>;
+@group(0) @binding(1) var<storage, read> starts: array<LayoutPosition>;
+@group(0) @binding(2) var<storage, read> targets: array<LayoutPosition>;
+@group(0) @binding(3) var<uniform> params: TransitionParams;
+
+fn ease(t: f32) -> f32 {
+    switch params.easing {
+        case 1u: {
+            if (t < 0.5) { return 4.0 * t * t * t; }
+            let u = 2.0 - 2.0 * t;
+            return 1.0 - u * u * u / 2.0;
+        }
+        case 2u: {
+            let u = 1.0 - t;
+            return 1.0 - u * u * u;
+        }
+        case 3u: {
+            let u = t - 1.0;
+            return 1.0 + ${BACK_OVERSHOOT + 1} * u * u * u + ${BACK_OVERSHOOT} * u * u;
+        }
+        default: {
+            return t;
+        }
+    }
+}
+
+fn progress(group: f32) -> f32 {
+    if (params.duration <= 0.0) { return 1.0; }
+    let delay = group * params.stagger * params.duration;
+    return clamp((params.elapsed - delay) / ((1.0 - params.stagger) * params.duration), 0.0, 1.0);
+}
+
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn transition(@builtin(global_invocation_id) id: vec3<u32>) {
+    let i = id.x;
+    if (i >= params.count) { return; }
+    let destination = targets[i];
+    let t = progress(destination.group);
+    if (t >= 1.0) {
+        cubes[i].position = destination.position;
+    } else {
+        cubes[i].position = mix(starts[i].position, destination.position, ease(t));
+    }
+}
+`;
+
+// Per-article keys in O(n): { count, gridSize, journalCount, clusterCount,
+// branchCount, yearMin, yearSpan, year, yearRank, journal, cluster,
+// clusterRank, branch, branchRank } with one typed array entry per article,
+// `clusters` (ClusterCenter records) and `branches` (MeshBranch records).
+// Cluster keys come from a topic `clustering` (see clustering.js), branch keys
+// from a MeSH `sunburst` (see mesh.js); without them all articles share a
+// single cluster, or a single ring.
+export function buildLayoutKeys(articles, clustering = null, sunburst = null) {
+    const count = articles.length;
+    const keys = {
+        count,
+        gridSize: Math.max(1, Math.ceil(Math.sqrt(count))),
+        journalCount: 0,
+        clusterCount: 0,
+        branchCount: 0,
+        yearMin: UNKNOWN_YEAR,
+        yearSpan: 0,
+        year: new Int32Array(count),
+        yearRank: new Uint32Array(count),
+        journal: new Uint32Array(count),
+        cluster: new Uint32Array(count),
+        clusterRank: new Uint32Array(count),
+        branch: new Uint32Array(count),
+        branchRank: new Uint32Array(count)
+    };
+    
+    // Articles stack up within their year in data order
+    const yearCounts = new Map();
+    // Journals around the circle in order of first appearance
+    const journals = new Map();
+    
+    articles.forEach((article, index) => {
+        const year = article.year ?? UNKNOWN_YEAR;
+        const rank = yearCounts.get(year) || 0;
+        yearCounts.set(year, rank + 1);
+        keys.year[index] = year;
+        keys.yearRank[index] = rank;
+        
+        if (!journals.has(article.journal)) journals.set(article.journal, journals.size);
+        keys.journal[index] = journals.get(article.journal);
+    });
+    
+    keys.journalCount = journals.size;
+    if (yearCounts.size > 0) {
+        keys.yearMin = Math.min(...yearCounts.keys());
+        keys.yearSpan = Math.max(...yearCounts.keys()) - keys.yearMin;
+    }
+    
+    const clusters = clustering ? clustering.clusters : [{ center: [0, 0, 0], radius: Math.cbrt(count), size: count }];
+    if (clustering) {
+        keys.cluster.set(clustering.assignments);
+        keys.clusterRank.set(clustering.ranks);
+    } else {
+        keys.clusterRank.forEach((_, index) => { keys.clusterRank[index] = index; });
+    }
+    keys.clusterCount = clusters.length;
+    // Never empty, so the buffer can always bind
+    keys.clusters = new Float32Array(Math.max(1, clusters.length) * ClusterCenter.words);
+    clusters.forEach(({ center, radius, size }, index) => {
+        ClusterCenter.pack({ center, radius, count: size }, keys.clusters, index);
+    });
+    
+    const branches = sunburst ? sunburst.branches : [{
+        start: 0, span: 2 * Math.PI, radius: JOURNAL_RADIUS, spacing: GRID_SPACING, rows: 1, columns: keys.gridSize
+    }];
+    if (sunburst) {
+        keys.branch.set(sunburst.branch);
+        keys.branchRank.set(sunburst.branchRank);
+    } else {
+        keys.branchRank.forEach((_, index) => { keys.branchRank[index] = index; });
+    }
+    keys.branchCount = branches.length;
+    keys.branches = new Float32Array(Math.max(1, branches.length) * MeshBranch.words);
+    branches.forEach((branch, index) => MeshBranch.pack(branch, keys.branches, index));
+    return keys;
+}
+
+// CPU reference of a layout pass: the targets it writes, as LayoutPosition
+// records (position xyz, group) in a Float32Array, computed in f32 like the shader
+export function referenceLayout(mode, keys) {
+    const targets = new Float32Array(keys.count * LayoutPosition.words);
+    const f = Math.fround;
+    
+    for (let i = 0; i < keys.count; i++) {
+        let position;
+        let group;
+        switch (mode) {
+            case 'year':
+                position = [(keys.year[i] - YEAR_BASE) * YEAR_SPACING, keys.yearRank[i] * YEAR_STACK, 0];
+                group = fraction(keys.year[i] - keys.yearMin, keys.yearSpan + 1);
+                break;
+            case 'journal': {
+                const angle = f(f(keys.journal[i] / Math.max(keys.journalCount, 1)) * f(6.283185307));
+                position = [Math.cos(angle) * JOURNAL_RADIUS, random(i, 0) * JOURNAL_HEIGHT, Math.sin(angle) * JOURNAL_RADIUS];
+                group = fraction(keys.journal[i], keys.journalCount);
+                break;
+            }
+            case 'cluster': {
+                const { center, radius, count } = ClusterCenter.unpack(keys.clusters, keys.cluster[i]);
+                const depth = Math.pow((keys.clusterRank[i] + 0.5) / count, 1 / 3) * radius;
+                const height = random(i, 1) * 2 - 1;
+                const angle = random(i, 2) * 6.283185307;
+                const ring = Math.sqrt(1 - height * height);
+                position = [
+                    center[0] + ring * Math.cos(angle) * depth,
+                    center[1] + height * depth,
+                    center[2] + ring * Math.sin(angle) * depth
+                ];
+                group = fraction(keys.cluster[i], keys.clusterCount);
+                break;
+            }
+            case 'mesh': {
+                const { start, span, radius, spacing, rows, columns } = MeshBranch.unpack(keys.branches, keys.branch[i]);
+                const cells = rows * columns;
+                const cell = keys.branchRank[i] % cells;
+                const angle = start + (Math.floor(cell / rows) + 0.5) / columns * span;
+                const distance = radius + (cell % rows + 0.5) * spacing;
+                position = [
+                    Math.cos(angle) * distance,
+                    Math.floor(keys.branchRank[i] / cells) * spacing,
+                    Math.sin(angle) * distance
+                ];
+                group = fraction(keys.branch[i], keys.branchCount);
+                break;
+            }
+            case 'grid':
+            default: {
+                const center = keys.gridSize / 2;
+                const row = Math.floor(i / keys.gridSize);
+                position = [
+                    (i % keys.gridSize - center) * GRID_SPACING,
+                    0,
+                    (row - center) * GRID_SPACING
+                ];
+                group = fraction(row, Math.ceil(keys.count / keys.gridSize));
+            }
+        }
+        LayoutPosition.pack({ position, group }, targets, i);
+    }
+    return targets;
+}
+
+// CPU reference of the transition pass: positions (LayoutPosition records) of
+// cubes `elapsed` ms into a transition from `starts` to `targets`
+export function referenceTransition(starts, targets, elapsed, transition) {
+    const positions = new Float32Array(targets.length);
+    const { position: POSITION, group: GROUP } = LayoutPosition.offsets;
+    const easing = Math.max(0, EASINGS.indexOf(transition.easing));
+    
+    for (let base = 0; base < targets.length; base += LayoutPosition.words) {
+        const t = progress(targets[base + GROUP], elapsed, transition);
+        for (let axis = 0; axis < 3; axis++) {
+            const start = starts[base + POSITION + axis];
+            const destination = targets[base + POSITION + axis];
+            positions[base + POSITION + axis] = t >= 1 ? destination : start + (destination - start) * ease(easing, t);
+        }
+    }
+    return positions;
+}
+
+function fraction(value, count) {
+    return value / (Math.max(count, 2) - 1);
+}
+
+function progress(group, elapsed, { duration, stagger }) {
+    if (duration <= 0) return 1;
+    const delay = group * stagger * duration;
+    return Math.min(1, Math.max(0, (elapsed - delay) / ((1 - stagger) * duration)));
+}
+
+function ease(easing, t) {
+    switch (EASINGS[easing]) {
+        case 'ease-in-out':
+            return t < 0.5 ? 4 * t * t * t : 1 - (2 - 2 * t) ** 3 / 2;
+        case 'ease-out':
+            return 1 - (1 - t) ** 3;
+        case 'back-out':
+            return 1 + (BACK_OVERSHOOT + 1) * (t - 1) ** 3 + BACK_OVERSHOOT * (t - 1) ** 2;
+        default:
+            return t;
+    }
+}
+
+// JS mirror of the shader's hash (u32 arithmetic via Math.imul and >>> 0)
+function hash(value) {
+    const state = (Math.imul(value, 747796405) + 2891336453) >>> 0;
+    const word = Math.imul(((state >>> ((state >>> 28) + 4)) ^ state) >>> 0, 277803737) >>> 0;
+    return ((word >>> 22) ^ word) >>> 0;
+}
+
+function random(index, salt) {
+    return (hash((index * 4 + salt) >>> 0) >>> 8) / 16777216;
+}
+
+export class LayoutEngine {
+    constructor(device) {
+        this.device = device;
+        
+        // Layout passes: targets <- keys, clusters, branches
+        this.layoutBindGroupLayout = device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }
+            ]
+        });
+        // Transition pass: cubes <- starts, targets
+        this.transitionBindGroupLayout = device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }
+            ]
+        });
+        
+        // One pipeline per layout, sharing the bind group layout
+        const module = device.createShaderModule({ code: LAYOUT_SHADER });
+        const layout = device.createPipelineLayout({ bindGroupLayouts: [this.layoutBindGroupLayout] });
+        this.pipelines = new Map(LAYOUT_MODES.map(mode => [mode, device.createComputePipeline({
+            layout,
+            compute: { module, entryPoint: `layout_${mode}` }
+        })]));
+        this.transitionPipeline = device.createComputePipeline({
+            layout: device.createPipelineLayout({ bindGroupLayouts: [this.transitionBindGroupLayout] }),
+            compute: { module: device.createShaderModule({ code: TRANSITION_SHADER }), entryPoint: 'transition' }
+        });
+        
+        this.paramsBuffer = device.createBuffer({
+            size: LayoutParams.size,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.transitionBuffer = device.createBuffer({
+            size: TransitionParams.size,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.keysBuffer = null;
+        this.clustersBuffer = null;
+        this.branchesBuffer = null;
+        this.startsBuffer = null;
+        this.targetsBuffer = null;
+        this.layoutBindGroup = null;
+        this.transitionBindGroup = null;
+        this.count = 0;
+    }
+    
+    // Upload keys for the articles now in `cubeBuffer`
+    setKeys(keys, cubeBuffer) {
+        this.count = keys.count;
+        
+        const packed = new ArrayBuffer(Math.max(1, keys.count) * ArticleKeys.size);
+        const ints = new Int32Array(packed);
+        const words = new Uint32Array(packed);
+        const { year, yearRank, journal, cluster, clusterRank, branch, branchRank } = ArticleKeys.offsets;
+        for (let i = 0; i < keys.count; i++) {
+            const base = i * ArticleKeys.words;
+            ints[base + year] = keys.year[i];
+            words[base + yearRank] = keys.yearRank[i];
+            words[base + journal] = keys.journal[i];
+            words[base + cluster] = keys.cluster[i];
+            words[base + clusterRank] = keys.clusterRank[i];
+            words[base + branch] = keys.branch[i];
+            words[base + branchRank] = keys.branchRank[i];
+        }
+        
+        for (const buffer of [this.keysBuffer, this.clustersBuffer, this.branchesBuffer, this.startsBuffer, this.targetsBuffer]) {
+            if (buffer) buffer.destroy();
+        }
+        this.keysBuffer = this.device.createBuffer({
+            size: packed.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.clustersBuffer = this.device.createBuffer({
+            size: keys.clusters.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.branchesBuffer = this.device.createBuffer({
+            size: keys.branches.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.startsBuffer = this.device.createBuffer({
+            size: Math.max(1, keys.count) * LayoutPosition.size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.targetsBuffer = this.device.createBuffer({
+            size: Math.max(1, keys.count) * LayoutPosition.size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+        });
+        
+        this.device.queue.writeBuffer(this.keysBuffer, 0, packed);
+        this.device.queue.writeBuffer(this.clustersBuffer, 0, keys.clusters);
+        this.device.queue.writeBuffer(this.branchesBuffer, 0, keys.branches);
+        this.device.queue.writeBuffer(this.paramsBuffer, 0, LayoutParams.pack({
+            count: keys.count,
+            gridSize: keys.gridSize,
+            journalCount: keys.journalCount,
+            clusterCount: keys.clusterCount,
+            yearMin: keys.yearMin,
+            yearSpan: keys.yearSpan,
+            branchCount: keys.branchCount
+        }));
+        
+        this.layoutBindGroup = this.device.createBindGroup({
+            layout: this.layoutBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: this.targetsBuffer } },
+                { binding: 1, resource: { buffer: this.keysBuffer } },
+                { binding: 2, resource: { buffer: this.paramsBuffer } },
+                { binding: 3, resource: { buffer: this.clustersBuffer } },
+                { binding: 4, resource: { buffer: this.branchesBuffer } }
+            ]
+        });
+        this.transitionBindGroup = this.device.createBindGroup({
+            layout: this.transitionBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: cubeBuffer } },
+                { binding: 1, resource: { buffer: this.startsBuffer } },
+                { binding: 2, resource: { buffer: this.targetsBuffer } },
+                { binding: 3, resource: { buffer: this.transitionBuffer } }
+            ]
+        });
+    }
+    
+    // Positions (LayoutPosition records) the next transition leaves from
+    setStarts(starts) {
+        if (this.count === 0) return;
+        this.device.queue.writeBuffer(this.startsBuffer, 0, starts.buffer, starts.byteOffset, this.count * LayoutPosition.size);
+    }
+    
+    // Targets computed on the CPU (LayoutPosition records), for layouts
+    // without a compute pass such as the network view
+    setTargets(targets) {
+        if (this.count === 0) return;
+        this.device.queue.writeBuffer(this.targetsBuffer, 0, targets.buffer, targets.byteOffset, this.count * LayoutPosition.size);
+    }
+    
+    // Queue the pass writing every cube's target for `mode`
+    run(mode) {
+        this.dispatch(this.pipelines.get(mode) || this.pipelines.get('grid'), this.layoutBindGroup);
+    }
+    
+    // Queue the pass placing every cube `elapsed` ms into a transition
+    interpolate(elapsed, { duration, easing, stagger }) {
+        if (this.count === 0) return;
+        
+        this.device.queue.writeBuffer(this.transitionBuffer, 0, TransitionParams.pack({
+            count: this.count,
+            easing: Math.max(0, EASINGS.indexOf(easing)),
+            elapsed,
+            duration,
+            stagger
+        }));
+        this.dispatch(this.transitionPipeline, this.transitionBindGroup);
+    }
+    
+    dispatch(pipeline, bindGroup) {
+        if (!bindGroup || this.count === 0) return;
+        
+        const encoder = this.device.createCommandEncoder();
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(pipeline);
+        pass.setBindGroup(0, bindGroup);
+        pass.dispatchWorkgroups(Math.ceil(this.count / WORKGROUP_SIZE));
+        pass.end();
+        this.device.queue.submit([encoder.finish()]);
+    }
+    
+    // Copy of the layout targets as the GPU sees them, after queued passes
+    async readTargets() {
+        const size = this.count * LayoutPosition.size;
+        if (size === 0) return new Float32Array(0);
+        
+        const staging = this.device.createBuffer({
+            size,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+        });
+        
+        const encoder = this.device.createCommandEncoder();
+        encoder.copyBufferToBuffer(this.targetsBuffer, 0, staging, 0, size);
+        this.device.queue.submit([encoder.finish()]);
+        
+        await staging.mapAsync(GPUMapMode.READ);
+        const targets = new Float32Array(staging.getMappedRange(0, size).slice(0));
+        staging.unmap();
+        staging.destroy();
+        return targets;
+    }
+}
@@ -0,0 +1,63 @@
+// webgpu/data/prisma.js - PRISMA 2020 flow counts derived from the review state
+import { Decision, countDecisions } from './screening.js';
+
+const UNKNOWN_SOURCE = 'Other sources';
+const NO_REASON = 'No reason given';
+
+// `articles` are the records in the library, `deleted` the ones removed from it
+export function computePrismaFlow(articles, deleted = []) {
+    // Identification: each record counts once, under the source that first supplied it
+    const sources = new Map();
+    for (const article of [...articles, ...deleted]) {
+        const label = article.provenance.length ? article.provenance[0].label : UNKNOWN_SOURCE;
+        sources.set(label, (sources.get(label) || 0) + 1);
+    }
+    
+    // A removed record is a duplicate when deduplication merged it away, or when it
+    // matches a kept (or earlier removed) one; anything else was removed for other reasons
+    const seen = new Set();
+    articles.forEach(article => matchKeys(article).forEach(key => seen.add(key)));
+    let duplicates = 0;
+    for (const article of deleted) {
+        const keys = matchKeys(article);
+        if (article.duplicateOf || keys.some(key => seen.has(key))) duplicates++;
+        keys.forEach(key => seen.add(key));
+    }
+    
+    const reasons = new Map();
+    for (const article of articles) {
+        if (article.decision !== Decision.EXCLUDE) continue;
+        const reason = article.exclusionReason || NO_REASON;
+        reasons.set(reason, (reasons.get(reason) || 0) + 1);
+    }
+    
+    const counts = countDecisions(articles);
+    return {
+        identified: articles.length + deleted.length,
+        sources: toSortedList(sources),
+        duplicates,
+        otherRemoved: deleted.length - duplicates,
+        screened: articles.length,
+        excluded: counts.exclude,
+        exclusionReasons: toSortedList(reasons),
+        maybe: counts.maybe,
+        undecided: counts.undecided,
+        included: counts.include
+    };
+}
+
+function toSortedList(counts) {
+    return [...counts.entries()]
+        .map(([label, count]) => ({ label, count }))
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+function matchKeys(article) {
+    const keys = [];
+    if (article.pmid) keys.push(`pmid:${article.pmid}`);
+    if (article.doi) keys.push(`doi:${article.doi}`);
+    
+    const title = article.title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (title) keys.push(`title:${title}|${article.year ?? ''}`);
+    return keys;
+}
@@ -1,4 +1,49 @@
 // WebGPU Data Processor for PubMed Data
+import { DECISION_COLORS } from './screening.js';
+import { CubeData, LayoutPosition } from '../core/layout.js';
+import {
+    DEFAULT_TRANSITION,
+    EASINGS,
+    LayoutEngine,
+    buildLayoutKeys,
+    referenceLayout,
+    referenceTransition
+} from './positions.js';
+import { CLUSTER_METHODS, DEFAULT_CLUSTER_OPTIONS, MAX_CLUSTERS, clusterArticles } from './clustering.js';
+import { DEFAULT_NETWORK_OPTIONS, buildSimilarityGraph, packEdges } from './network.js';
+import { ForceSimulation } from './forces.js';
+import { CoauthorView } from './coauthors.js';
+import { DEFAULT_MESH_EXPANDED, buildMeshHierarchy, meshSunburst } from './mesh.js';
+
+const HIGHLIGHT_COLOR = [1.0, 0.2, 0.8];
+
+// Instance layout shared with the render shader (see core/layout.js):
+// floats per instance and each field's float offset
+export const INSTANCE_FLOATS = CubeData.words;
+const {
+    position: POSITION,
+    size: SIZE,
+    color: COLOR,
+    selected: SELECTED,
+    visibility: VISIBILITY,
+    glow: GLOW,
+    hovered: HOVERED
+} = CubeData.offsets;
+
+// Visibility of cubes that fail the filter in 'dim' mode, or fall outside a highlight
+const DIMMED = 0.2;
+
+// Staggering past this leaves the last group too little time to move
+const MAX_STAGGER = 0.9;
+
+// Milliseconds of force simulation run before a network view first shows,
+// and per frame after that
+const NETWORK_WARMUP = 250;
+const NETWORK_FRAME_BUDGET = 8;
+
+// MeSH branches labeled in the hierarchy layout, largest first
+const MESH_LABELS = 24;
+
 export class DataProcessor {
     constructor(renderer) {
         this.renderer = renderer;
@@ -6,135 +51,265 @@ export class DataProcessor {
         
         this.data = [];
         this.cubeData = null; // GPU buffer for cube instances
+        this.cubeInstances = null; // CPU copy of the instance data
         this.instanceCount = 0;
+        // Bumped whenever cubeInstances change, so CPU-side consumers (picking) can rebuild
+        this.instanceVersion = 0;
         
-        this.computePipeline = null;
         this.renderBindGroup = null;
         
+        // Positions are written on the GPU by the layout compute passes and
+        // read back into cubeInstances for picking
+        this.layoutEngine = new LayoutEngine(this.device);
         this.layoutMode = 'grid';
+        this.layoutKeys = null;
+        this.layoutGeneration = 0;
+        
+        // Transition settings ({ duration, easing, stagger }), and the move
+        // between layouts in progress: { starts, targets, startTime, elapsed,
+        // transition }, where targets stay null until their readback lands
+        this.transition = { ...DEFAULT_TRANSITION };
+        this.motion = null;
+        
+        // Topic clustering options ({ method, k, termWeight }) and the result
+        // for the current articles, computed when the cluster layout needs it
+        this.clusterOptions = { ...DEFAULT_CLUSTER_OPTIONS };
+        this.clustering = null;
+        
+        // Similarity graph options ({ threshold, maxDegree }), and the graph and
+        // force simulation of the network view ({ graph, simulation }), built
+        // when it is first shown; its edges are drawn from edgeBuffer
+        this.networkOptions = { ...DEFAULT_NETWORK_OPTIONS };
+        this.network = null;
+        this.networkPaused = false;
+        this.edgeBuffer = null;
+        this.edgeBindGroup = null;
+        
+        // Author nodes of the co-authorship view (a CoauthorView, drawn instead
+        // of the article cubes), built when it is first shown
+        this.coauthors = null;
+        
+        // MeSH descriptor tree (a MeshTree, loaded by the reviewer; null places
+        // every article under "Not in MeSH"), the branch ids shown open, and
+        // the current articles placed in the tree and the sunburst of the
+        // branches shown, built when the MeSH layout needs them
+        this.meshTree = null;
+        this.meshExpanded = new Set(DEFAULT_MESH_EXPANDED);
+        this.meshHierarchy = null;
+        this.meshSunburst = null;
+        this.meshLabels = null;
+        
+        // Whose decisions color the cubes ('' = consensus), and an optional
+        // predicate that highlights matching cubes and dims the rest
+        this.reviewer = '';
+        this.highlight = null;
+        
+        // Articles failing `filter` are hidden or dimmed, per `filterMode`
+        this.filter = null;
+        this.filterMode = 'hide';
+        
+        // Search matches glow: Map(article -> strength 0-1)
+        this.glow = null;
+        
+        // Set of selected article ids (owned by the SelectionSystem) and
+        // article id -> instance index
+        this.selectedIds = null;
+        this.indexById = new Map();
+        // Article id of the cube under the cursor
+        this.hoveredId = null;
     }
     
     async uploadData(data) {
         this.data = data;
         this.instanceCount = data.length;
         
-        // Create GPU buffer for cube instances
-        const cubeDataSize = this.instanceCount * 32; // Each cube: position(12) + color(12) + size(4) + selected(4)
+        // Create GPU buffer for cube instances, replacing the previous articles'
+        // Never zero-sized so empty projects can still bind
+        if (this.cubeData) this.cubeData.destroy();
+        const cubeDataSize = Math.max(1, this.instanceCount) * INSTANCE_FLOATS * 4;
         this.cubeData = this.device.createBuffer({
             size: cubeDataSize,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
         });
         
+        // Bind the new buffer for rendering at once: frames drawn while the
+        // layout below is read back must not touch the destroyed one
+        this.createRenderBindGroup();
+        
         // Initial CPU processing and GPU upload
         await this.processData();
-        
-        // Create bind group for rendering
-        this.createRenderBindGroup();
     }
     
     async processData() {
-        // Process data on CPU initially, then we'll move this to GPU compute shaders
-        const cubeInstances = new Float32Array(this.instanceCount * 8); // 8 floats per instance
+        // Appearance is computed on the CPU; positions by the layout pass below.
+        // A transition in progress, the topic clusters, both networks and the
+        // MeSH placement belong to the old instances.
+        this.motion = null;
+        this.clustering = null;
+        this.meshHierarchy = null;
+        this.meshSunburst = null;
+        this.network = null;
+        if (this.coauthors) this.coauthors.destroy();
+        this.coauthors = null;
+        const cubeInstances = new Float32Array(this.instanceCount * INSTANCE_FLOATS);
+        this.indexById = new Map(this.data.map((article, index) => [article.id, index]));
         
         for (let i = 0; i < this.data.length; i++) {
             const article = this.data[i];
-            const baseIdx = i * 8;
-            
-            // Calculate position based on layout mode
-            const position = this.calculatePosition(article, i);
+            const baseIdx = i * INSTANCE_FLOATS;
             
-            // Calculate color based on year
-            const color = this.calculateColor(article);
+            // Size grows with the reviewer's rating
+            cubeInstances[baseIdx + SIZE] = this.calculateSize(article);
             
-            // Size (default 0.8)
-            const size = 0.8;
+            // Color by decision, falling back to the publication year
+            cubeInstances.set(this.calculateColor(article), baseIdx + COLOR);
             
             // Selected flag (0 or 1)
-            const selected = 0;
-            
-            cubeInstances[baseIdx + 0] = position[0];
-            cubeInstances[baseIdx + 1] = position[1];
-            cubeInstances[baseIdx + 2] = position[2];
-            
-            cubeInstances[baseIdx + 3] = color[0];
-            cubeInstances[baseIdx + 4] = color[1];
-            cubeInstances[baseIdx + 5] = color[2];
+            cubeInstances[baseIdx + SELECTED] = this.selectedIds && this.selectedIds.has(article.id) ? 1 : 0;
             
-            cubeInstances[baseIdx + 6] = size;
-            cubeInstances[baseIdx + 7] = selected;
+            // 1 = shown, 0 = hidden, in between = dimmed
+            cubeInstances[baseIdx + VISIBILITY] = this.calculateVisibility(article);
+            cubeInstances[baseIdx + GLOW] = this.calculateGlow(article);
+            cubeInstances[baseIdx + HOVERED] = article.id === this.hoveredId ? 1 : 0;
         }
         
-        // Upload to GPU
+        this.cubeInstances = cubeInstances;
+        this.instanceVersion++;
+        
+        this.updateLayoutKeys();
+        
+        // Upload to GPU, then position every cube there
+        this.uploadInstances();
+        await this.recomputeLayout();
+    }
+    
+    // Only compact per-article keys go up for the layout passes. Topic
+    // clusters and the MeSH sunburst are computed on first use by their layouts.
+    updateLayoutKeys() {
+        if (this.layoutMode === 'cluster' && !this.clustering) {
+            this.clustering = clusterArticles(this.data, this.clusterOptions);
+        }
+        if (this.layoutMode === 'mesh' && !this.meshSunburst) {
+            this.meshSunburst = meshSunburst(this.getMeshHierarchy(), this.meshExpanded);
+            this.meshLabels = null;
+        }
+        this.layoutKeys = buildLayoutKeys(this.data, this.clustering, this.meshSunburst);
+        this.layoutEngine.setKeys(this.layoutKeys, this.cubeData);
+    }
+    
+    // Write instances [first, first + count) of the CPU copy to the GPU. While a
+    // transition runs (or its readback is pending) the copy's positions are
+    // stale, so the transition pass is re-run on top of the write.
+    uploadInstances(first = 0, count = this.instanceCount) {
+        if (count <= 0) return;
+        
         this.device.queue.writeBuffer(
             this.cubeData,
-            0,
-            cubeInstances.buffer,
-            cubeInstances.byteOffset,
-            cubeInstances.byteLength
+            first * INSTANCE_FLOATS * 4,
+            this.cubeInstances.buffer,
+            this.cubeInstances.byteOffset + first * INSTANCE_FLOATS * 4,
+            count * INSTANCE_FLOATS * 4
         );
+        if (this.motion) {
+            this.layoutEngine.interpolate(this.motion.elapsed, this.motion.transition);
+        }
     }
     
-    calculatePosition(article, index) {
-        switch (this.layoutMode) {
-            case 'year':
-                return this.positionByYear(article, index);
-            case 'journal':
-                return this.positionByJournal(article, index);
-            case 'cluster':
-                return this.positionByCluster(article, index);
-            case 'grid':
-            default:
-                return this.positionByGrid(article, index);
-        }
+    // Refresh color, size, visibility and glow of one article after an edit, keeping its position
+    updateArticle(article) {
+        const index = this.data.indexOf(article);
+        if (index === -1 || !this.cubeInstances) return;
+        
+        this.writeAppearance(article, index * INSTANCE_FLOATS);
+        this.instanceVersion++;
+        this.uploadInstances(index, 1);
+        this.refreshAuthors();
     }
     
-    positionByGrid(article, index) {
-        const gridSize = Math.ceil(Math.sqrt(this.instanceCount));
-        const x = (index % gridSize - gridSize / 2) * 2.5;
-        const z = (Math.floor(index / gridSize) - gridSize / 2) * 2.5;
-        return [x, 0, z];
+    // Instance index of an article id, or -1
+    indexOf(id) {
+        return this.indexById.has(id) ? this.indexById.get(id) : -1;
     }
     
-    positionByYear(article, index) {
-        const year = parseInt(article.PubYear) || 2000;
-        const yearOffset = (year - 1990) * 3; // Group by year
-        
-        const yearData = this.data.filter(a => a.PubYear === article.PubYear);
-        const yearIndex = yearData.findIndex(a => a.PMID === article.PMID);
+    // Set the selected flag of many instances with a single upload covering
+    // the changed range
+    setSelected(indices, selected) {
+        if (!this.cubeInstances || indices.length === 0) return;
         
-        return [yearOffset, yearIndex * 1.5, 0];
+        let first = Infinity;
+        let last = -Infinity;
+        for (const index of indices) {
+            this.cubeInstances[index * INSTANCE_FLOATS + SELECTED] = selected ? 1 : 0;
+            first = Math.min(first, index);
+            last = Math.max(last, index);
+        }
+        this.uploadInstances(first, last - first + 1);
+        this.refreshAuthors();
     }
     
-    positionByJournal(article, index) {
-        // Simplified journal grouping
-        const journals = [...new Set(this.data.map(a => a.Source))];
-        const journalIndex = journals.indexOf(article.Source);
-        const angle = (journalIndex / journals.length) * Math.PI * 2;
-        const radius = 15;
+    // Move the hover flag to another article id (or none); two 4-byte writes
+    setHovered(id) {
+        if (id === this.hoveredId) return;
+        const previous = this.indexOf(this.hoveredId);
+        this.hoveredId = id;
+        if (!this.cubeInstances) return;
         
-        return [
-            Math.cos(angle) * radius,
-            Math.random() * 5,
-            Math.sin(angle) * radius
-        ];
+        for (const [index, value] of [[previous, 0], [this.indexOf(id), 1]]) {
+            if (index === -1) continue;
+            const offset = index * INSTANCE_FLOATS + HOVERED;
+            this.cubeInstances[offset] = value;
+            this.device.queue.writeBuffer(
+                this.cubeData,
+                offset * 4,
+                this.cubeInstances.buffer,
+                this.cubeInstances.byteOffset + offset * 4,
+                4
+            );
+        }
     }
     
-    positionByCluster(article, index) {
-        // Simple random cluster for now
-        const clusterSize = Math.ceil(Math.sqrt(this.instanceCount / 4));
-        const clusterX = Math.floor(index / clusterSize);
-        const clusterZ = index % clusterSize;
-        
-        return [
-            clusterX * 6 + (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 3,
-            clusterZ * 6 + (Math.random() - 0.5) * 2
-        ];
+    writeAppearance(article, baseIdx) {
+        this.cubeInstances[baseIdx + SIZE] = this.calculateSize(article);
+        this.cubeInstances.set(this.calculateColor(article), baseIdx + COLOR);
+        this.cubeInstances[baseIdx + VISIBILITY] = this.calculateVisibility(article);
+        this.cubeInstances[baseIdx + GLOW] = this.calculateGlow(article);
+    }
+    
+    calculateSize(article) {
+        // Unrated cubes keep the default 0.8; 1-5 stars scale from 0.7 to 1.1
+        return article.rating ? 0.6 + article.rating * 0.1 : 0.8;
     }
     
     calculateColor(article) {
-        // Color based on publication year
-        const year = parseInt(article.PubYear) || 2000;
+        if (this.highlight && this.highlight(article)) {
+            return HIGHLIGHT_COLOR;
+        }
+        return this.baseColor(article);
+    }
+    
+    calculateVisibility(article) {
+        if (this.filter && !this.filter(article)) {
+            return this.filterMode === 'dim' ? DIMMED : 0;
+        }
+        if (this.highlight && !this.highlight(article)) {
+            return DIMMED;
+        }
+        return 1;
+    }
+    
+    calculateGlow(article) {
+        return (this.glow && this.glow.get(article)) || 0;
+    }
+    
+    baseColor(article) {
+        // Screened articles are colored by decision
+        const { decision } = article.getDecision(this.reviewer);
+        if (DECISION_COLORS[decision]) {
+            return DECISION_COLORS[decision];
+        }
+        
+        // Otherwise color based on publication year
+        const year = article.year || 2000;
         const minYear = 1950;
         const maxYear = new Date().getFullYear();
         const normalized = Math.min(1, Math.max(0, (year - minYear) / (maxYear - minYear)));
@@ -165,17 +340,352 @@ export class DataProcessor {
         this.layoutMode = mode;
     }
     
-    async recomputeLayout() {
-        // This should be done with a compute shader for large datasets
-        await this.processData();
+    // Cubes the renderer draws: { bindGroup, count } of the articles, or of the
+    // authors in the co-authorship view
+    drawnCubes() {
+        if (this.layoutMode === 'authors' && this.coauthors) {
+            return { bindGroup: this.coauthors.bindGroup, count: this.coauthors.count };
+        }
+        return { bindGroup: this.renderBindGroup, count: this.instanceCount };
+    }
+    
+    // Edges drawn over them: the similarity network's or the co-authorships,
+    // in their views only
+    drawnEdges() {
+        if (this.layoutMode === 'network' && this.network) {
+            return { bindGroup: this.edgeBindGroup, count: this.network.graph.source.length };
+        }
+        if (this.layoutMode === 'authors' && this.coauthors) {
+            return { bindGroup: this.coauthors.edgeBindGroup, count: this.coauthors.edgeCount };
+        }
+        return { bindGroup: null, count: 0 };
     }
     
-    async deleteArticles(pmids) {
-        // Remove articles from data
-        this.data = this.data.filter(article => !pmids.includes(article.PMID));
-        this.instanceCount = this.data.length;
+    // Build the co-authorship view on first use, warmed up like the network view
+    showAuthors() {
+        if (!this.coauthors) {
+            this.coauthors = new CoauthorView(this.device, this.renderer, this.data);
+            this.coauthors.step(NETWORK_WARMUP);
+            if (this.networkPaused) this.coauthors.simulation.pause();
+        }
+        this.refreshAuthors();
+    }
+    
+    // Author visibility and selection follow their articles'
+    refreshAuthors() {
+        if (!this.coauthors) return;
+        this.coauthors.refresh(article => this.calculateVisibility(article), this.selectedIds);
+    }
+    
+    // Similarity graph of the current articles and a force simulation laying
+    // it out, warmed up so the view opens on a rough shape rather than a ball
+    buildNetwork() {
+        const graph = buildSimilarityGraph(this.data, this.networkOptions);
+        const simulation = new ForceSimulation(graph);
+        const start = performance.now();
+        while (simulation.running && performance.now() - start < NETWORK_WARMUP) {
+            simulation.tick();
+        }
+        if (this.networkPaused) simulation.pause();
+        this.network = { graph, simulation };
         
-        // Re-process data
-        await this.processData();
+        const packed = packEdges(graph);
+        if (this.edgeBuffer) this.edgeBuffer.destroy();
+        this.edgeBuffer = this.device.createBuffer({
+            size: packed.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.device.queue.writeBuffer(this.edgeBuffer, 0, packed);
+        this.edgeBindGroup = this.device.createBindGroup({
+            layout: this.renderer.edgePipeline.getBindGroupLayout(1),
+            entries: [
+                { binding: 0, resource: { buffer: this.cubeData } },
+                { binding: 1, resource: { buffer: this.edgeBuffer } }
+            ]
+        });
+    }
+    
+    // Simulation positions as LayoutPosition records; connected components
+    // form the stagger groups
+    networkTargets() {
+        const { graph, simulation } = this.network;
+        const targets = new Float32Array(this.instanceCount * LayoutPosition.words);
+        for (let i = 0; i < this.instanceCount; i++) {
+            const base = i * LayoutPosition.words;
+            targets.set(simulation.positions.subarray(i * 3, i * 3 + 3), base);
+            targets[base + LayoutPosition.offsets.group] = graph.component[i] / (Math.max(graph.componentCount, 2) - 1);
+        }
+        return targets;
+    }
+    
+    // Run the force simulation of the network view for this frame's budget and
+    // move the cubes (or the targets of a transition into the view) with it,
+    // or that of the co-authorship view and its nodes; true if cubes moved
+    stepNetwork() {
+        if (this.layoutMode === 'authors') {
+            return this.coauthors ? this.coauthors.step(NETWORK_FRAME_BUDGET) : false;
+        }
+        
+        const network = this.network;
+        if (this.layoutMode !== 'network' || !network || !network.simulation.running) return false;
+        
+        const start = performance.now();
+        do {
+            network.simulation.tick();
+        } while (network.simulation.running && performance.now() - start < NETWORK_FRAME_BUDGET);
+        
+        const targets = this.networkTargets();
+        this.layoutEngine.setTargets(targets);
+        // A transition into the network view heads for the moving targets
+        if (this.motion) {
+            this.motion.targets = targets;
+        } else {
+            this.placeCubes(targets);
+        }
+        this.instanceVersion++;
+        return true;
+    }
+    
+    // Update the similarity graph options (invalid or missing values are
+    // ignored); the graph is rebuilt by the next network layout
+    setNetworkOptions({ threshold, maxDegree } = {}) {
+        const options = this.networkOptions;
+        if (Number.isFinite(threshold)) options.threshold = Math.min(1, Math.max(0, threshold));
+        if (Number.isInteger(maxDegree)) options.maxDegree = Math.max(1, maxDegree);
+        this.network = null;
+    }
+    
+    // Freeze or unfreeze the force simulations of both network views; kept
+    // for rebuilt networks
+    setNetworkPaused(paused) {
+        this.networkPaused = paused;
+        for (const { simulation } of [this.network, this.coauthors].filter(Boolean)) {
+            if (paused) {
+                simulation.pause();
+            } else {
+                simulation.resume();
+            }
+        }
+    }
+    
+    // Set the force simulations moving again, unpausing them
+    reheatNetwork() {
+        this.networkPaused = false;
+        for (const { simulation } of [this.network, this.coauthors].filter(Boolean)) {
+            simulation.reheat();
+        }
+    }
+    
+    // Update the clustering options (invalid or missing values are ignored);
+    // clusters are recomputed by the next cluster layout
+    setClusterOptions({ method, k, termWeight } = {}) {
+        const options = this.clusterOptions;
+        if (CLUSTER_METHODS.includes(method)) options.method = method;
+        if (Number.isInteger(k)) options.k = Math.min(MAX_CLUSTERS, Math.max(0, k));
+        if (Number.isFinite(termWeight)) options.termWeight = Math.max(0, termWeight);
+        this.clustering = null;
+    }
+    
+    // Articles placed in the MeSH tree (see mesh.js), built on first use
+    getMeshHierarchy() {
+        if (!this.meshHierarchy) this.meshHierarchy = buildMeshHierarchy(this.data, this.meshTree);
+        return this.meshHierarchy;
+    }
+    
+    // Place articles in another descriptor tree; the MeSH layout follows on
+    // its next recompute
+    setMeshTree(tree) {
+        this.meshTree = tree;
+        this.meshHierarchy = null;
+        this.meshSunburst = null;
+    }
+    
+    // Show the children of these branch ids (the rest collapsed)
+    setMeshExpanded(ids) {
+        this.meshExpanded = new Set(ids);
+        this.meshSunburst = null;
+    }
+    
+    // Branch labels of the MeSH layout for ClusterLabels: the largest branches
+    // shown, atop their towers
+    getMeshLabels() {
+        if (!this.meshSunburst) return null;
+        if (!this.meshLabels) {
+            const largest = [...this.meshSunburst.branches].sort((a, b) => b.size - a.size).slice(0, MESH_LABELS);
+            this.meshLabels = {
+                clusters: largest.map(branch => ({ label: branch.name, size: branch.size, center: branch.center, radius: 0 }))
+            };
+        }
+        return this.meshLabels;
+    }
+    
+    // Update the transition settings; invalid or missing values are ignored
+    setTransition({ duration, easing, stagger } = {}) {
+        if (Number.isFinite(duration)) this.transition.duration = Math.max(0, duration);
+        if (EASINGS.includes(easing)) this.transition.easing = easing;
+        if (Number.isFinite(stagger)) this.transition.stagger = Math.min(MAX_STAGGER, Math.max(0, stagger));
+    }
+    
+    // Rewrite color, size, visibility and glow of every cube in place, e.g.
+    // after the reviewer, highlight, filter or search changed
+    refreshInstances() {
+        if (!this.cubeInstances) return;
+        
+        this.data.forEach((article, index) => this.writeAppearance(article, index * INSTANCE_FLOATS));
+        this.instanceVersion++;
+        this.uploadInstances();
+        this.refreshAuthors();
+    }
+    
+    // World-space box of every cube as drawn (min xyz, max xyz); hidden cubes
+    // get an empty box (min > max). Matches the shader's glow scaling.
+    getInstanceBounds() {
+        const bounds = new Float32Array(this.instanceCount * 6);
+        if (!this.cubeInstances) return bounds;
+        
+        const positions = this.currentPositions();
+        for (let i = 0; i < this.instanceCount; i++) {
+            const baseIdx = i * INSTANCE_FLOATS;
+            if (this.cubeInstances[baseIdx + VISIBILITY] <= 0) {
+                bounds.set([Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity], i * 6);
+                continue;
+            }
+            
+            const half = 0.5 * this.cubeInstances[baseIdx + SIZE] * (1 + 0.15 * this.cubeInstances[baseIdx + GLOW]);
+            for (let axis = 0; axis < 3; axis++) {
+                const center = positions[i * LayoutPosition.words + axis];
+                bounds[i * 6 + axis] = center - half;
+                bounds[i * 6 + 3 + axis] = center + half;
+            }
+        }
+        return bounds;
+    }
+    
+    // Positions as drawn right now, as LayoutPosition records: the CPU copy,
+    // or the transition in progress evaluated the way the GPU pass does
+    currentPositions() {
+        const motion = this.motion;
+        if (motion && motion.targets) {
+            return referenceTransition(motion.starts, motion.targets, motion.elapsed, motion.transition);
+        }
+        if (motion) return motion.starts.slice();
+        
+        const positions = new Float32Array(this.instanceCount * LayoutPosition.words);
+        for (let i = 0; i < this.instanceCount; i++) {
+            const baseIdx = i * INSTANCE_FLOATS + POSITION;
+            positions.set(this.cubeInstances.subarray(baseIdx, baseIdx + 3), i * LayoutPosition.words);
+        }
+        return positions;
+    }
+    
+    // Run the current layout's compute pass and move the cubes onto its
+    // targets, over the transition duration when `animate`, else at once. The
+    // targets are read back for the CPU copy; a readback superseded by a newer
+    // layout is dropped.
+    async recomputeLayout({ animate = false } = {}) {
+        if (!this.cubeInstances) return;
+        
+        // The co-authorship view draws author nodes instead; the article cubes
+        // stay where they are for the next layout to leave from
+        if (this.layoutMode === 'authors') {
+            this.showAuthors();
+            return;
+        }
+        
+        // Cubes set off from wherever they are drawn, mid-transition included
+        const starts = this.currentPositions();
+        if (this.layoutMode === 'cluster' && !this.clustering) this.updateLayoutKeys();
+        if (this.layoutMode === 'mesh' && !this.meshSunburst) this.updateLayoutKeys();
+        if (this.layoutMode === 'network' && !this.network) this.buildNetwork();
+        const transition = animate ? { ...this.transition } : { ...this.transition, duration: 0 };
+        const generation = ++this.layoutGeneration;
+        this.motion = { starts, targets: null, startTime: null, elapsed: 0, transition };
+        
+        // The network view's targets come from its force simulation on the CPU
+        let targets = null;
+        this.layoutEngine.setStarts(starts);
+        if (this.layoutMode === 'network') {
+            targets = this.networkTargets();
+            this.layoutEngine.setTargets(targets);
+        } else {
+            this.layoutEngine.run(this.layoutMode);
+        }
+        this.layoutEngine.interpolate(0, transition);
+        
+        if (!targets) {
+            targets = await this.layoutEngine.readTargets();
+            if (generation !== this.layoutGeneration || targets.length !== starts.length) return;
+        }
+        
+        this.motion.targets = targets;
+        this.motion.startTime = performance.now();
+        if (transition.duration <= 0) {
+            this.finishTransition();
+        } else {
+            this.instanceVersion++;
+        }
+    }
+    
+    // Advance the transition in progress to `now` (ms, performance.now() time);
+    // true if cubes moved
+    advanceTransition(now) {
+        const motion = this.motion;
+        if (!motion || !motion.targets) return false;
+        
+        motion.elapsed = Math.max(0, now - motion.startTime);
+        if (motion.elapsed >= motion.transition.duration) {
+            this.finishTransition();
+        } else {
+            this.layoutEngine.interpolate(motion.elapsed, motion.transition);
+            this.instanceVersion++;
+        }
+        return true;
+    }
+    
+    // Cubes are moving: a transition, or a force simulation settling
+    isTransitioning() {
+        return this.motion !== null ||
+            this.layoutMode === 'network' && this.network !== null && this.network.simulation.running ||
+            this.layoutMode === 'authors' && this.coauthors !== null && this.coauthors.isTransitioning();
+    }
+    
+    // Snap every cube onto its target and take the targets into the CPU copy
+    finishTransition() {
+        this.placeCubes(this.motion.targets);
+        this.motion = null;
+        this.instanceVersion++;
+    }
+    
+    // Move every cube onto `targets`, the LayoutPosition records now in the
+    // engine's targets buffer, on the GPU and in the CPU copy
+    placeCubes(targets) {
+        this.layoutEngine.interpolate(0, { ...this.transition, duration: 0 });
+        
+        for (let i = 0; i < this.instanceCount; i++) {
+            const base = i * LayoutPosition.words;
+            this.cubeInstances.set(targets.subarray(base, base + 3), i * INSTANCE_FLOATS + POSITION);
+        }
+    }
+    
+    // Compare the GPU layout targets with the CPU reference of the current
+    // layout; returns the largest deviation of any component
+    async verifyLayout() {
+        const targets = await this.layoutEngine.readTargets();
+        const reference = this.layoutMode === 'network' && this.network
+            ? this.networkTargets()
+            : referenceLayout(this.layoutMode, this.layoutKeys);
+        
+        let maxError = 0;
+        for (let i = 0; i < reference.length; i++) {
+            maxError = Math.max(maxError, Math.abs(targets[i] - reference[i]));
+        }
+        
+        const message = `Layout '${this.layoutMode}': GPU vs CPU reference max deviation ${maxError}`;
+        if (maxError > 1e-3) {
+            console.warn(message);
+        } else {
+            console.log(message);
+        }
+        return maxError;
     }
 }
@@ -0,0 +1,172 @@
+// webgpu/data/projects.js - Review projects persisted in IndexedDB
+const DB_NAME = 'webgpu-hypercube';
+const DB_VERSION = 3;
+const STORE = 'projects';
+// What the project list shows of each project, so listing never loads the articles
+const SUMMARY_STORE = 'summaries';
+// Controlled vocabularies loaded from disk (the MeSH tree), kept across projects
+const VOCABULARY_STORE = 'vocabularies';
+
+export const PROJECT_BUNDLE_FORMAT = 'hypercube-project';
+export const PROJECT_BUNDLE_VERSION = 1;
+
+export class ProjectStore {
+    constructor() {
+        this.db = null;
+    }
+    
+    async open() {
+        if (this.db) return this.db;
+        
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    const store = db.createObjectStore(STORE, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains(VOCABULARY_STORE)) {
+                    db.createObjectStore(VOCABULARY_STORE, { keyPath: 'name' });
+                }
+                if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+                    // Summarize the projects saved before summaries were kept
+                    const summaries = db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+                    request.transaction.objectStore(STORE).openCursor().onsuccess = event => {
+                        const cursor = event.target.result;
+                        if (!cursor) return;
+                        summaries.put(ProjectStore.summarize(cursor.value));
+                        cursor.continue();
+                    };
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        return this.db;
+    }
+    
+    // Run requests in one transaction over `storeNames` (a name or a list,
+    // each store passed to the callback) and resolve with the returned one's result
+    async transaction(mode, callback, storeNames = STORE) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const names = [].concat(storeNames);
+            const tx = db.transaction(names, mode);
+            const request = callback(...names.map(name => tx.objectStore(name)));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+    
+    // Project summaries, most recently updated first (without the article payload)
+    async list() {
+        const summaries = await this.transaction('readonly', store => store.getAll(), SUMMARY_STORE);
+        return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+    
+    async get(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+    
+    async save(project) {
+        const record = { ...project, updatedAt: new Date().toISOString() };
+        await this.transaction('readwrite', (store, summaries) => {
+            summaries.put(ProjectStore.summarize(record));
+            return store.put(record);
+        }, [STORE, SUMMARY_STORE]);
+        return record;
+    }
+    
+    async delete(id) {
+        await this.transaction('readwrite', (store, summaries) => {
+            summaries.delete(id);
+            return store.delete(id);
+        }, [STORE, SUMMARY_STORE]);
+    }
+    
+    // A stored vocabulary ({ name, ... }), or undefined
+    async getVocabulary(name) {
+        return this.transaction('readonly', store => store.get(name), VOCABULARY_STORE);
+    }
+    
+    async saveVocabulary(vocabulary) {
+        await this.transaction('readwrite', store => store.put(vocabulary), VOCABULARY_STORE);
+    }
+    
+    async duplicate(id, name) {
+        const project = await this.get(id);
+        if (!project) {
+            throw new Error(`Project ${id} not found`);
+        }
+        
+        const now = new Date().toISOString();
+        return this.save({
+            ...structuredClone(project),
+            id: ProjectStore.generateId(),
+            name: name || `${project.name} (copy)`,
+            createdAt: now
+        });
+    }
+    
+    // The list entry of a project: { id, name, createdAt, updatedAt, articleCount }
+    static summarize({ id, name, createdAt, updatedAt, articles }) {
+        return { id, name, createdAt, updatedAt, articleCount: articles.length };
+    }
+    
+    static generateId() {
+        return `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+    
+    static createProject(name, fields = {}) {
+        const now = new Date().toISOString();
+        return {
+            id: ProjectStore.generateId(),
+            name,
+            createdAt: now,
+            updatedAt: now,
+            articles: [],
+            deleted: [],
+            viewMode: 'grid',
+            camera: null,
+            ...fields
+        };
+    }
+    
+    // Whole-project JSON bundle for moving a review between machines
+    static toBundle(project) {
+        return JSON.stringify({
+            format: PROJECT_BUNDLE_FORMAT,
+            version: PROJECT_BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            project
+        }, null, 2);
+    }
+    
+    static fromBundle(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Project bundle is not valid JSON: ${error.message}`);
+        }
+        
+        if (!bundle || bundle.format !== PROJECT_BUNDLE_FORMAT || !bundle.project) {
+            throw new Error('Not a HyperCube project bundle');
+        }
+        if (bundle.version > PROJECT_BUNDLE_VERSION) {
+            throw new Error(`Project bundle version ${bundle.version} is newer than this app supports`);
+        }
+        
+        // Imported bundles get a fresh id so they never overwrite a local project
+        const now = new Date().toISOString();
+        return {
+            ...ProjectStore.createProject(bundle.project.name || 'Imported project'),
+            ...bundle.project,
+            id: ProjectStore.generateId(),
+            updatedAt: now
+        };
+    }
+}
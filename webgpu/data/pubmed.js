@@ -0,0 +1,289 @@
+// webgpu/data/pubmed.js - NCBI E-utilities client for PubMed
+import { Article, PublicationDate, normalizeDOI } from './article.js';
+
+const DEFAULT_BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/';
+
+export class PubMedError extends Error {
+    constructor(message, status = 0) {
+        super(message);
+        this.name = 'PubMedError';
+        this.status = status;
+    }
+}
+
+export class PubMedClient {
+    constructor(options = {}) {
+        // baseUrl can point at a local mock server that replays recorded XML.
+        // It must end in a slash, or resolving 'esearch.fcgi' against it would
+        // replace its last path segment instead of appending to it.
+        this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/*$/, '/');
+        this.apiKey = options.apiKey || null;
+        this.tool = options.tool || 'webgpu-hypercube';
+        this.email = options.email || null;
+        
+        this.batchSize = options.batchSize || 200;
+        this.maxRecords = options.maxRecords || 1000;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay || 1000;
+        
+        // NCBI allows 3 requests/second without an API key, 10 with one
+        this.requestsPerSecond = options.requestsPerSecond || (this.apiKey ? 10 : 3);
+        this.lastRequestTime = 0;
+        
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.parseXML = options.parseXML || (text => new DOMParser().parseFromString(text, 'application/xml'));
+    }
+    
+    // Search and fetch full records for a query, returning Article objects
+    async fetchArticles(term, { signal, onProgress } = {}) {
+        const history = await this.search(term, { signal });
+        const total = Math.min(history.count, this.maxRecords);
+        const articles = [];
+        
+        for (let retstart = 0; retstart < total; retstart += this.batchSize) {
+            const retmax = Math.min(this.batchSize, total - retstart);
+            const batch = await this.fetchBatch(history, retstart, retmax, { signal });
+            articles.push(...batch);
+            
+            if (onProgress) {
+                onProgress({ loaded: articles.length, total });
+            }
+        }
+        
+        return articles;
+    }
+    
+    // Run esearch against the history server; results are paged later with efetch
+    async search(term, { signal } = {}) {
+        if (!term || !term.trim()) {
+            throw new PubMedError('Search term is empty');
+        }
+        
+        const response = await this.request('esearch.fcgi', {
+            db: 'pubmed',
+            term: term.trim(),
+            usehistory: 'y',
+            retmax: 0,
+            retmode: 'json'
+        }, { signal });
+        
+        // Throttling and proxies answer with HTML or XML error pages
+        let json;
+        try {
+            json = JSON.parse(response);
+        } catch (error) {
+            throw new PubMedError(`esearch returned invalid JSON: ${error.message}`);
+        }
+        const result = json && json.esearchresult;
+        if (!result || result.ERROR) {
+            throw new PubMedError(`esearch failed: ${result ? result.ERROR : 'empty response'}`);
+        }
+        
+        return {
+            count: parseInt(result.count, 10) || 0,
+            webEnv: result.webenv,
+            queryKey: result.querykey
+        };
+    }
+    
+    async fetchBatch(history, retstart, retmax, { signal } = {}) {
+        const xml = await this.request('efetch.fcgi', {
+            db: 'pubmed',
+            query_key: history.queryKey,
+            WebEnv: history.webEnv,
+            retstart,
+            retmax,
+            retmode: 'xml'
+        }, { signal });
+        
+        return this.parseArticles(xml);
+    }
+    
+    // Parse a PubmedArticleSet document into Article objects
+    parseArticles(xmlText) {
+        const doc = this.parseXML(xmlText);
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            throw new PubMedError(`Invalid efetch XML: ${parserError.textContent.trim()}`);
+        }
+        
+        return Array.from(doc.getElementsByTagName('PubmedArticle'))
+            .map(node => this.parseArticle(node));
+    }
+    
+    parseArticle(node) {
+        const citation = child(node, 'MedlineCitation');
+        const article = child(citation, 'Article');
+        const journal = child(article, 'Journal');
+        const pubmedData = child(node, 'PubmedData');
+        
+        // Authors formatted the way PubMed lists them: "Hirschl RB"
+        const authors = [];
+        let collectiveName = '';
+        for (const author of children(child(article, 'AuthorList'), 'Author')) {
+            const collective = text(child(author, 'CollectiveName'));
+            if (collective) {
+                collectiveName = collectiveName || collective;
+                continue;
+            }
+            const lastName = text(child(author, 'LastName'));
+            const initials = text(child(author, 'Initials'));
+            if (lastName) {
+                authors.push(initials ? `${lastName} ${initials}` : lastName);
+            }
+        }
+        
+        // Structured abstracts keep their section labels
+        const abstract = children(child(article, 'Abstract'), 'AbstractText')
+            .map(section => {
+                const label = section.getAttribute('Label');
+                const body = text(section);
+                return label ? `${label}: ${body}` : body;
+            })
+            .filter(Boolean)
+            .join(' ');
+        
+        const mesh = children(child(citation, 'MeshHeadingList'), 'MeshHeading')
+            .map(heading => text(child(heading, 'DescriptorName')))
+            .filter(Boolean);
+        
+        const keywords = [];
+        for (const list of children(citation, 'KeywordList')) {
+            for (const keyword of children(list, 'Keyword')) {
+                const value = text(keyword);
+                if (value) keywords.push(value);
+            }
+        }
+        
+        const ids = {};
+        for (const id of children(child(pubmedData, 'ArticleIdList'), 'ArticleId')) {
+            ids[id.getAttribute('IdType')] = text(id);
+        }
+        let doi = ids.doi || '';
+        if (!doi) {
+            const location = children(article, 'ELocationID')
+                .find(element => element.getAttribute('EIdType') === 'doi');
+            doi = text(location);
+        }
+        
+        const medlineInfo = child(citation, 'MedlineJournalInfo');
+        const journalName = text(child(medlineInfo, 'MedlineTA')) ||
+            text(child(journal, 'ISOAbbreviation')) ||
+            text(child(journal, 'Title'));
+        
+        return new Article({
+            pmid: text(child(citation, 'PMID')),
+            title: text(child(article, 'ArticleTitle')),
+            journal: journalName,
+            abstract,
+            authors,
+            collectiveName,
+            mesh,
+            keywords,
+            pubDate: this.parsePubDate(child(child(journal, 'JournalIssue'), 'PubDate')),
+            doi: normalizeDOI(doi),
+            pmcId: ids.pmc || ''
+        });
+    }
+    
+    parsePubDate(pubDate) {
+        if (!pubDate) return new PublicationDate();
+        
+        const medlineDate = text(child(pubDate, 'MedlineDate'));
+        if (medlineDate) {
+            return PublicationDate.parseString(medlineDate);
+        }
+        
+        const year = text(child(pubDate, 'Year'));
+        const month = text(child(pubDate, 'Month')) || text(child(pubDate, 'Season'));
+        const day = text(child(pubDate, 'Day'));
+        return PublicationDate.parseParts(year, month, day);
+    }
+    
+    // Rate-limited GET with retries on throttling, server errors and network failures
+    async request(endpoint, params, { signal } = {}) {
+        const url = new URL(endpoint, this.baseUrl);
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, value);
+        }
+        url.searchParams.set('tool', this.tool);
+        if (this.email) url.searchParams.set('email', this.email);
+        if (this.apiKey) url.searchParams.set('api_key', this.apiKey);
+        
+        let attempt = 0;
+        while (true) {
+            await this.throttle(signal);
+            
+            try {
+                const response = await this.fetch(url.toString(), { signal });
+                if (response.ok) {
+                    return await response.text();
+                }
+                
+                const retryable = response.status === 429 || response.status >= 500;
+                if (!retryable || attempt >= this.maxRetries) {
+                    throw new PubMedError(`${endpoint} returned HTTP ${response.status}`, response.status);
+                }
+            } catch (error) {
+                if (error.name === 'AbortError' || error instanceof PubMedError) {
+                    throw error;
+                }
+                if (attempt >= this.maxRetries) {
+                    throw new PubMedError(`${endpoint} failed: ${error.message}`);
+                }
+            }
+            
+            // Exponential backoff before the next attempt
+            await this.sleep(this.retryDelay * Math.pow(2, attempt), signal);
+            attempt++;
+        }
+    }
+    
+    async throttle(signal) {
+        const interval = 1000 / this.requestsPerSecond;
+        const wait = this.lastRequestTime + interval - Date.now();
+        if (wait > 0) {
+            await this.sleep(wait, signal);
+        }
+        this.lastRequestTime = Date.now();
+    }
+    
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortError());
+                return;
+            }
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// XML helpers that only look at direct children, so nested elements
+// (e.g. CommentsCorrections/PMID) are not picked up by mistake
+function child(node, tagName) {
+    return children(node, tagName)[0] || null;
+}
+
+function children(node, tagName) {
+    if (!node) return [];
+    return Array.from(node.childNodes).filter(element => element.nodeType === 1 && element.tagName === tagName);
+}
+
+function text(node) {
+    return node ? node.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+function abortError() {
+    const error = new Error('PubMed request cancelled');
+    error.name = 'AbortError';
+    return error;
+}
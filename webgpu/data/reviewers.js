@@ -0,0 +1,154 @@
+// webgpu/data/reviewers.js - Dual-reviewer decisions, agreement statistics and exchange
+import { Decision, DECISION_LABELS, normalizeDecision } from './screening.js';
+
+export const DECISIONS_BUNDLE_FORMAT = 'hypercube-decisions';
+export const DECISIONS_BUNDLE_VERSION = 1;
+
+const CATEGORIES = [Decision.INCLUDE, Decision.EXCLUDE, Decision.MAYBE];
+
+// Two or more reviewers decided and at least two decisions differ
+export function hasConflict(article, reviewers) {
+    const decisions = reviewers
+        .map(reviewer => article.getDecision(reviewer).decision)
+        .filter(Boolean);
+    return decisions.length >= 2 && new Set(decisions).size > 1;
+}
+
+// Consensus fields implied by the reviews: the agreed decision once every
+// reviewer has decided, a cleared decision on conflict, {} while still open
+export function resolveDecision(reviews, reviewers) {
+    if (reviewers.length < 2) return {};
+    
+    const decided = reviewers.map(reviewer => reviews[reviewer]).filter(review => review && review.decision);
+    if (decided.length < reviewers.length) return {};
+    
+    if (decided.every(review => review.decision === decided[0].decision)) {
+        const reason = decided.map(review => review.exclusionReason).find(Boolean) || '';
+        return { decision: decided[0].decision, exclusionReason: reason };
+    }
+    return { decision: Decision.NONE, exclusionReason: '' };
+}
+
+// Percent agreement and Cohen's kappa between two reviewers, over the
+// articles both have decided. kappa is null when it is undefined.
+export function agreementStats(articles, [first, second]) {
+    const matrix = new Map(CATEGORIES.map(a => [a, new Map(CATEGORIES.map(b => [b, 0]))]));
+    let total = 0;
+    let agreements = 0;
+    
+    for (const article of articles) {
+        const a = article.getDecision(first).decision;
+        const b = article.getDecision(second).decision;
+        if (!a || !b) continue;
+        matrix.get(a).set(b, matrix.get(a).get(b) + 1);
+        total++;
+        if (a === b) agreements++;
+    }
+    
+    if (total === 0) {
+        return { total, agreements, conflicts: 0, percentAgreement: null, kappa: null };
+    }
+    
+    const observed = agreements / total;
+    let expected = 0;
+    for (const category of CATEGORIES) {
+        const rowTotal = [...matrix.get(category).values()].reduce((sum, count) => sum + count, 0);
+        const columnTotal = CATEGORIES.reduce((sum, row) => sum + matrix.get(row).get(category), 0);
+        expected += (rowTotal / total) * (columnTotal / total);
+    }
+    
+    return {
+        total,
+        agreements,
+        conflicts: total - agreements,
+        percentAgreement: observed * 100,
+        kappa: expected === 1 ? null : (observed - expected) / (1 - expected)
+    };
+}
+
+// "Alice: Include; Bob: Exclude (Wrong population)"
+export function describeReviews(article, reviewers) {
+    return reviewers
+        .filter(reviewer => article.reviews[reviewer])
+        .map(reviewer => {
+            const { decision, exclusionReason } = article.reviews[reviewer];
+            const label = DECISION_LABELS[decision] || decision;
+            return `${reviewer}: ${label}${exclusionReason ? ` (${exclusionReason})` : ''}`;
+        })
+        .join('; ');
+}
+
+// One reviewer's decisions as a JSON bundle for merging on another machine
+export function exportReviewerDecisions(articles, reviewer) {
+    const decisions = articles
+        .filter(article => article.reviews[reviewer])
+        .map(article => ({
+            id: article.id,
+            pmid: article.pmid,
+            doi: article.doi,
+            title: article.title,
+            ...article.reviews[reviewer]
+        }));
+    
+    return JSON.stringify({
+        format: DECISIONS_BUNDLE_FORMAT,
+        version: DECISIONS_BUNDLE_VERSION,
+        reviewer,
+        exportedAt: new Date().toISOString(),
+        decisions
+    }, null, 2);
+}
+
+export function parseReviewerDecisions(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Decisions file is not valid JSON: ${error.message}`);
+    }
+    
+    if (!bundle || bundle.format !== DECISIONS_BUNDLE_FORMAT || !Array.isArray(bundle.decisions)) {
+        throw new Error('Not a HyperCube reviewer decisions file');
+    }
+    if (bundle.version > DECISIONS_BUNDLE_VERSION) {
+        throw new Error(`Decisions file version ${bundle.version} is newer than this app supports`);
+    }
+    if (!bundle.reviewer) {
+        throw new Error('Decisions file does not name its reviewer');
+    }
+    return bundle;
+}
+
+// Pair bundle entries with articles by id, then PMID, DOI and exact title.
+// Returns { matches: [{ article, review }], unmatched }.
+export function matchReviewerDecisions(articles, bundle) {
+    const indexes = { id: new Map(), pmid: new Map(), doi: new Map(), title: new Map() };
+    for (const article of articles) {
+        indexes.id.set(article.id, article);
+        if (article.pmid) indexes.pmid.set(article.pmid, article);
+        if (article.doi) indexes.doi.set(article.doi, article);
+        if (article.title) indexes.title.set(article.title.toLowerCase(), article);
+    }
+    
+    const matches = [];
+    let unmatched = 0;
+    for (const entry of bundle.decisions) {
+        const article = indexes.id.get(entry.id) ||
+                        (entry.pmid && indexes.pmid.get(entry.pmid)) ||
+                        (entry.doi && indexes.doi.get(entry.doi)) ||
+                        (entry.title && indexes.title.get(entry.title.toLowerCase()));
+        if (!article) {
+            unmatched++;
+            continue;
+        }
+        matches.push({
+            article,
+            review: {
+                decision: normalizeDecision(entry.decision),
+                exclusionReason: entry.exclusionReason || '',
+                decidedAt: entry.decidedAt || bundle.exportedAt
+            }
+        });
+    }
+    return { matches, unmatched };
+}
@@ -0,0 +1,80 @@
+// webgpu/data/screening.js - Title/abstract screening decisions
+export const Decision = {
+    NONE: '',
+    INCLUDE: 'include',
+    EXCLUDE: 'exclude',
+    MAYBE: 'maybe'
+};
+
+export const DECISION_LABELS = {
+    [Decision.NONE]: 'Undecided',
+    [Decision.INCLUDE]: 'Include',
+    [Decision.EXCLUDE]: 'Exclude',
+    [Decision.MAYBE]: 'Maybe'
+};
+
+// Cube colors; undecided articles keep the publication-year gradient
+export const DECISION_COLORS = {
+    [Decision.INCLUDE]: [0.2, 0.85, 0.3],
+    [Decision.EXCLUDE]: [0.35, 0.35, 0.35],
+    [Decision.MAYBE]: [1.0, 0.75, 0.1]
+};
+
+// Common title/abstract exclusion reasons (PICOS), used until a project defines its own
+export const DEFAULT_EXCLUSION_REASONS = [
+    'Wrong population',
+    'Wrong intervention',
+    'Wrong comparator',
+    'Wrong outcome',
+    'Wrong study design',
+    'Wrong publication type',
+    'Not in English',
+    'Not retrievable'
+];
+
+const DECISION_ALIASES = {
+    include: Decision.INCLUDE,
+    included: Decision.INCLUDE,
+    yes: Decision.INCLUDE,
+    exclude: Decision.EXCLUDE,
+    excluded: Decision.EXCLUDE,
+    no: Decision.EXCLUDE,
+    maybe: Decision.MAYBE,
+    unsure: Decision.MAYBE
+};
+
+// Map imported decision text onto a Decision value ('' when unrecognized)
+export function normalizeDecision(value) {
+    return DECISION_ALIASES[String(value || '').trim().toLowerCase()] || Decision.NONE;
+}
+
+// The legacy `includeArticle` column marks records still in the review,
+// so only an explicit false carries a decision
+export function decisionFromIncludeFlag(value) {
+    return /^(false|0|no)$/i.test(String(value || '').trim()) ? Decision.EXCLUDE : Decision.NONE;
+}
+
+// Next article after `current`, wrapping around; `step` of -1 walks backwards.
+// With `undecidedOnly`, returns null once every article has a decision
+// (from `reviewer`, or the consensus).
+export function findNextArticle(articles, current, { step = 1, undecidedOnly = false, reviewer = '' } = {}) {
+    const count = articles.length;
+    let index = current ? articles.indexOf(current) : -1;
+    // Without a current article, walking forwards starts at the first and backwards at the last
+    if (index === -1 && step < 0) index = 0;
+    
+    for (let i = 0; i < count; i++) {
+        index = (index + step + count) % count;
+        const article = articles[index];
+        if (!undecidedOnly || !article.getDecision(reviewer).decision) return article;
+    }
+    return null;
+}
+
+export function countDecisions(articles, reviewer = '') {
+    const counts = { include: 0, exclude: 0, maybe: 0, undecided: 0 };
+    for (const article of articles) {
+        counts[article.getDecision(reviewer).decision || 'undecided']++;
+    }
+    return counts;
+}
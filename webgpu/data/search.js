@@ -0,0 +1,397 @@
+// webgpu/data/search.js - Inverted index over titles, abstracts, MeSH and keywords
+//
+// Query syntax (PubMed-like):
+//   ventilation liquid         both terms (implicit AND)
+//   "liquid ventilation"       phrase
+//   ventilat*                  prefix
+//   surfactant OR perfluorocarbon, NOT neonatal, -neonatal, ( ... )
+//   title:lung                 restrict a term to title, abstract, mesh or keyword
+
+// Indexed fields and their ranking weights
+export const SEARCH_FIELDS = [
+    { key: 'title', weight: 3, text: article => [article.title] },
+    { key: 'abstract', weight: 1, text: article => [article.abstract] },
+    { key: 'mesh', weight: 2, text: article => article.mesh },
+    { key: 'keyword', weight: 2, text: article => article.keywords }
+];
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Prefixes matching more terms than this only use the most frequent ones
+const MAX_PREFIX_TERMS = 200;
+
+// Gap between list entries (MeSH terms, keywords) so phrases don't span them
+const ENTRY_GAP = 2;
+
+// Postings store field and position in one number: field * FIELD_STRIDE + position
+const FIELD_STRIDE = 1 << 20;
+
+// Lowercase, accent-free word tokens with their character offsets
+export function tokenize(text) {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        tokens.push({ token: normalizeToken(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+function normalizeToken(word) {
+    return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Tokens only, normalizing the whole text at once (faster when indexing)
+export function terms(text) {
+    return normalizeToken(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Parse a query into a tree of { type: 'and' | 'or' | 'not' | 'term' | 'prefix' | 'phrase' | 'all' }.
+// Lenient: unbalanced quotes and parentheses are closed at the end of the query.
+export function parseQuery(text) {
+    const tokens = lexQuery(text);
+    let position = 0;
+    const peek = () => tokens[position];
+    const isOperator = (token, name) => token && token.type === 'operator' && token.value === name;
+    
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (isOperator(peek(), 'OR')) {
+            position++;
+            children.push(parseAnd());
+        }
+        return combine('or', children);
+    };
+    
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== 'close' && !isOperator(peek(), 'OR')) {
+            if (isOperator(peek(), 'AND')) {
+                position++;
+                continue;
+            }
+            children.push(parseNot());
+        }
+        return combine('and', children);
+    };
+    
+    const parseNot = () => {
+        if (isOperator(peek(), 'NOT')) {
+            position++;
+            const next = peek();
+            const dangling = !next || next.type === 'close' || isOperator(next, 'OR');
+            return { type: 'not', child: dangling ? { type: 'none' } : parseNot() };
+        }
+        return parsePrimary();
+    };
+    
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (token.type === 'open') {
+            const inner = parseOr();
+            if (peek() && peek().type === 'close') position++;
+            return inner;
+        }
+        // A stray AND/NOT where a term was expected
+        return token.node || { type: 'all' };
+    };
+    
+    // Stray closing parentheses are skipped
+    const children = [];
+    while (position < tokens.length) {
+        if (peek().type === 'close') {
+            position++;
+            continue;
+        }
+        children.push(parseOr());
+    }
+    return combine('and', children);
+}
+
+function combine(type, children) {
+    const useful = children.filter(child => child.type !== 'all');
+    if (useful.length === 0) return { type: 'all' };
+    return useful.length === 1 ? useful[0] : { type, children: useful };
+}
+
+const FIELD_PREFIX = /^(title|abstract|mesh|keyword)s?:/i;
+
+function lexQuery(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|((?:\w+:)?"[^"]*"?)|([^\s()"]+))/gy;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null && match[0] !== '') {
+        const [, open, close, quoted, word] = match;
+        if (open) {
+            tokens.push({ type: 'open' });
+        } else if (close) {
+            tokens.push({ type: 'close' });
+        } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+            tokens.push({ type: 'operator', value: word });
+        } else {
+            let raw = quoted || word;
+            let negated = false;
+            if (!quoted && raw.startsWith('-') && raw.length > 1) {
+                negated = true;
+                raw = raw.slice(1);
+            }
+            
+            let field = null;
+            const qualifier = raw.match(FIELD_PREFIX);
+            if (qualifier) {
+                field = qualifier[1].toLowerCase();
+                raw = raw.slice(qualifier[0].length);
+            }
+            
+            const node = termNode(raw, field, Boolean(quoted));
+            tokens.push({ type: 'word', node: negated ? { type: 'not', child: node } : node });
+        }
+    }
+    return tokens;
+}
+
+function termNode(raw, field, quoted) {
+    const prefix = !quoted && raw.endsWith('*');
+    const words = terms(raw.replace(/"/g, ''));
+    if (words.length === 0) return { type: 'all' };
+    if (words.length > 1) return { type: 'phrase', words, field };
+    return { type: prefix ? 'prefix' : 'term', word: words[0], field };
+}
+
+export class SearchIndex {
+    constructor(articles) {
+        this.articles = articles;
+        // term -> Map(doc index -> encoded positions, see FIELD_STRIDE)
+        this.postings = new Map();
+        this.fieldLengths = SEARCH_FIELDS.map(() => new Float32Array(articles.length));
+        this.averageLengths = SEARCH_FIELDS.map(() => 0);
+        this.sortedTerms = [];
+        this.build();
+    }
+    
+    build() {
+        SEARCH_FIELDS.forEach((field, fieldIndex) => {
+            let total = 0;
+            this.articles.forEach((article, doc) => {
+                const entries = field.text(article);
+                let position = 0;
+                for (const entry of entries) {
+                    for (const term of terms(entry)) {
+                        this.addPosting(term, doc, fieldIndex * FIELD_STRIDE + position++);
+                    }
+                    position += ENTRY_GAP;
+                }
+                const length = Math.max(0, position - ENTRY_GAP * entries.length);
+                this.fieldLengths[fieldIndex][doc] = length;
+                total += length;
+            });
+            this.averageLengths[fieldIndex] = this.articles.length ? total / this.articles.length : 0;
+        });
+        this.sortedTerms = [...this.postings.keys()].sort();
+    }
+    
+    addPosting(term, doc, position) {
+        let docs = this.postings.get(term);
+        if (!docs) {
+            docs = new Map();
+            this.postings.set(term, docs);
+        }
+        const positions = docs.get(doc);
+        if (positions) {
+            positions.push(position);
+        } else {
+            docs.set(doc, [position]);
+        }
+    }
+    
+    // Run a query; returns { results: [{ article, score }], ranks, glow, highlight }
+    // with results best first. `ranks` and `glow` map articles to their rank and
+    // relevance (0-1); highlight(text) lists the { start, end } ranges of matched terms.
+    search(query) {
+        const tree = parseQuery(query);
+        const scores = this.evaluate(tree);
+        
+        const results = [...scores]
+            .map(([doc, score]) => ({ article: this.articles[doc], score, doc }))
+            .sort((a, b) => b.score - a.score || a.doc - b.doc)
+            .map(({ article, score }) => ({ article, score }));
+        
+        const best = results.length ? results[0].score : 0;
+        const ranks = new Map(results.map((result, rank) => [result.article, rank]));
+        // Every match glows; the best ones brightest
+        const glow = new Map(results.map(({ article, score }) => [article, best > 0 ? 0.4 + 0.6 * score / best : 1]));
+        
+        const matcher = this.matcher(tree);
+        return {
+            query,
+            results,
+            ranks,
+            glow,
+            highlight: text => tokenize(text)
+                .filter(({ token }) => matcher(token))
+                .map(({ start, end }) => ({ start, end }))
+        };
+    }
+    
+    // doc index -> score for a query tree
+    evaluate(node) {
+        switch (node.type) {
+            case 'term':
+                return this.scoreTerm(node.word, node.field);
+            case 'prefix':
+                return this.scorePrefix(node.word, node.field);
+            case 'phrase':
+                return this.scorePhrase(node.words, node.field);
+            case 'and': {
+                const [first, ...rest] = node.children.map(child => this.evaluate(child));
+                const scores = new Map(first);
+                for (const other of rest) {
+                    for (const [doc, score] of scores) {
+                        if (other.has(doc)) {
+                            scores.set(doc, score + other.get(doc));
+                        } else {
+                            scores.delete(doc);
+                        }
+                    }
+                }
+                return scores;
+            }
+            case 'or': {
+                const scores = new Map();
+                for (const child of node.children) {
+                    for (const [doc, score] of this.evaluate(child)) {
+                        scores.set(doc, (scores.get(doc) || 0) + score);
+                    }
+                }
+                return scores;
+            }
+            case 'not': {
+                const excluded = this.evaluate(node.child);
+                const scores = new Map();
+                this.articles.forEach((_, doc) => {
+                    if (!excluded.has(doc)) scores.set(doc, 0);
+                });
+                return scores;
+            }
+            case 'all':
+                return new Map(this.articles.map((_, doc) => [doc, 0]));
+            default:
+                return new Map();
+        }
+    }
+    
+    scoreTerm(word, field) {
+        const docs = this.postings.get(word);
+        if (!docs) return new Map();
+        const frequencies = new Map();
+        for (const [doc, positions] of docs) {
+            frequencies.set(doc, fieldCounts(positions));
+        }
+        return this.bm25(frequencies, field);
+    }
+    
+    // Each document scores by its best matching expansion
+    scorePrefix(prefix, field) {
+        const scores = new Map();
+        for (const term of this.expandPrefix(prefix)) {
+            for (const [doc, score] of this.scoreTerm(term, field)) {
+                scores.set(doc, Math.max(scores.get(doc) || 0, score));
+            }
+        }
+        return scores;
+    }
+    
+    expandPrefix(prefix) {
+        // Binary search for the first term >= prefix
+        let low = 0;
+        let high = this.sortedTerms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sortedTerms[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        
+        const expansions = [];
+        for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+            expansions.push(this.sortedTerms[i]);
+        }
+        if (expansions.length <= MAX_PREFIX_TERMS) return expansions;
+        return expansions
+            .sort((a, b) => this.postings.get(b).size - this.postings.get(a).size)
+            .slice(0, MAX_PREFIX_TERMS);
+    }
+    
+    // Phrase frequency per field: consecutive positions of every word
+    scorePhrase(words, field) {
+        const lists = words.map(word => this.postings.get(word));
+        if (lists.some(list => !list)) return new Map();
+        
+        const frequencies = new Map();
+        const [first, ...rest] = lists;
+        for (const [doc, positions] of first) {
+            if (!rest.every(list => list.has(doc))) continue;
+            
+            const following = rest.map(list => new Set(list.get(doc)));
+            const starts = positions.filter(start => following.every((set, offset) => set.has(start + offset + 1)));
+            if (starts.length > 0) frequencies.set(doc, fieldCounts(starts));
+        }
+        return this.bm25(frequencies, field);
+    }
+    
+    // BM25F over per-field frequencies: Map(doc -> [tf per field])
+    bm25(frequencies, field) {
+        const fieldIndex = field ? SEARCH_FIELDS.findIndex(entry => entry.key === field) : -1;
+        const weighted = new Map();
+        for (const [doc, counts] of frequencies) {
+            let tf = 0;
+            counts.forEach((count, index) => {
+                if (!count || (fieldIndex !== -1 && index !== fieldIndex)) return;
+                const average = this.averageLengths[index] || 1;
+                const norm = 1 - B + B * this.fieldLengths[index][doc] / average;
+                tf += SEARCH_FIELDS[index].weight * count / norm;
+            });
+            if (tf > 0) weighted.set(doc, tf);
+        }
+        
+        const n = this.articles.length;
+        const idf = Math.log(1 + (n - weighted.size + 0.5) / (weighted.size + 0.5));
+        const scores = new Map();
+        for (const [doc, tf] of weighted) {
+            scores.set(doc, idf * tf * (K1 + 1) / (tf + K1));
+        }
+        return scores;
+    }
+    
+    // Token predicate for highlighting: the query's positive terms, prefixes and phrase words
+    matcher(tree) {
+        const words = new Set();
+        const prefixes = [];
+        const collect = (node, negated) => {
+            if (node.type === 'not') {
+                collect(node.child, !negated);
+            } else if (node.children) {
+                node.children.forEach(child => collect(child, negated));
+            } else if (!negated) {
+                if (node.type === 'term') words.add(node.word);
+                if (node.type === 'phrase') node.words.forEach(word => words.add(word));
+                if (node.type === 'prefix') prefixes.push(node.word);
+            }
+        };
+        collect(tree, false);
+        return token => words.has(token) || prefixes.some(prefix => token.startsWith(prefix));
+    }
+}
+
+// Occurrences per field from encoded positions
+function fieldCounts(positions) {
+    const counts = SEARCH_FIELDS.map(() => 0);
+    for (const position of positions) {
+        counts[Math.floor(position / FIELD_STRIDE)]++;
+    }
+    return counts;
+}
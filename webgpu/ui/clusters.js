@@ -0,0 +1,52 @@
+// webgpu/ui/clusters.js - Top-term labels floating above the topic clusters
+
+// World units between the top of a cluster and its label
+const LABEL_LIFT = 1;
+
+export class ClusterLabels {
+    constructor(container) {
+        this.container = container;
+        this.clustering = null;
+        this.labels = [];
+    }
+    
+    // Place the labels of `clustering` (null hides them) for this frame's camera
+    update(clustering, viewProjectionMatrix) {
+        if (clustering !== this.clustering) this.render(clustering);
+        this.container.hidden = !clustering;
+        if (!clustering) return;
+        
+        const m = viewProjectionMatrix;
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        clustering.clusters.forEach((cluster, index) => {
+            const [x, z] = [cluster.center[0], cluster.center[2]];
+            const y = cluster.center[1] + cluster.radius + LABEL_LIFT;
+            
+            const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+            const ndcX = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+            const ndcY = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+            const label = this.labels[index];
+            label.hidden = w <= 0 || Math.abs(ndcX) > 1 || Math.abs(ndcY) > 1;
+            if (label.hidden) return;
+            
+            label.style.transform = `translate(${(ndcX + 1) / 2 * width}px, ${(1 - ndcY) / 2 * height}px) translate(-50%, -100%)`;
+        });
+    }
+    
+    render(clustering) {
+        this.clustering = clustering;
+        this.container.innerHTML = '';
+        this.labels = clustering ? clustering.clusters.map(cluster => {
+            const label = document.createElement('div');
+            label.className = 'cluster-label';
+            label.textContent = cluster.label || 'Cluster';
+            const size = document.createElement('span');
+            size.className = 'cluster-size';
+            size.textContent = cluster.size;
+            label.appendChild(size);
+            this.container.appendChild(label);
+            return label;
+        }) : [];
+    }
+}
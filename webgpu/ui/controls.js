@@ -34,9 +34,8 @@ export class Controls {
         this.projectileSpeed = 15.0;
         this.maxProjectiles = 100;
         
-        // Raycasting for selection
-        this.rayOrigin = new Float32Array(3);
-        this.rayDirection = new Float32Array(3);
+        // Ray picking beyond this distance misses
+        this.maxPickDistance = 50;
         
         this.init();
     }
@@ -45,10 +44,13 @@ export class Controls {
         // Event listeners
         this.setupEventListeners();
         
-        // Request pointer lock on canvas click
-        this.canvas.addEventListener('click', () => {
+        // Canvas click picks the cube under the cursor; a click on empty
+        // space requests pointer lock
+        this.canvas.addEventListener('click', (event) => {
             if (!this.isPointerLocked && document.pointerLockElement !== this.canvas) {
-                this.canvas.requestPointerLock();
+                if (!this.pickAtCursor(event)) {
+                    this.canvas.requestPointerLock();
+                }
             }
         });
         
@@ -332,6 +334,7 @@ export class Controls {
         const normalizedDirection = this.normalize(direction);
         
         const projectile = {
+            origin: [...this.camera.position],
             position: [...this.camera.position],
             velocity: [
                 normalizedDirection[0] * this.projectileSpeed,
@@ -339,19 +342,41 @@ export class Controls {
                 normalizedDirection[2] * this.projectileSpeed
             ],
             lifetime: 2.0, // seconds
+            range: this.maxPickDistance, // shortened by the listener when it hits a cube
             active: true
         };
         
         this.projectiles.push(projectile);
         
         // Emit custom event for selection system
+        this.firePickRay(projectile.origin, normalizedDirection, projectile);
+    }
+    
+    // Pick along the ray through the cursor (when not pointer-locked).
+    // Returns whether a listener hit something.
+    pickAtCursor(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return false;
+        
+        const ndcX = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        const ndcY = 1 - ((event.clientY - rect.top) / rect.height) * 2;
+        const ray = this.camera.screenRay(ndcX, ndcY);
+        return ray ? this.firePickRay(ray.origin, ray.direction, null) : false;
+    }
+    
+    // Listeners call preventDefault() on a hit, which keeps a cursor click
+    // from grabbing pointer lock
+    firePickRay(origin, direction, projectile) {
         const event = new CustomEvent('projectile-fired', {
+            cancelable: true,
             detail: {
-                origin: [...this.camera.position],
-                direction: normalizedDirection
+                origin: [...origin],
+                direction: [...direction],
+                maxDistance: this.maxPickDistance,
+                projectile
             }
         });
-        document.dispatchEvent(event);
+        return !document.dispatchEvent(event);
     }
     
     normalize(v) {
@@ -459,18 +484,15 @@ export class Controls {
     }
     
     checkProjectileCollision(projectile, index) {
-        // This is a simplified collision check
-        // In a real implementation, you'd use GPU ray-casting or compute shaders
-        const collisionDistance = 1.0;
-        
-        // For now, just deactivate projectiles after distance
-        const distanceFromCamera = Math.sqrt(
-            Math.pow(projectile.position[0] - this.camera.position[0], 2) +
-            Math.pow(projectile.position[1] - this.camera.position[1], 2) +
-            Math.pow(projectile.position[2] - this.camera.position[2], 2)
+        // The hit itself is resolved by ray picking when the projectile is fired;
+        // here it only stops at the cube it hit (or at the pick range)
+        const distanceTravelled = Math.sqrt(
+            Math.pow(projectile.position[0] - projectile.origin[0], 2) +
+            Math.pow(projectile.position[1] - projectile.origin[1], 2) +
+            Math.pow(projectile.position[2] - projectile.origin[2], 2)
         );
         
-        if (distanceFromCamera > 50) {
+        if (distanceTravelled >= projectile.range) {
             projectile.active = false;
         }
     }
@@ -0,0 +1,127 @@
+// webgpu/ui/dedup.js - Duplicate candidate review with field-level merge choices
+import { MERGE_FIELDS, DuplicateDetector } from '../data/dedup.js';
+
+export class DuplicateReview {
+    constructor(container, callbacks = {}) {
+        this.container = container;
+        
+        // onMerge(group, choices), onDismiss(group)
+        this.onMerge = callbacks.onMerge || (() => {});
+        this.onDismiss = callbacks.onDismiss || (() => {});
+    }
+    
+    render(groups) {
+        this.container.innerHTML = '';
+        
+        if (groups.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No duplicate candidates found.';
+            this.container.appendChild(empty);
+            return;
+        }
+        
+        const fragment = document.createDocumentFragment();
+        groups.forEach((group, index) => fragment.appendChild(this.createGroup(group, index)));
+        this.container.appendChild(fragment);
+    }
+    
+    createGroup(group, index) {
+        const section = document.createElement('section');
+        section.className = 'dedup-group';
+        
+        const heading = document.createElement('div');
+        heading.className = 'dedup-heading';
+        heading.textContent = `${Math.round(group.confidence * 100)}% · ${group.reasons.join(', ')}`;
+        section.appendChild(heading);
+        
+        const defaults = DuplicateDetector.defaultChoices(group.articles);
+        const table = document.createElement('table');
+        table.className = 'dedup-fields';
+        
+        // One column per record
+        const header = table.createTHead().insertRow();
+        header.appendChild(document.createElement('th'));
+        group.articles.forEach(article => {
+            const th = document.createElement('th');
+            const source = article.provenance.length ? article.provenance[0].label : '';
+            th.textContent = article.pmid ? `PMID ${article.pmid}` : article.doi || article.id;
+            th.title = source;
+            header.appendChild(th);
+        });
+        
+        // Only fields the records disagree on need a choice
+        const body = table.createTBody();
+        let identical = 0;
+        for (const { key, label } of MERGE_FIELDS) {
+            const values = group.articles.map(article => formatValue(article[key]));
+            if (new Set(values).size === 1) {
+                identical++;
+                continue;
+            }
+            
+            const row = body.insertRow();
+            const name = row.insertCell();
+            name.className = 'dedup-field-name';
+            name.textContent = label;
+            
+            group.articles.forEach((article, column) => {
+                const cell = row.insertCell();
+                const option = document.createElement('label');
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `dedup-${index}-${key}`;
+                radio.value = article.id;
+                radio.dataset.field = key;
+                radio.checked = defaults[key] === article.id;
+                
+                const text = document.createElement('span');
+                text.textContent = values[column] ? truncate(values[column], 160) : '(empty)';
+                text.title = values[column];
+                text.classList.toggle('empty', !values[column]);
+                
+                option.append(radio, text);
+                cell.appendChild(option);
+            });
+        }
+        section.appendChild(table);
+        
+        if (identical > 0) {
+            const note = document.createElement('div');
+            note.className = 'dedup-note';
+            note.textContent = `${identical} identical field${identical === 1 ? '' : 's'} hidden. ` +
+                               'MeSH, keywords, tags, notes, ratings and reviews are combined.';
+            section.appendChild(note);
+        }
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'dialog-buttons';
+        const merge = document.createElement('button');
+        merge.className = 'action-button';
+        merge.textContent = 'Merge';
+        merge.addEventListener('click', () => {
+            const choices = { ...defaults };
+            table.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+                choices[radio.dataset.field] = radio.value;
+            });
+            this.onMerge(group, choices);
+        });
+        const dismiss = document.createElement('button');
+        dismiss.className = 'action-button';
+        dismiss.textContent = 'Not duplicates';
+        dismiss.addEventListener('click', () => this.onDismiss(group));
+        buttons.append(merge, dismiss);
+        section.appendChild(buttons);
+        
+        return section;
+    }
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) return value.join('; ');
+    if (value && typeof value === 'object') return value.toString();
+    return value ? String(value) : '';
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length)}...` : text;
+}
@@ -0,0 +1,208 @@
+// webgpu/ui/filters.js - Facet filter panel with live counts
+import { FACETS, FacetMode } from '../data/facets.js';
+
+// Values listed per facet before the reviewer has to search
+const VISIBLE_VALUES = 12;
+
+export class FilterPanel {
+    constructor(container, callbacks = {}) {
+        this.container = container;
+        
+        // onChange() after the filter changed, onDisplayMode(mode) for 'hide' / 'dim'
+        this.onChange = callbacks.onChange || (() => {});
+        this.onDisplayMode = callbacks.onDisplayMode || (() => {});
+        
+        this.filter = null;
+        this.counts = null;
+        // Facet sections the reviewer opened, and their value search text
+        this.expanded = new Set(['decision']);
+        this.searches = new Map();
+    }
+    
+    // Re-render with fresh counts; `matching` is the number of articles passing the filter
+    render(filter, articles, matching, displayMode) {
+        this.filter = filter;
+        this.counts = filter.counts(articles);
+        this.container.innerHTML = '';
+        
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(this.createHeader(articles.length, matching, displayMode));
+        fragment.appendChild(this.createYearRange());
+        FACETS.forEach(facet => fragment.appendChild(this.createFacet(facet)));
+        this.container.appendChild(fragment);
+    }
+    
+    createHeader(total, matching, displayMode) {
+        const header = document.createElement('div');
+        header.className = 'filter-header';
+        
+        const summary = document.createElement('div');
+        summary.className = 'filter-summary';
+        summary.textContent = this.filter.isActive ? `${matching} of ${total} match` : `${total} articles`;
+        
+        const mode = this.createToggle('Combine', [
+            [FacetMode.AND, 'All (AND)'],
+            [FacetMode.OR, 'Any (OR)']
+        ], this.filter.mode, value => {
+            this.filter.setMode(value);
+            this.onChange();
+        });
+        
+        const display = this.createToggle('Others', [
+            ['hide', 'Hide'],
+            ['dim', 'Dim']
+        ], displayMode, value => this.onDisplayMode(value));
+        
+        const clear = document.createElement('button');
+        clear.className = 'decision-button';
+        clear.textContent = 'Clear';
+        clear.disabled = !this.filter.isActive;
+        clear.addEventListener('click', () => {
+            this.filter.clear();
+            this.onChange();
+        });
+        
+        header.append(summary, mode, display, clear);
+        return header;
+    }
+    
+    createToggle(label, options, current, onSelect) {
+        const group = document.createElement('div');
+        group.className = 'filter-toggle';
+        
+        const name = document.createElement('span');
+        name.textContent = label;
+        group.appendChild(name);
+        
+        for (const [value, text] of options) {
+            const button = document.createElement('button');
+            button.className = 'decision-button';
+            button.textContent = text;
+            button.classList.toggle('active', value === current);
+            button.addEventListener('click', () => {
+                if (value !== current) onSelect(value);
+            });
+            group.appendChild(button);
+        }
+        return group;
+    }
+    
+    createYearRange() {
+        const section = document.createElement('div');
+        section.className = 'filter-facet filter-years';
+        
+        const { min, max } = this.counts.years;
+        const label = document.createElement('span');
+        label.className = 'filter-facet-name';
+        label.textContent = 'Year';
+        
+        const input = (value, placeholder) => {
+            const field = document.createElement('input');
+            field.type = 'number';
+            field.step = '1';
+            field.value = value ?? '';
+            field.placeholder = placeholder ?? '';
+            return field;
+        };
+        const from = input(this.filter.yearFrom, min);
+        const to = input(this.filter.yearTo, max);
+        
+        // Applied on change (Enter or blur) so typing a year doesn't filter on every digit
+        const apply = () => {
+            const parse = field => field.value === '' ? null : parseInt(field.value, 10);
+            this.filter.setYearRange(parse(from), parse(to));
+            this.onChange();
+        };
+        from.addEventListener('change', apply);
+        to.addEventListener('change', apply);
+        
+        const dash = document.createElement('span');
+        dash.textContent = '–';
+        section.append(label, from, dash, to);
+        return section;
+    }
+    
+    createFacet(facet) {
+        const values = this.counts.facets.get(facet.key);
+        const selected = values.filter(value => value.selected).length;
+        
+        const section = document.createElement('details');
+        section.className = 'filter-facet';
+        section.open = this.expanded.has(facet.key) || selected > 0;
+        section.addEventListener('toggle', () => {
+            if (section.open) {
+                this.expanded.add(facet.key);
+            } else {
+                this.expanded.delete(facet.key);
+            }
+        });
+        
+        const summary = document.createElement('summary');
+        summary.className = 'filter-facet-name';
+        summary.textContent = selected ? `${facet.label} (${selected} selected)` : facet.label;
+        section.appendChild(summary);
+        
+        const list = document.createElement('ul');
+        list.className = 'filter-values';
+        
+        // Long facets (authors, MeSH) get a search box over their values
+        if (values.length > VISIBLE_VALUES) {
+            const search = document.createElement('input');
+            search.type = 'search';
+            search.placeholder = `Search ${values.length} values`;
+            search.value = this.searches.get(facet.key) || '';
+            search.addEventListener('input', () => {
+                this.searches.set(facet.key, search.value);
+                this.renderValues(list, facet, values);
+            });
+            section.appendChild(search);
+        }
+        
+        this.renderValues(list, facet, values);
+        section.appendChild(list);
+        return section;
+    }
+    
+    // Selected values first, then the most frequent values matching the search
+    renderValues(list, facet, values) {
+        const query = (this.searches.get(facet.key) || '').trim().toLowerCase();
+        const matching = values.filter(value => !value.selected && (!query || String(value.label).toLowerCase().includes(query)));
+        const shown = [...values.filter(value => value.selected), ...matching.slice(0, VISIBLE_VALUES)];
+        
+        list.innerHTML = '';
+        for (const { value, label, count, selected } of shown) {
+            const item = document.createElement('li');
+            item.classList.toggle('empty', count === 0);
+            
+            const option = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = selected;
+            checkbox.addEventListener('change', () => {
+                this.filter.toggle(facet.key, value, checkbox.checked);
+                this.onChange();
+            });
+            
+            const text = document.createElement('span');
+            text.className = 'filter-value-label';
+            text.textContent = label;
+            text.title = label;
+            
+            const number = document.createElement('span');
+            number.className = 'filter-count';
+            number.textContent = count;
+            
+            option.append(checkbox, text, number);
+            item.appendChild(option);
+            list.appendChild(item);
+        }
+        
+        const hidden = matching.length - Math.min(matching.length, VISIBLE_VALUES);
+        if (hidden > 0) {
+            const more = document.createElement('li');
+            more.className = 'filter-more';
+            more.textContent = `${hidden} more…`;
+            list.appendChild(more);
+        }
+    }
+}
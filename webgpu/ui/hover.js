@@ -0,0 +1,163 @@
+// webgpu/ui/hover.js - Throttled hover picking with a floating preview card
+
+// Minimum time between hover picks; the latest pointer position wins
+const HOVER_INTERVAL = 50;
+// MeSH terms listed on the card
+const MESH_PREVIEW = 5;
+// Gap between the cursor and the card, in pixels
+const CARD_OFFSET = 14;
+
+export class HoverPreview {
+    constructor(canvas, card, callbacks = {}) {
+        this.canvas = canvas;
+        this.card = card;
+        
+        // pick(ndcX, ndcY) -> article (or author, see coauthors.js) or null;
+        // onHover(the same or null) when it changes; isActive() is false while
+        // flying or dragging a selection
+        this.pick = callbacks.pick || (() => null);
+        this.onHover = callbacks.onHover || (() => {});
+        this.isActive = callbacks.isActive || (() => true);
+        
+        this.article = null;
+        this.pointer = null;
+        this.lastPick = 0;
+        this.timer = null;
+        
+        this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        this.canvas.addEventListener('mouseleave', () => this.clear());
+    }
+    
+    onMouseMove(event) {
+        this.pointer = { x: event.clientX, y: event.clientY, buttons: event.buttons };
+        if (this.article) this.position();
+        this.schedule();
+    }
+    
+    // Pick again under a pointer that has not moved, e.g. while cubes move beneath it
+    refresh() {
+        if (this.pointer) this.schedule();
+    }
+    
+    schedule() {
+        if (this.timer) return;
+        
+        const wait = Math.max(0, this.lastPick + HOVER_INTERVAL - performance.now());
+        this.timer = setTimeout(() => requestAnimationFrame(() => {
+            this.timer = null;
+            this.update();
+        }), wait);
+    }
+    
+    update() {
+        this.lastPick = performance.now();
+        if (!this.pointer || this.pointer.buttons !== 0 || !this.isActive()) {
+            this.clear();
+            return;
+        }
+        
+        const rect = this.canvas.getBoundingClientRect();
+        const ndcX = ((this.pointer.x - rect.left) / rect.width) * 2 - 1;
+        const ndcY = 1 - ((this.pointer.y - rect.top) / rect.height) * 2;
+        this.setArticle(this.pick(ndcX, ndcY));
+    }
+    
+    clear() {
+        this.pointer = null;
+        this.setArticle(null);
+    }
+    
+    setArticle(article) {
+        if (article === this.article) return;
+        this.article = article;
+        this.onHover(article);
+        
+        if (!article) {
+            this.card.hidden = true;
+            return;
+        }
+        this.render(article);
+        this.card.hidden = false;
+        this.position();
+    }
+    
+    render(article) {
+        this.card.innerHTML = '';
+        if (Array.isArray(article.articles)) {
+            this.renderAuthor(article);
+            return;
+        }
+        
+        const title = document.createElement('div');
+        title.className = 'hover-title';
+        title.textContent = article.title || 'No title';
+        
+        const meta = document.createElement('div');
+        meta.className = 'hover-meta';
+        meta.textContent = [article.firstAuthor, article.journal, article.year]
+            .filter(value => value !== null && value !== '')
+            .join(' · ');
+        
+        this.card.append(title, meta);
+        
+        if (article.mesh.length > 0) {
+            const mesh = document.createElement('div');
+            mesh.className = 'hover-mesh';
+            for (const term of article.mesh.slice(0, MESH_PREVIEW)) {
+                const chip = document.createElement('span');
+                chip.textContent = term;
+                mesh.appendChild(chip);
+            }
+            if (article.mesh.length > MESH_PREVIEW) {
+                const more = document.createElement('span');
+                more.className = 'hover-more';
+                more.textContent = `+${article.mesh.length - MESH_PREVIEW}`;
+                mesh.appendChild(more);
+            }
+            this.card.appendChild(mesh);
+        }
+    }
+    
+    // An author node: name, papers, co-authors and community, and the name
+    // forms merged into it
+    renderAuthor(author) {
+        const title = document.createElement('div');
+        title.className = 'hover-title';
+        title.textContent = author.name;
+        
+        const meta = document.createElement('div');
+        meta.className = 'hover-meta';
+        meta.textContent = [
+            `${author.papers} paper${author.papers === 1 ? '' : 's'}`,
+            `${author.coauthors} co-author${author.coauthors === 1 ? '' : 's'}`,
+            author.coauthors > 0 && `community ${author.community + 1}`
+        ].filter(Boolean).join(' · ');
+        
+        this.card.append(title, meta);
+        
+        if (author.variants.length > 1) {
+            const variants = document.createElement('div');
+            variants.className = 'hover-mesh';
+            for (const variant of author.variants.slice(0, MESH_PREVIEW)) {
+                const chip = document.createElement('span');
+                chip.textContent = variant;
+                variants.appendChild(chip);
+            }
+            this.card.appendChild(variants);
+        }
+    }
+    
+    // Next to the cursor, flipped to the other side near the window edges
+    position() {
+        if (!this.pointer) return;
+        const { offsetWidth: width, offsetHeight: height } = this.card;
+        
+        let left = this.pointer.x + CARD_OFFSET;
+        let top = this.pointer.y + CARD_OFFSET;
+        if (left + width > window.innerWidth) left = this.pointer.x - CARD_OFFSET - width;
+        if (top + height > window.innerHeight) top = this.pointer.y - CARD_OFFSET - height;
+        
+        this.card.style.left = `${Math.max(0, left)}px`;
+        this.card.style.top = `${Math.max(0, top)}px`;
+    }
+}
@@ -0,0 +1,156 @@
+// webgpu/ui/marquee.js - Box and lasso selection on the canvas
+
+export const SelectionMode = {
+    REPLACE: 'replace',
+    ADD: 'add',
+    SUBTRACT: 'subtract',
+    TOGGLE: 'toggle'
+};
+
+// Pixels the pointer must travel before a press becomes a drag (so clicks still pick)
+const DRAG_THRESHOLD = 4;
+// Minimum spacing between recorded lasso points, in pixels
+const LASSO_SPACING = 3;
+
+export class RegionSelector {
+    constructor(canvas, overlay, callbacks = {}) {
+        this.canvas = canvas;
+        this.overlay = overlay;
+        this.shape = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        this.shape.setAttribute('class', 'selection-region');
+        this.overlay.appendChild(this.shape);
+        
+        // onSelect(polygon in NDC, mode); isActive() gates new drags (e.g. not while flying)
+        this.onSelect = callbacks.onSelect || (() => {});
+        this.isActive = callbacks.isActive || (() => true);
+        
+        this.tool = localStorage.getItem('selectionTool') === 'lasso' ? 'lasso' : 'box';
+        this.points = null; // canvas pixels while a press is in progress
+        this.dragging = false;
+        this.suppressClick = false;
+        
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        
+        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        // Capture phase, so the click ending a drag never reaches the picking handler
+        this.canvas.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                e.stopImmediatePropagation();
+            }
+        }, true);
+    }
+    
+    setTool(tool) {
+        this.tool = tool === 'lasso' ? 'lasso' : 'box';
+        localStorage.setItem('selectionTool', this.tool);
+    }
+    
+    // Shift adds, Alt subtracts, Ctrl/Cmd toggles; no modifier replaces the selection
+    static modeFor(event) {
+        if (event.shiftKey) return SelectionMode.ADD;
+        if (event.altKey) return SelectionMode.SUBTRACT;
+        if (event.ctrlKey || event.metaKey) return SelectionMode.TOGGLE;
+        return SelectionMode.REPLACE;
+    }
+    
+    onMouseDown(event) {
+        if (event.button !== 0 || !this.isActive()) return;
+        
+        this.points = [this.toCanvas(event)];
+        this.dragging = false;
+        this.suppressClick = false;
+        document.addEventListener('mousemove', this.onMouseMove);
+        document.addEventListener('mouseup', this.onMouseUp);
+        document.addEventListener('keydown', this.onKeyDown);
+    }
+    
+    onMouseMove(event) {
+        const point = this.toCanvas(event);
+        const [start] = this.points;
+        
+        if (!this.dragging) {
+            if (Math.hypot(point[0] - start[0], point[1] - start[1]) < DRAG_THRESHOLD) return;
+            this.dragging = true;
+            this.overlay.classList.add('active');
+        }
+        event.preventDefault();
+        
+        if (this.tool === 'box') {
+            this.points = [start, point];
+        } else {
+            const last = this.points[this.points.length - 1];
+            if (Math.hypot(point[0] - last[0], point[1] - last[1]) >= LASSO_SPACING) {
+                this.points.push(point);
+            }
+        }
+        this.drawShape();
+    }
+    
+    onMouseUp(event) {
+        if (event.button !== 0) return;
+        
+        const polygon = this.dragging ? this.polygon() : null;
+        this.suppressClick = this.dragging;
+        this.releaseClickSuppression();
+        this.finish();
+        
+        if (polygon && polygon.length >= 3) {
+            this.onSelect(polygon.map(point => this.toNDC(point)), RegionSelector.modeFor(event));
+        }
+    }
+    
+    onKeyDown(event) {
+        if (event.key === 'Escape') {
+            // The button is still down: suppress the click its release makes
+            if (this.dragging) {
+                this.suppressClick = true;
+                document.addEventListener('mouseup', () => this.releaseClickSuppression(), { once: true });
+            }
+            this.finish();
+        }
+    }
+    
+    // Drop the suppression once the click a release makes has been dispatched.
+    // A release off the canvas makes none, and a flag left set would swallow
+    // the next real click on a cube.
+    releaseClickSuppression() {
+        setTimeout(() => {
+            this.suppressClick = false;
+        }, 0);
+    }
+    
+    finish() {
+        document.removeEventListener('mousemove', this.onMouseMove);
+        document.removeEventListener('mouseup', this.onMouseUp);
+        document.removeEventListener('keydown', this.onKeyDown);
+        this.points = null;
+        this.dragging = false;
+        this.overlay.classList.remove('active');
+        this.shape.setAttribute('points', '');
+    }
+    
+    // The drawn region as a closed polygon in canvas pixels
+    polygon() {
+        if (this.tool === 'lasso') return this.points;
+        
+        const [[x0, y0], [x1, y1]] = this.points;
+        return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+    }
+    
+    drawShape() {
+        this.shape.setAttribute('points', this.polygon().map(point => point.join(',')).join(' '));
+    }
+    
+    toCanvas(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [event.clientX - rect.left, event.clientY - rect.top];
+    }
+    
+    toNDC([x, y]) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [(x / rect.width) * 2 - 1, 1 - (y / rect.height) * 2];
+    }
+}
@@ -0,0 +1,77 @@
+// webgpu/ui/meshtree.js - MeSH branch list for expanding and collapsing the hierarchy layout
+import { DEFAULT_MESH_EXPANDED } from '../data/mesh.js';
+
+export class MeshTreePanel {
+    constructor(container, callbacks = {}) {
+        this.container = container;
+        
+        // onExpand(ids) with the branch ids to show open
+        this.onExpand = callbacks.onExpand || (() => {});
+        this.expanded = new Set();
+    }
+    
+    // Re-render the branches of `hierarchy` (see mesh.js) shown with `expanded` open
+    render(hierarchy, expanded) {
+        this.expanded = expanded;
+        this.container.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'filter-header';
+        const reset = document.createElement('button');
+        reset.className = 'decision-button';
+        reset.textContent = 'Categories';
+        reset.title = 'Show the categories and their top branches only';
+        reset.addEventListener('click', () => this.onExpand(DEFAULT_MESH_EXPANDED));
+        const collapse = document.createElement('button');
+        collapse.className = 'decision-button';
+        collapse.textContent = 'Collapse all';
+        collapse.addEventListener('click', () => this.onExpand([]));
+        header.append(reset, collapse);
+        
+        const list = document.createElement('div');
+        list.className = 'mesh-branches';
+        const add = node => {
+            list.appendChild(this.createRow(node));
+            if (this.isOpen(node)) node.children.forEach(add);
+        };
+        hierarchy.roots.forEach(add);
+        
+        this.container.append(header, list);
+    }
+    
+    isOpen(node) {
+        return this.expanded.has(node.id) && node.children.length > 0;
+    }
+    
+    createRow(node) {
+        const row = document.createElement('div');
+        row.className = 'mesh-branch';
+        row.style.paddingLeft = `${node.depth * 12}px`;
+        
+        const toggle = document.createElement('button');
+        toggle.className = 'mesh-toggle';
+        toggle.textContent = node.children.length === 0 ? '' : this.isOpen(node) ? '▾' : '▸';
+        toggle.disabled = node.children.length === 0;
+        toggle.addEventListener('click', () => {
+            const ids = new Set(this.expanded);
+            if (this.isOpen(node)) {
+                ids.delete(node.id);
+            } else {
+                ids.add(node.id);
+            }
+            this.onExpand([...ids]);
+        });
+        
+        const name = document.createElement('span');
+        name.className = 'filter-value-label';
+        name.textContent = node.name;
+        name.title = node.id;
+        
+        const count = document.createElement('span');
+        count.className = 'filter-count';
+        count.textContent = node.count;
+        
+        row.append(toggle, name, count);
+        return row;
+    }
+}
@@ -0,0 +1,173 @@
+// webgpu/ui/prisma.js - PRISMA 2020 flow diagram (SVG, with PNG export)
+const BOX_WIDTH = 330;
+const LEFT_X = 90;
+const RIGHT_X = 470;
+const LINE_HEIGHT = 17;
+const PADDING = 12;
+const ROW_GAP = 40;
+const WRAP_CHARS = 48;
+
+export class PrismaDiagram {
+    constructor(container) {
+        this.container = container;
+        this.svg = '';
+    }
+    
+    render(flow) {
+        this.svg = this.toSVG(flow);
+        this.container.innerHTML = this.svg;
+    }
+    
+    toSVG(flow) {
+        const n = count => `(n = ${count})`;
+        const parts = [];
+        let y = 20;
+        
+        // Identification
+        const identified = this.box(LEFT_X, y, [
+            { text: 'Records identified from:', bold: true },
+            ...flow.sources.map(source => ({ text: `${source.label} ${n(source.count)}`, indent: true })),
+            { text: `Total ${n(flow.identified)}` }
+        ]);
+        const removed = this.box(RIGHT_X, y, [
+            { text: 'Records removed before screening:', bold: true },
+            { text: `Duplicate records removed ${n(flow.duplicates)}`, indent: true },
+            { text: `Records removed for other reasons ${n(flow.otherRemoved)}`, indent: true }
+        ]);
+        const identificationRow = this.alignRow(identified, removed);
+        parts.push(this.phase('Identification', y, identificationRow));
+        parts.push(identified.svg, removed.svg, this.arrowRight(identified, removed));
+        y += identificationRow + ROW_GAP;
+        
+        // Screening
+        const screened = this.box(LEFT_X, y, [
+            { text: 'Records screened', bold: true },
+            { text: n(flow.screened) }
+        ]);
+        const excluded = this.box(RIGHT_X, y, [
+            { text: `Records excluded ${n(flow.excluded)}`, bold: true },
+            ...flow.exclusionReasons.map(reason => ({ text: `${reason.label} ${n(reason.count)}`, indent: true }))
+        ]);
+        const screeningRow = this.alignRow(screened, excluded);
+        parts.push(this.phase('Screening', y, screeningRow));
+        parts.push(screened.svg, excluded.svg, this.arrowRight(screened, excluded), this.arrowDown(identified, screened));
+        y += screeningRow + ROW_GAP;
+        
+        // Included, with records still waiting for a decision alongside
+        const included = this.box(LEFT_X, y, [
+            { text: 'Studies included in review', bold: true },
+            { text: n(flow.included) }
+        ]);
+        const awaiting = flow.maybe + flow.undecided;
+        let pending = null;
+        if (awaiting > 0) {
+            pending = this.box(RIGHT_X, y, [
+                { text: `Awaiting screening decision ${n(awaiting)}`, bold: true },
+                { text: `Maybe ${n(flow.maybe)}`, indent: true },
+                { text: `Not yet screened ${n(flow.undecided)}`, indent: true }
+            ], { dashed: true });
+        }
+        const includedRow = pending ? this.alignRow(included, pending) : included.height;
+        parts.push(this.phase('Included', y, includedRow));
+        parts.push(included.svg, this.arrowDown(screened, included));
+        if (pending) parts.push(pending.svg);
+        y += includedRow + 20;
+        
+        const width = RIGHT_X + BOX_WIDTH + 20;
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${y}" viewBox="0 0 ${width} ${y}" ` +
+               `font-family="Arial, Helvetica, sans-serif" font-size="13">` +
+               `<rect width="100%" height="100%" fill="#ffffff"/>` +
+               `<defs><marker id="prisma-arrow" markerWidth="10" markerHeight="8" refX="9" refY="4" orient="auto">` +
+               `<path d="M0,0 L10,4 L0,8 z" fill="#333"/></marker></defs>` +
+               parts.join('') +
+               `</svg>`;
+    }
+    
+    // Box with wrapped lines; returns its geometry and markup
+    box(x, y, lines, { dashed = false } = {}) {
+        const wrapped = lines.flatMap(line => wrapText(line.text, line.indent ? WRAP_CHARS - 3 : WRAP_CHARS)
+            .map((text, index) => ({ ...line, text, continued: index > 0 })));
+        const height = wrapped.length * LINE_HEIGHT + PADDING * 2;
+        
+        const text = wrapped.map((line, index) => {
+            const textX = x + PADDING + (line.indent ? 14 : 0) + (line.continued ? 8 : 0);
+            const textY = y + PADDING + (index + 1) * LINE_HEIGHT - 4;
+            const weight = line.bold && !line.continued ? ' font-weight="bold"' : '';
+            return `<text x="${textX}" y="${textY}"${weight}>${escapeXML(line.text)}</text>`;
+        }).join('');
+        
+        const dash = dashed ? ' stroke-dasharray="6 4"' : '';
+        const svg = `<rect x="${x}" y="${y}" width="${BOX_WIDTH}" height="${height}" fill="#fff" stroke="#333"${dash}/>${text}`;
+        return { x, y, height, svg };
+    }
+    
+    // Stretch the shorter of two side-by-side boxes to the taller one
+    alignRow(left, right) {
+        const height = Math.max(left.height, right.height);
+        for (const box of [left, right]) {
+            box.svg = box.svg.replace(/height="\d+"/, `height="${height}"`);
+            box.height = height;
+        }
+        return height;
+    }
+    
+    // Rotated phase label in the band left of the boxes
+    phase(label, y, height) {
+        const centerX = 45;
+        const centerY = y + height / 2;
+        return `<rect x="20" y="${y}" width="50" height="${height}" rx="6" fill="#a9cce3"/>` +
+               `<text x="${centerX}" y="${centerY}" font-weight="bold" text-anchor="middle" dominant-baseline="middle" ` +
+               `transform="rotate(-90 ${centerX} ${centerY})">${escapeXML(label)}</text>`;
+    }
+    
+    arrowRight(from, to) {
+        const y = from.y + from.height / 2;
+        return `<line x1="${from.x + BOX_WIDTH}" y1="${y}" x2="${to.x}" y2="${y}" stroke="#333" marker-end="url(#prisma-arrow)"/>`;
+    }
+    
+    arrowDown(from, to) {
+        const x = from.x + BOX_WIDTH / 2;
+        return `<line x1="${x}" y1="${from.y + from.height}" x2="${x}" y2="${to.y}" stroke="#333" marker-end="url(#prisma-arrow)"/>`;
+    }
+    
+    // Rasterize the current SVG; resolves with a PNG Blob
+    toPNG(scale = 2) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width * scale;
+                canvas.height = image.height * scale;
+                const ctx = canvas.getContext('2d');
+                ctx.scale(scale, scale);
+                ctx.drawImage(image, 0, 0);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+            };
+            image.onerror = () => reject(new Error('Could not rasterize the PRISMA diagram'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.svg)}`;
+        });
+    }
+}
+
+function wrapText(text, limit) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(' ')) {
+        if (line && line.length + word.length + 1 > limit) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    lines.push(line);
+    return lines;
+}
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
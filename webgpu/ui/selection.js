@@ -5,9 +5,12 @@ export class SelectionSystem {
         this.device = renderer.device;
         this.dataProcessor = dataProcessor;
         
-        // Selection state
+        // Selection state, shared with the processor so the instance
+        // buffer's selected flags survive re-layouts
         this.selectedPMIDs = new Set();
         this.highlightedPMID = null;
+        this.hoveredPMID = null;
+        this.dataProcessor.selectedIds = this.selectedPMIDs;
         
         // Defer selection buffer creation until data is loaded
         this.selectionBuffer = null;
@@ -48,7 +51,7 @@ export class SelectionSystem {
         }
         
         // Find cube index by PMID
-        const cubeIndex = this.dataProcessor.data.findIndex(article => article.PMID === pmid);
+        const cubeIndex = this.dataProcessor.indexOf(pmid);
         if (cubeIndex === -1) {
             console.warn(`PMID ${pmid} not found in data`);
             return false;
@@ -65,26 +68,69 @@ export class SelectionSystem {
             }
         }
         
-        // Update selection data
+        this.writeSelection([cubeIndex], selected);
+        
+        console.log(`Cube ${cubeIndex} (PMID: ${pmid}) ${selected ? 'selected' : 'deselected'}`);
+        return true;
+    }
+    
+    // Bulk (de)selection, e.g. from a box or lasso: one GPU write however many
+    // cubes change. Returns the number of cubes found.
+    async selectMany(pmids, selected = true) {
+        if (!this.dataProcessor.cubeData) {
+            console.error('Cube data not loaded yet');
+            return 0;
+        }
+        
+        const indices = [];
+        for (const pmid of pmids) {
+            const cubeIndex = this.dataProcessor.indexOf(pmid);
+            if (cubeIndex === -1) continue;
+            indices.push(cubeIndex);
+            
+            if (selected) {
+                this.selectedPMIDs.add(pmid);
+            } else {
+                this.selectedPMIDs.delete(pmid);
+                if (this.highlightedPMID === pmid) {
+                    this.highlightedPMID = null;
+                }
+            }
+        }
+        
+        this.writeSelection(indices, selected);
+        
+        console.log(`${indices.length} cubes ${selected ? 'selected' : 'deselected'}`);
+        return indices.length;
+    }
+    
+    // Update the instance flags and the selection buffer (when created) in one write each
+    writeSelection(indices, selected) {
+        if (indices.length === 0) return;
+        this.dataProcessor.setSelected(indices, selected);
+        
         if (this.selectionData) {
-            this.selectionData[cubeIndex] = selected ? 1 : 0;
+            for (const cubeIndex of indices) {
+                this.selectionData[cubeIndex] = selected ? 1 : 0;
+            }
             
             // Update GPU buffer if it exists
             if (this.selectionBuffer) {
-                const offset = cubeIndex * 4; // 4 bytes per Uint32
-                const data = new Uint32Array([selected ? 1 : 0]);
                 this.device.queue.writeBuffer(
                     this.selectionBuffer,
-                    offset,
-                    data.buffer,
-                    data.byteOffset,
-                    data.byteLength
+                    0,
+                    this.selectionData.buffer,
+                    this.selectionData.byteOffset,
+                    this.selectionData.byteLength
                 );
             }
         }
-        
-        console.log(`Cube ${cubeIndex} (PMID: ${pmid}) ${selected ? 'selected' : 'deselected'}`);
-        return true;
+    }
+    
+    // Cube under the cursor (null for none), drawn distinctly from selected cubes
+    setHovered(pmid) {
+        this.hoveredPMID = pmid;
+        this.dataProcessor.setHovered(pmid);
     }
     
     async getSelected() {
@@ -92,7 +138,11 @@ export class SelectionSystem {
     }
     
     async clearSelection() {
-        // Clear CPU selection
+        // Clear the cubes' selected flags, then the CPU selection
+        const indices = [...this.selectedPMIDs]
+            .map(pmid => this.dataProcessor.indexOf(pmid))
+            .filter(index => index !== -1);
+        this.dataProcessor.setSelected(indices, false);
         this.selectedPMIDs.clear();
         this.highlightedPMID = null;
         
@@ -0,0 +1,739 @@
+// webgpu/ui/table.js - Virtualized article table with sorting, resizable columns and inline annotation editors
+import { Decision, DECISION_LABELS } from '../data/screening.js';
+import { hasConflict, describeReviews } from '../data/reviewers.js';
+
+// Rows are a fixed height so only the visible slice needs to exist in the DOM
+const ROW_HEIGHT = 34;
+const OVERSCAN = 8;
+const MIN_COLUMN_WIDTH = 40;
+
+const DECISION_ORDER = [Decision.INCLUDE, Decision.MAYBE, Decision.EXCLUDE, Decision.NONE];
+
+const collator = new Intl.Collator(undefined, { numeric: true });
+
+// Column catalog. `header` is the dataset column it shows; columns with
+// `optional` are only offered when some article has a value for them.
+const COLUMNS = [
+    { key: 'title', header: 'Title', width: 260, sortValue: article => article.title.toLowerCase() },
+    { key: 'select', header: 'Select', width: 52 },
+    { key: 'decision', header: 'Decision', width: 96 },
+    { key: 'notes', header: 'Notes', width: 140, sortValue: article => article.notes.toLowerCase() },
+    { key: 'rating', header: 'Rating', width: 90, sortValue: article => article.rating },
+    { key: 'tags', header: 'Tags', width: 120, sortValue: article => article.tags.join('; ').toLowerCase() },
+    { key: 'mesh', header: 'MeSH Terms', width: 180, sortValue: article => article.mesh.join('; ').toLowerCase() },
+    { key: 'keywords', header: 'Keywords', width: 150, sortValue: article => article.keywords.join('; ').toLowerCase() },
+    { key: 'pmid', header: 'PMID', width: 90, optional: true, text: article => article.pmid, sortValue: article => Number(article.pmid) || article.pmid },
+    { key: 'journal', header: 'Source', width: 160, optional: true, text: article => article.journal },
+    {
+        key: 'pubDate', header: 'PubYear', width: 90, optional: true,
+        text: article => article.pubDate.toString(),
+        sortValue: ({ pubDate }) => pubDate.year === null ? null : pubDate.year * 10000 + (pubDate.month || 0) * 100 + (pubDate.day || 0)
+    },
+    { key: 'authors', header: 'Authors', width: 180, optional: true, text: article => article.authors.join('; ') },
+    { key: 'collectiveName', header: 'Collective_Name', width: 140, optional: true, text: article => article.collectiveName },
+    { key: 'doi', header: 'DOI', width: 160, optional: true, text: article => article.doi },
+    { key: 'pmcId', header: 'PMC_ID', width: 100, optional: true, text: article => article.pmcId },
+    { key: 'exclusionReason', header: 'Exclusion_Reason', width: 140, optional: true, text: article => article.exclusionReason },
+    { key: 'abstract', header: 'Abstract', width: 260, optional: true, text: article => article.abstract },
+    { key: 'provenance', header: 'Provenance', width: 160, optional: true, text: article => article.provenance.map(entry => entry.label).join('; ') }
+];
+
+const DEFAULT_VISIBLE = ['title', 'select', 'decision', 'notes', 'rating', 'tags', 'mesh', 'keywords'];
+
+// Column layout (visible columns, widths, sort) is a per-browser preference
+const LAYOUT_STORAGE_KEY = 'tableLayout';
+
+export class DataTable {
+    constructor(table, callbacks = {}) {
+        this.table = table;
+        this.viewport = table.parentElement;
+        
+        // onSelect(id, selected), onEdit(article, changes), onDecide(article, decision);
+        // isSelected(id) reports the current selection for rows scrolled into view
+        this.onSelect = callbacks.onSelect || (() => {});
+        this.onEdit = callbacks.onEdit || (() => {});
+        this.onDecide = callbacks.onDecide || (() => {});
+        this.isSelected = callbacks.isSelected || (() => false);
+        
+        this.articles = [];
+        this.sortedArticles = []; // `articles` in display order
+        this.rowsById = new Map(); // Rendered (visible) rows only
+        this.currentId = null; // Article shown in the text zone
+        this.rowHeight = ROW_HEIGHT;
+        this.visibleRange = { first: 0, last: 0 };
+        this.scrollFrame = null;
+        
+        // Blinded screening shows only `reviewer`'s decisions ('' = consensus)
+        this.reviewer = '';
+        this.reviewers = [];
+        
+        // Columns: built-ins plus any unrecognized dataset columns (article.extra)
+        this.columns = [...COLUMNS];
+        this.availableKeys = new Set(COLUMNS.filter(column => !column.optional).map(column => column.key));
+        this.columnMenu = null;
+        this.loadLayout();
+        
+        // Shared <datalist> feeding tag autocomplete in every row
+        this.tagList = document.createElement('datalist');
+        this.tagList.id = 'tag-suggestions';
+        document.body.appendChild(this.tagList);
+        // Tags are suggested from the whole dataset (tagSource), not just the
+        // filtered rows: uses of each tag, and each article's tags when counted
+        this.tagSource = [];
+        this.tagCounts = new Map();
+        this.countedTags = new Map();
+        
+        this.colgroup = document.createElement('colgroup');
+        this.thead = document.createElement('thead');
+        this.tbody = document.createElement('tbody');
+        this.table.replaceChildren(this.colgroup, this.thead, this.tbody);
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+        
+        this.setupEventListeners();
+        this.renderHeader();
+    }
+    
+    setupEventListeners() {
+        this.tbody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr');
+            if (!row || !row.dataset.pmid) return;
+            
+            if (e.target.classList.contains('select-checkbox')) {
+                this.onSelect(row.dataset.pmid, e.target.checked);
+            } else if (e.target.closest('.title-cell')) {
+                this.onSelect(row.dataset.pmid, true);
+            }
+        });
+        
+        this.viewport.addEventListener('scroll', () => {
+            if (this.scrollFrame) return;
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this.renderRows();
+            });
+        });
+        
+        // The visible slice depends on the viewport height (splitters, window size)
+        if (window.ResizeObserver) {
+            new ResizeObserver(() => this.renderRows()).observe(this.viewport);
+        }
+    }
+    
+    loadLayout() {
+        let layout = {};
+        try {
+            layout = JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable table layout:', error);
+        }
+        
+        this.visibleKeys = Array.isArray(layout.visible) && layout.visible.length ? layout.visible : [...DEFAULT_VISIBLE];
+        this.widths = layout.widths || {};
+        // [{ key, direction: 1 | -1 }], primary key first
+        this.sortKeys = Array.isArray(layout.sort) ? layout.sort : [];
+    }
+    
+    saveLayout() {
+        localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify({
+            visible: this.visibleKeys,
+            widths: this.widths,
+            sort: this.sortKeys
+        }));
+    }
+    
+    render(articles) {
+        this.articles = articles;
+        this.updateAvailableColumns();
+        this.sortArticles();
+        this.renderHeader();
+        this.renderRows({ rebuild: true });
+    }
+    
+    // Offer optional columns the dataset has values for, and its unrecognized columns
+    updateAvailableColumns() {
+        const extraKeys = new Set();
+        const present = new Set();
+        const optional = COLUMNS.filter(column => column.optional);
+        
+        for (const article of this.articles) {
+            for (const key of Object.keys(article.extra)) extraKeys.add(key);
+            for (const column of optional) {
+                if (!present.has(column.key) && column.text(article)) present.add(column.key);
+            }
+        }
+        
+        const extraColumns = [...extraKeys].sort().map(key => ({
+            key: `extra:${key}`,
+            header: key,
+            width: 140,
+            text: article => String(article.extra[key] ?? '')
+        }));
+        this.columns = [...COLUMNS, ...extraColumns];
+        
+        // Columns already shown stay available when the filtered set lacks them
+        this.availableKeys = new Set([
+            ...COLUMNS.filter(column => !column.optional || present.has(column.key)).map(column => column.key),
+            ...extraColumns.map(column => column.key)
+        ]);
+        this.renderColumnMenu();
+    }
+    
+    get visibleColumns() {
+        return this.visibleKeys
+            .map(key => this.columns.find(column => column.key === key))
+            .filter(Boolean);
+    }
+    
+    setColumnVisible(key, visible) {
+        const keys = this.visibleKeys.filter(k => k !== key);
+        if (visible) {
+            // Keep catalog order
+            const order = this.columns.map(column => column.key);
+            keys.push(key);
+            keys.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+        }
+        if (keys.length === 0) return;
+        
+        this.visibleKeys = keys;
+        this.saveLayout();
+        this.renderHeader();
+        this.renderRows({ rebuild: true });
+        this.renderColumnMenu();
+    }
+    
+    // Checkbox list of the available columns, rendered into `container`
+    attachColumnMenu(container) {
+        this.columnMenu = container;
+        this.renderColumnMenu();
+    }
+    
+    renderColumnMenu() {
+        if (!this.columnMenu) return;
+        this.columnMenu.innerHTML = '';
+        
+        const visible = new Set(this.visibleKeys);
+        for (const column of this.columns) {
+            if (!this.availableKeys.has(column.key) && !visible.has(column.key)) continue;
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = visible.has(column.key);
+            checkbox.disabled = checkbox.checked && visible.size === 1;
+            checkbox.addEventListener('change', () => this.setColumnVisible(column.key, checkbox.checked));
+            label.append(checkbox, column.header);
+            this.columnMenu.appendChild(label);
+        }
+    }
+    
+    // Click sorts by a column (ascending, descending, off); Shift+click adds it
+    // as a secondary key
+    toggleSort(key, additive) {
+        const existing = this.sortKeys.find(entry => entry.key === key);
+        let next;
+        if (!existing) {
+            next = { key, direction: 1 };
+        } else if (existing.direction === 1) {
+            next = { key, direction: -1 };
+        } else {
+            next = null;
+        }
+        
+        if (additive) {
+            const others = this.sortKeys.filter(entry => entry.key !== key);
+            this.sortKeys = next
+                ? (existing ? this.sortKeys.map(entry => entry.key === key ? next : entry) : [...others, next])
+                : others;
+        } else {
+            this.sortKeys = next ? [next] : [];
+        }
+        
+        this.saveLayout();
+        this.sortArticles();
+        this.renderHeader();
+        this.renderRows({ rebuild: true });
+    }
+    
+    sortValue(column, article) {
+        switch (column.key) {
+            case 'select':
+                return this.isSelected(article.id) ? 0 : 1;
+            case 'decision':
+                return DECISION_ORDER.indexOf(article.getDecision(this.reviewer).decision);
+            default:
+                if (column.sortValue) return column.sortValue(article);
+                return column.text(article).toLowerCase();
+        }
+    }
+    
+    // Stable multi-key sort; empty values sort last in either direction
+    sortArticles() {
+        const keys = this.sortKeys
+            .map(({ key, direction }) => ({ column: this.columns.find(column => column.key === key), direction }))
+            .filter(({ column }) => column);
+        if (keys.length === 0) {
+            this.sortedArticles = this.articles;
+            return;
+        }
+        
+        const decorated = this.articles.map((article, index) => ({
+            article,
+            index,
+            values: keys.map(({ column }) => this.sortValue(column, article))
+        }));
+        decorated.sort((a, b) => {
+            for (let i = 0; i < keys.length; i++) {
+                const result = compareValues(a.values[i], b.values[i], keys[i].direction);
+                if (result !== 0) return result;
+            }
+            return a.index - b.index;
+        });
+        this.sortedArticles = decorated.map(entry => entry.article);
+    }
+    
+    renderHeader() {
+        const columns = this.visibleColumns;
+        this.colgroup.innerHTML = '';
+        this.thead.innerHTML = '';
+        const row = this.thead.insertRow();
+        
+        let tableWidth = 0;
+        columns.forEach(column => {
+            const width = this.widths[column.key] || column.width;
+            tableWidth += width;
+            
+            const col = document.createElement('col');
+            col.style.width = `${width}px`;
+            this.colgroup.appendChild(col);
+            
+            const th = document.createElement('th');
+            th.className = 'sortable';
+            th.title = 'Click to sort, Shift+click to add a sort key';
+            const label = document.createElement('span');
+            label.textContent = column.header;
+            th.appendChild(label);
+            
+            const sortIndex = this.sortKeys.findIndex(entry => entry.key === column.key);
+            if (sortIndex !== -1) {
+                const indicator = document.createElement('span');
+                indicator.className = 'sort-indicator';
+                indicator.textContent = (this.sortKeys[sortIndex].direction === 1 ? '▲' : '▼') +
+                                        (this.sortKeys.length > 1 ? sortIndex + 1 : '');
+                th.appendChild(indicator);
+            }
+            th.addEventListener('click', (e) => this.toggleSort(column.key, e.shiftKey));
+            
+            const resizer = document.createElement('span');
+            resizer.className = 'column-resizer';
+            resizer.addEventListener('mousedown', (e) => this.startResize(e, column, col));
+            resizer.addEventListener('click', (e) => e.stopPropagation());
+            th.appendChild(resizer);
+            
+            row.appendChild(th);
+        });
+        this.table.style.width = `${tableWidth}px`;
+    }
+    
+    // Drag a header edge to resize its column; the table grows or shrinks with it
+    startResize(e, column, col) {
+        e.preventDefault();
+        e.stopPropagation();
+        const startX = e.clientX;
+        const startWidth = this.widths[column.key] || column.width;
+        const startTableWidth = this.table.offsetWidth;
+        
+        const onMove = (moveEvent) => {
+            const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+            this.widths[column.key] = width;
+            col.style.width = `${width}px`;
+            this.table.style.width = `${startTableWidth + width - startWidth}px`;
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            document.body.classList.remove('column-resizing');
+            this.saveLayout();
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+        document.body.classList.add('column-resizing');
+    }
+    
+    createSpacer() {
+        const row = document.createElement('tr');
+        row.className = 'spacer';
+        row.appendChild(document.createElement('td'));
+        return row;
+    }
+    
+    // Render the rows intersecting the viewport (plus overscan) between two
+    // spacer rows standing in for the rest. Rows already on screen are reused
+    // unless `rebuild` is set, so editors keep focus while scrolling.
+    renderRows({ rebuild = false } = {}) {
+        const total = this.sortedArticles.length;
+        const headerHeight = this.thead.offsetHeight;
+        const scrollTop = Math.max(0, this.viewport.scrollTop - headerHeight);
+        const count = Math.ceil(this.viewport.clientHeight / this.rowHeight) + OVERSCAN * 2;
+        // The scroll position can lag behind a shrinking result set
+        const first = Math.max(0, Math.min(Math.floor(scrollTop / this.rowHeight) - OVERSCAN, total - count));
+        const last = Math.min(total, first + count);
+        
+        if (!rebuild && first === this.visibleRange.first && last === this.visibleRange.last) return;
+        this.visibleRange = { first, last };
+        
+        const previous = rebuild ? new Map() : this.rowsById;
+        this.rowsById = new Map();
+        const fragment = document.createDocumentFragment();
+        
+        const columnCount = Math.max(1, this.visibleColumns.length);
+        this.topSpacer.firstChild.colSpan = columnCount;
+        this.bottomSpacer.firstChild.colSpan = columnCount;
+        this.topSpacer.style.height = `${first * this.rowHeight}px`;
+        this.bottomSpacer.style.height = `${(total - last) * this.rowHeight}px`;
+        fragment.appendChild(this.topSpacer);
+        
+        for (let i = first; i < last; i++) {
+            const article = this.sortedArticles[i];
+            const row = previous.get(article.id) || this.createRow(article);
+            this.rowsById.set(article.id, row);
+            fragment.appendChild(row);
+        }
+        fragment.appendChild(this.bottomSpacer);
+        
+        this.tbody.replaceChildren(fragment);
+        this.measureRowHeight();
+    }
+    
+    // Follow the stylesheet if it renders rows taller than ROW_HEIGHT
+    measureRowHeight() {
+        const row = this.rowsById.values().next().value;
+        if (!row) return;
+        const height = row.offsetHeight;
+        if (height > 0 && Math.abs(height - this.rowHeight) > 1) {
+            this.rowHeight = height;
+            this.renderRows({ rebuild: true });
+        }
+    }
+    
+    // Re-render one row in place after its article changed
+    updateRow(article) {
+        this.recountTags(article);
+        
+        const row = this.rowsById.get(article.id);
+        if (!row) return;
+        
+        const replacement = this.createRow(article);
+        
+        // Keep typing in the tag editor after adding or removing a chip
+        const refocusTags = row.contains(document.activeElement) &&
+                            document.activeElement.classList.contains('chip-input');
+        
+        row.replaceWith(replacement);
+        this.rowsById.set(article.id, replacement);
+        
+        if (refocusTags) {
+            const input = replacement.querySelector('.chip-input');
+            if (input) input.focus();
+        }
+    }
+    
+    setRowSelected(id, selected) {
+        const row = this.rowsById.get(id);
+        if (!row) return;
+        row.classList.toggle('selected', selected);
+        const checkbox = row.querySelector('.select-checkbox');
+        if (checkbox) checkbox.checked = selected;
+    }
+    
+    // Mark the row shown in the text zone and scroll it into view
+    setCurrentRow(id) {
+        const previous = this.rowsById.get(this.currentId);
+        if (previous) previous.classList.remove('current');
+        this.currentId = id;
+        
+        const index = this.sortedArticles.findIndex(article => article.id === id);
+        if (index === -1) return;
+        
+        const top = this.thead.offsetHeight + index * this.rowHeight;
+        const bottom = top + this.rowHeight;
+        const viewTop = this.viewport.scrollTop + this.thead.offsetHeight;
+        if (top < viewTop) {
+            this.viewport.scrollTop = top - this.thead.offsetHeight;
+        } else if (bottom > this.viewport.scrollTop + this.viewport.clientHeight) {
+            this.viewport.scrollTop = bottom - this.viewport.clientHeight;
+        }
+        this.renderRows();
+        
+        const row = this.rowsById.get(id);
+        if (row) row.classList.add('current');
+    }
+    
+    createRow(article) {
+        const row = document.createElement('tr');
+        row.dataset.pmid = article.id;
+        row.style.height = `${this.rowHeight}px`;
+        row.classList.toggle('current', article.id === this.currentId);
+        row.classList.toggle('selected', this.isSelected(article.id));
+        const { decision } = article.getDecision(this.reviewer);
+        if (decision) row.classList.add(`decision-${decision}`);
+        if (!this.reviewer && hasConflict(article, this.reviewers)) row.classList.add('conflict');
+        
+        for (const column of this.visibleColumns) {
+            row.appendChild(this.createCell(column, article));
+        }
+        return row;
+    }
+    
+    createCell(column, article) {
+        switch (column.key) {
+            case 'title': {
+                const cell = document.createElement('td');
+                cell.className = 'title-cell';
+                cell.title = article.title;
+                cell.textContent = article.title;
+                return cell;
+            }
+            case 'select': {
+                const cell = document.createElement('td');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'select-checkbox';
+                checkbox.checked = this.isSelected(article.id);
+                cell.appendChild(checkbox);
+                return cell;
+            }
+            case 'decision':
+                return this.createDecisionCell(article);
+            case 'notes':
+                return this.createNotesCell(article);
+            case 'rating':
+                return this.createRatingCell(article);
+            case 'tags':
+                return this.createTagsCell(article);
+            case 'mesh':
+                return this.createChipCell(article.mesh, 'mesh');
+            case 'keywords':
+                return this.createChipCell(article.keywords, 'keyword');
+            default: {
+                const cell = document.createElement('td');
+                cell.className = 'text-cell';
+                cell.textContent = column.text(article);
+                cell.title = cell.textContent;
+                return cell;
+            }
+        }
+    }
+    
+    createDecisionCell(article) {
+        const cell = document.createElement('td');
+        const select = document.createElement('select');
+        select.className = 'decision-select';
+        
+        Object.values(Decision).forEach(decision => {
+            const option = document.createElement('option');
+            option.value = decision;
+            option.textContent = decision ? DECISION_LABELS[decision] : '—';
+            select.appendChild(option);
+        });
+        const { decision, exclusionReason } = article.getDecision(this.reviewer);
+        select.value = decision;
+        // The consensus view lists every reviewer's call; reviewers only see their own
+        select.title = this.reviewer ? exclusionReason : describeReviews(article, this.reviewers) || exclusionReason;
+        
+        // Reasons only apply to exclusions and are picked in the text zone
+        select.addEventListener('change', () => this.onDecide(article, select.value));
+        select.addEventListener('keydown', (e) => e.stopPropagation());
+        
+        cell.appendChild(select);
+        return cell;
+    }
+    
+    createNotesCell(article) {
+        const cell = document.createElement('td');
+        const input = document.createElement('textarea');
+        input.className = 'notes-input';
+        input.rows = 1;
+        input.placeholder = 'Add note...';
+        input.value = article.notes;
+        
+        // Commit on blur; Escape reverts, Ctrl+Enter commits
+        input.addEventListener('change', () => {
+            if (input.value !== article.notes) {
+                this.onEdit(article, { notes: input.value });
+            }
+        });
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                input.value = article.notes;
+                input.blur();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                input.blur();
+            }
+        });
+        
+        cell.appendChild(input);
+        return cell;
+    }
+    
+    createRatingCell(article) {
+        const cell = document.createElement('td');
+        const stars = document.createElement('div');
+        stars.className = 'rating-stars';
+        stars.setAttribute('role', 'radiogroup');
+        stars.setAttribute('aria-label', 'Rating');
+        
+        for (let value = 1; value <= 5; value++) {
+            const star = document.createElement('button');
+            star.type = 'button';
+            star.className = 'rating-star';
+            star.classList.toggle('filled', value <= article.rating);
+            star.textContent = value <= article.rating ? '★' : '☆';
+            star.title = `${value} star${value > 1 ? 's' : ''}`;
+            star.setAttribute('aria-checked', String(value === article.rating));
+            
+            // Clicking the current rating clears it
+            star.addEventListener('click', () => {
+                this.onEdit(article, { rating: article.rating === value ? 0 : value });
+            });
+            stars.appendChild(star);
+        }
+        
+        cell.appendChild(stars);
+        return cell;
+    }
+    
+    createTagsCell(article) {
+        const cell = document.createElement('td');
+        const editor = document.createElement('div');
+        editor.className = 'chip-editor';
+        
+        article.tags.forEach(tag => {
+            const chip = this.createChip(tag, 'tag');
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'chip-remove';
+            remove.textContent = '×';
+            remove.title = `Remove tag "${tag}"`;
+            remove.addEventListener('click', () => {
+                this.onEdit(article, { tags: article.tags.filter(t => t !== tag) });
+            });
+            chip.appendChild(remove);
+            editor.appendChild(chip);
+        });
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'chip-input';
+        input.placeholder = '+ tag';
+        input.setAttribute('list', this.tagList.id);
+        
+        const commit = () => {
+            const tags = input.value.split(',').map(tag => tag.trim()).filter(Boolean);
+            const added = tags.filter(tag => !article.tags.includes(tag));
+            input.value = '';
+            if (added.length) {
+                this.onEdit(article, { tags: [...article.tags, ...added] });
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                commit();
+            } else if (e.key === 'Backspace' && !input.value && article.tags.length) {
+                this.onEdit(article, { tags: article.tags.slice(0, -1) });
+            }
+        });
+        // Picking a datalist suggestion (or leaving the field) commits too
+        input.addEventListener('change', commit);
+        
+        editor.appendChild(input);
+        cell.appendChild(editor);
+        return cell;
+    }
+    
+    createChipCell(values, kind) {
+        const cell = document.createElement('td');
+        const list = document.createElement('div');
+        list.className = 'chip-list';
+        values.forEach(value => list.appendChild(this.createChip(value, kind)));
+        cell.appendChild(list);
+        return cell;
+    }
+    
+    createChip(text, kind) {
+        const chip = document.createElement('span');
+        chip.className = `chip chip-${kind}`;
+        chip.textContent = text;
+        chip.title = text;
+        return chip;
+    }
+    
+    // Count every tag in use across `articles`, the whole dataset whatever
+    // the filters show
+    setTagSource(articles) {
+        this.tagSource = articles;
+        this.updateTagSuggestions();
+    }
+    
+    updateTagSuggestions() {
+        this.tagCounts = new Map();
+        this.countedTags = new Map();
+        for (const article of this.tagSource) {
+            this.countedTags.set(article.id, [...article.tags]);
+            for (const tag of article.tags) {
+                this.tagCounts.set(tag, (this.tagCounts.get(tag) || 0) + 1);
+            }
+        }
+        this.renderTagSuggestions();
+    }
+    
+    // Move one article's tag counts from its previous tags to its current ones
+    recountTags(article) {
+        // Without a baseline for it, count everything again rather than drift
+        if (!this.countedTags.has(article.id)) {
+            this.updateTagSuggestions();
+            return;
+        }
+        
+        const previous = this.countedTags.get(article.id);
+        if (previous.length === article.tags.length && previous.every((tag, i) => tag === article.tags[i])) return;
+        
+        for (const tag of previous) {
+            const count = this.tagCounts.get(tag) - 1;
+            if (count > 0) {
+                this.tagCounts.set(tag, count);
+            } else {
+                this.tagCounts.delete(tag);
+            }
+        }
+        for (const tag of article.tags) {
+            this.tagCounts.set(tag, (this.tagCounts.get(tag) || 0) + 1);
+        }
+        this.countedTags.set(article.id, [...article.tags]);
+        this.renderTagSuggestions();
+    }
+    
+    // Suggest every tag in use, most frequent first
+    renderTagSuggestions() {
+        this.tagList.innerHTML = '';
+        [...this.tagCounts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .forEach(([tag]) => {
+                const option = document.createElement('option');
+                option.value = tag;
+                this.tagList.appendChild(option);
+            });
+    }
+}
+
+function compareValues(a, b, direction) {
+    const emptyA = a === null || a === undefined || a === '';
+    const emptyB = b === null || b === undefined || b === '';
+    if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+    
+    if (typeof a === 'number' && typeof b === 'number') return (a - b) * direction;
+    return collator.compare(String(a), String(b)) * direction;
+}